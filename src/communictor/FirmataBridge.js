@@ -1,12 +1,21 @@
-import communicator from './communicator.js'
+import communicator, { DEFAULT_DEVICE_ID } from './communicator.js'
+import DeviceRegistry from './deviceRegistry.js'
+import bleScanner from './bleScanner.js'
+import { CONNECTING } from './connectionState.js'
 import Firmata from './firmata.js'
-import iosWebBridge from './ios-web-bridge.js'
+import webBridge from './web-bridge.js'
 let instance = null
 class FirmataBridge {
     constructor() {
         if (!instance) {
             instance = this
+            instance.devices = new DeviceRegistry()
+            instance.devices.on('added', entry => {
+                this.watchBoard(entry.id, entry.board)
+                this.watchCommunicator(entry.id, entry.communicator)
+            })
             instance.registerFirmata()
+            instance.registerScanner()
             instance.registerBridge()
         }
         return instance
@@ -15,72 +24,276 @@ class FirmataBridge {
     registerFirmata() {
         this.firmata = new Firmata(communicator)
         this.firmata.getPinsForMode()
-        this.firmata.on('ready', () => {
-            console.log('Ready indicator')
-            this.callWkWebViewBridge('connectReady')
+        this.devices.register(DEFAULT_DEVICE_ID, communicator, this.firmata)
+    }
+
+    watchBoard(deviceId, board) {
+        board.on('ready', () => {
+            console.log('Ready indicator', deviceId)
+            this.callWkWebViewBridge('connectReady', { deviceId: deviceId })
         })
-        this.firmata.on('disconnect', () => {
-            console.log('disconnect indicator')
-            this.callWkWebViewBridge('disconnect')
+        board.on('disconnect', () => {
+            console.log('disconnect indicator', deviceId)
+            this.callWkWebViewBridge('disconnect', { deviceId: deviceId })
         })
-        this.firmata.on('timeout', () => {
-            console.log('timeout')
-            this.callWkWebViewBridge('connectTimeOut')
+        board.on('timeout', () => {
+            console.log('timeout', deviceId)
+            this.callWkWebViewBridge('connectTimeOut', { deviceId: deviceId })
         })
-        this.firmata.on('versionExpired',()=> {
-            console.log('versionExpired')
-            this.callWkWebViewBridge('versionExpired')
+        board.on('versionExpired', compatibility => {
+            console.log('versionExpired', deviceId, compatibility.name)
+            this.callWkWebViewBridge('versionExpired', {
+                deviceId: deviceId,
+                name: compatibility.name,
+                found: compatibility.found,
+                required: compatibility.required
+            })
+        })
+        board.on('firmwareDeprecated', compatibility => {
+            console.log('firmwareDeprecated', deviceId, compatibility.name)
+            this.callWkWebViewBridge('firmwareDeprecated', {
+                deviceId: deviceId,
+                name: compatibility.name,
+                found: compatibility.found,
+                required: compatibility.required
+            })
         })
     }
 
 
-    callWkWebViewBridge(functionName) {
-        iosWebBridge.setupWKWebViewJavascriptBridge(function (bridge) {
-            bridge.callHandler(functionName, null, null)
+    watchCommunicator(deviceId, communicator) {
+        communicator.on('stats', stats => {
+            this.callWkWebViewBridge('stats', Object.assign({ deviceId: deviceId }, stats))
+        })
+        communicator.on('statechange', change => {
+            this.callWkWebViewBridge('stateChange', Object.assign({ deviceId: deviceId }, change))
+        })
+        communicator.on('reconnecting', progress => {
+            console.log('reconnecting', deviceId, progress)
+            this.callWkWebViewBridge('reconnecting', Object.assign({ deviceId: deviceId }, progress))
+        })
+        communicator.on('reconnected', progress => {
+            this.callWkWebViewBridge('reconnected', Object.assign({ deviceId: deviceId }, progress))
+        })
+        communicator.on('reconnect-failed', result => {
+            this.callWkWebViewBridge('reconnectFailed', Object.assign({ deviceId: deviceId }, result))
+        })
+        communicator.on('reconnect-cancelled', () => {
+            this.callWkWebViewBridge('reconnectCancelled', { deviceId: deviceId })
+        })
+        communicator.on('wire-error', error => {
+            this.callWkWebViewBridge('wireError', { deviceId: deviceId, message: error.message })
+        })
+    }
+
+    registerScanner() {
+        bleScanner.on('start', () => communicator.setScanning(true))
+        bleScanner.on('update', devices => {
+            this.callWkWebViewBridge('scanResult', { devices: devices })
+        })
+        bleScanner.on('stop', devices => {
+            communicator.setScanning(false)
+            this.callWkWebViewBridge('scanStopped', { devices: devices })
+        })
+    }
+
+    callWkWebViewBridge(functionName, data) {
+        webBridge.setupWKWebViewJavascriptBridge(function (bridge) {
+            bridge.callHandler(functionName, data === undefined ? null : data, null)
         })
     }
 
     registerBridge() {
         console.log('registerBridge')
-        iosWebBridge.setupWKWebViewJavascriptBridge(bridge => {
+        webBridge.setupWKWebViewJavascriptBridge(bridge => {
             bridge.registerHandler('deviceConnect', (response) => {
                 console.log('deviceConnect')
                 this.refreshPort()
             })
         })
-        iosWebBridge.setupWKWebViewJavascriptBridge(bridge => {
-            bridge.registerHandler('deviceDisConnect', () => {
-                this.disConnectDevice()
+        webBridge.setupWKWebViewJavascriptBridge(bridge => {
+            bridge.registerHandler('deviceDisConnect', (response) => {
+                // no deviceId means the default device
+                const entry = this.devices.get(response && response.deviceId)
+                if (!entry) {
+                    console.log('deviceDisConnect: unknown device', response && response.deviceId)
+                    return
+                }
+                // the native side reports link loss here too; only a user disconnect skips reconnecting
+                if (response && response.userInitiated) {
+                    this.devices.disconnect(entry.id)
+                } else {
+                    entry.communicator.connectionLost()
+                }
+            })
+        })
+        webBridge.setupWKWebViewJavascriptBridge(bridge => {
+            // the policy fields plus the deviceId they are for
+            bridge.registerHandler('setReconnectPolicy', (policy) => {
+                const entry = this.devices.get(policy && policy.deviceId)
+                if (entry) {
+                    const settings = Object.assign({}, policy)
+                    delete settings.deviceId
+                    entry.communicator.setReconnectPolicy(settings)
+                }
+            })
+        })
+        webBridge.setupWKWebViewJavascriptBridge(bridge => {
+            bridge.registerHandler('cancelReconnect', (data) => {
+                const entry = this.devices.get(data && data.deviceId)
+                if (entry) {
+                    entry.communicator.cancelReconnect()
+                }
             })
         })
 
-        iosWebBridge.setupWKWebViewJavascriptBridge(bridge => {
+        webBridge.setupWKWebViewJavascriptBridge(bridge => {
             bridge.registerHandler('firmataControl',(control)=>{
                 console.log('data',control)
-                this.firmata[`${control.name}`](...control.param)
+                // no deviceId means the default device, as before multi-device support
+                const board = this.devices.getBoard(control.deviceId)
+                if (!board) {
+                    console.log('firmataControl: unknown device', control.deviceId)
+                    return
+                }
+                board[`${control.name}`](...control.param)
+            })
+        })
+        webBridge.setupWKWebViewJavascriptBridge(bridge => {
+            bridge.registerHandler('connectDevice', (device, responseCallback) => {
+                this.devices.connect(device).then(entry => {
+                    if (responseCallback) responseCallback({ deviceId: entry.id })
+                }, error => {
+                    if (responseCallback) responseCallback({ error: error.message })
+                })
+            })
+        })
+        webBridge.setupWKWebViewJavascriptBridge(bridge => {
+            bridge.registerHandler('disconnectDevice', (data) => {
+                this.devices.disconnect(data && data.deviceId)
+            })
+        })
+        webBridge.setupWKWebViewJavascriptBridge(bridge => {
+            bridge.registerHandler('listDevices', (data, responseCallback) => {
+                if (responseCallback) responseCallback(this.devices.list())
+            })
+        })
+        webBridge.setupWKWebViewJavascriptBridge(bridge => {
+            // the native device picker drives the scan, results come back through 'scanResult'
+            bridge.registerHandler('startScan', (filters) => {
+                bleScanner.start(filters)
+            })
+            bridge.registerHandler('stopScan', () => {
+                bleScanner.stop()
+            })
+            bridge.registerHandler('connectScannedDevice', (data, responseCallback) => {
+                if (!data || !data.id) {
+                    if (responseCallback) responseCallback({ error: 'No device id' })
+                    return
+                }
+                const device = bleScanner.find(data.id) || { id: data.id, commName: data.id, commType: 'ble_mobile' }
+                communicator.connect(device).then(() => {
+                    if (responseCallback) responseCallback({ deviceId: DEFAULT_DEVICE_ID })
+                }, error => {
+                    if (responseCallback) responseCallback({ error: error.message })
+                })
+            })
+            bridge.registerHandler('getLastDevice', (data, responseCallback) => {
+                if (responseCallback) responseCallback(bleScanner.getLastDevice())
+            })
+            bridge.registerHandler('forgetLastDevice', () => {
+                bleScanner.forgetDevice()
+            })
+        })
+        webBridge.setupWKWebViewJavascriptBridge(bridge => {
+            // { deviceId, interval } in ms, 0 stops the 'stats' reports
+            bridge.registerHandler('setStatsInterval', (data) => {
+                const entry = this.devices.get(data && data.deviceId)
+                if (entry) {
+                    entry.communicator.setStatsInterval(data.interval)
+                }
+            })
+            bridge.registerHandler('getState', (data, responseCallback) => {
+                const entry = this.devices.get(data && data.deviceId)
+                if (responseCallback) responseCallback(entry ? { deviceId: entry.id, state: entry.communicator.getState() } : null)
+            })
+            bridge.registerHandler('getStats', (data, responseCallback) => {
+                const entry = this.devices.get(data && data.deviceId)
+                if (responseCallback) responseCallback(entry ? entry.communicator.getStats() : null)
+            })
+            // data: { deviceId, timeout }, for the live pin table
+            bridge.registerHandler('getPinSnapshot', (data, responseCallback) => {
+                const entry = this.devices.get(data && data.deviceId)
+                if (!entry || !entry.board.isReady) {
+                    if (responseCallback) responseCallback({ error: 'Board not ready' })
+                    return
+                }
+                entry.board.snapshot({ timeout: data && data.timeout }).then(pins => {
+                    if (responseCallback) responseCallback({ deviceId: entry.id, pins: pins })
+                }, error => {
+                    if (responseCallback) responseCallback({ deviceId: entry.id, error: error.message })
+                })
+            })
+        })
+        webBridge.setupWKWebViewJavascriptBridge(bridge => {
+            // native reports the MTU it negotiated with the peripheral after connecting
+            bridge.registerHandler('setBleMtu', (data) => {
+                const entry = this.devices.get(data && data.deviceId)
+                const comm = entry && entry.communicator.communicator
+                if (comm && comm.setMtu) {
+                    comm.setMtu(data.mtu)
+                }
             })
         })
 
     }
 
+    /**
+     * Reconnects the last board with one tap. Without a remembered board the nearby
+     * ones are scanned and listed to native, which lets the user pick one.
+     */
     refreshPort() {
-        // iosWebBridge.setupWKWebViewJavascriptBridge(function (bridge) {
-        //     bridge.callHandler("bleConnect", null, null)
-        // })
-        const devList = []
+        if (!communicator.connection.can(CONNECTING)) {
+            console.log('refreshPort while', communicator.getState())
+            return
+        }
+        const last = bleScanner.getLastDevice()
+        if (last) {
+            communicator.connect(last).catch(error => {
+                console.log('last device unavailable', error)
+                this.scanForDevices()
+            })
+            return
+        }
+        this.scanForDevices()
+    }
+
+    scanForDevices() {
         communicator.getDeviceList().then(data => {
             data.forEach(devices => {
                 devices.forEach(device => {
-                    if (device.commType === 'ble_mobile') {
-                        communicator.connect(device)
+                    // only shells that cannot scan report a board without an id
+                    if (device.commType === 'ble_mobile' && !device.id) {
+                        communicator.connect(device).catch(_ => {})
                     }
-                    devList.push(device)
                 })
             })
         }, _ => {
         })
     }
 
+    requestSerialPort() {
+        // the picker needs a user gesture, so the page calls this from a click handler
+        return communicator.requestDevice('web_serial')
+            .then(device => communicator.connect(device, this.firmata.settings.serialport))
+    }
+
+    requestBleDevice() {
+        // same as requestSerialPort, the chooser only opens from a user gesture
+        return communicator.requestDevice('web_ble')
+            .then(device => communicator.connect(device))
+    }
+
     disConnectDevice() {
         communicator.disconnect()
     }
@@ -0,0 +1,292 @@
+/// / Built-in Dependencies
+const Emitter = require('events').EventEmitter
+
+const DEFAULT_OPTIONS = {
+    // ms between position reports while moving, 0 to only learn it when a move ends
+    positionInterval: 100,
+    // ms a move may go without the position changing before it rejects, 0 to wait forever
+    moveTimeout: 30000
+}
+
+/**
+ * @class Stepper drives one AccelStepperFirmata motor of a Board and keeps
+ * `position` up to date:
+ *
+ *   const stepper = board.stepper({ deviceNum: 0, type: board.STEPPER.TYPE.DRIVER,
+ *       stepPin: 2, directionPin: 3, speed: 400, acceleration: 200 })
+ *   stepper.on('position', position => { ... })
+ *   stepper.moveTo(2000).then(position => stepper.move(-500))
+ *
+ * While a move runs the position is polled every positionInterval ms. Moves
+ * resolve with the position the motor ended at, which is short of the target
+ * after stop(). They reject when the board disconnects, when the position stops
+ * changing for moveTimeout ms, and once the stepper's setup failed.
+ * @augments EventEmitter
+ * @param {Board} board
+ * @param {number} deviceNum
+ * @param {Object} [options] positionInterval and moveTimeout, see DEFAULT_OPTIONS.
+ */
+
+function Stepper (board, deviceNum, options) {
+    Emitter.call(this)
+    const settings = Object.assign({}, DEFAULT_OPTIONS, options)
+    this.board = board
+    this.deviceNum = deviceNum
+    this.positionInterval = settings.positionInterval
+    this.moveTimeout = settings.moveTimeout
+    this.position = 0
+    this.moving = false
+    // { resolve, reject } of the moves waiting for the motor to stop
+    this.pending = []
+    this.pollTimer = null
+    this.moveTimer = null
+    // why the configuration failed, see setup()
+    this.setupError = null
+    this.onPosition = position => this.update(position)
+    this.onDone = position => {
+        // the legacy STEPPER reply carries no position
+        if (typeof position === 'number') {
+            this.settle(position)
+        }
+    }
+    this.onDisconnect = () => this.fail(new Error('Disconnected'))
+    board.on(`stepper-position-${deviceNum}`, this.onPosition)
+    board.on(`stepper-done-${deviceNum}`, this.onDone)
+    board.on('disconnect', this.onDisconnect)
+}
+
+Stepper.prototype = Object.create(Emitter.prototype, {
+    constructor: {
+        value: Stepper
+    }
+})
+
+Stepper.prototype.update = function (position) {
+    if (position === this.position) return
+    this.position = position
+    if (this.moving) {
+        this.watchMove()
+    }
+    this.emit('position', position)
+}
+
+/**
+ * Takes the writes that configure the motor. If one fails, the moves waiting
+ * and every later one reject with its error.
+ * @param {Promise} configured
+ */
+
+Stepper.prototype.setup = function (configured) {
+    configured.catch(error => {
+        this.setupError = error
+        this.fail(error)
+    })
+}
+
+Stepper.prototype.halt = function () {
+    this.stopPolling()
+    clearTimeout(this.moveTimer)
+    this.moveTimer = null
+    this.moving = false
+}
+
+// (re)starts the time the running move has to make progress
+Stepper.prototype.watchMove = function () {
+    clearTimeout(this.moveTimer)
+    this.moveTimer = null
+    if (!this.moveTimeout) return
+    this.moveTimer = setTimeout(() => {
+        this.fail(new Error(`Stepper ${this.deviceNum} did not move for ${this.moveTimeout}ms`))
+    }, this.moveTimeout)
+}
+
+Stepper.prototype.settle = function (position) {
+    this.update(position)
+    this.halt()
+    const pending = this.pending
+    this.pending = []
+    pending.forEach(move => move.resolve(position))
+    this.emit('done', position)
+}
+
+Stepper.prototype.fail = function (error) {
+    this.halt()
+    const pending = this.pending
+    this.pending = []
+    pending.forEach(move => move.reject(error))
+}
+
+Stepper.prototype.startPolling = function () {
+    if (this.pollTimer || !this.positionInterval) return
+    this.pollTimer = setInterval(() => {
+        this.board.accelStepperReportPosition(this.deviceNum).catch(() => {})
+    }, this.positionInterval)
+}
+
+Stepper.prototype.stopPolling = function () {
+    if (this.pollTimer) {
+        clearInterval(this.pollTimer)
+        this.pollTimer = null
+    }
+}
+
+/**
+ * Waits for the running move, after `send` has started it.
+ * @param {function} send Writes the command, returns a promise.
+ * @return {Promise} resolves to the position the motor stopped at
+ */
+
+Stepper.prototype.track = function (send) {
+    if (this.setupError) {
+        return Promise.reject(this.setupError)
+    }
+    return new Promise((resolve, reject) => {
+        this.pending.push({ resolve: resolve, reject: reject })
+        this.moving = true
+        this.startPolling()
+        this.watchMove()
+        send().catch(error => this.fail(error))
+    })
+}
+
+/**
+ * Moves to an absolute position, in steps.
+ * @param {number} position
+ * @return {Promise} resolves to the position reached
+ */
+
+Stepper.prototype.moveTo = function (position) {
+    return this.track(() => this.board.accelStepperTo(this.deviceNum, position))
+}
+
+/**
+ * Moves a number of steps from where the motor is, negative to go back.
+ * @param {number} steps
+ * @return {Promise} resolves to the position reached
+ */
+
+Stepper.prototype.move = function (steps) {
+    return this.track(() => this.board.accelStepperStep(this.deviceNum, steps))
+}
+
+/**
+ * Decelerates to a stop. With an acceleration set the motor keeps going for a while.
+ * @return {Promise} resolves to the position it stopped at
+ */
+
+Stepper.prototype.stop = function () {
+    return this.track(() => this.board.accelStepperStop(this.deviceNum))
+}
+
+/**
+ * Makes the current position 0.
+ */
+
+Stepper.prototype.zero = function () {
+    return this.board.accelStepperZero(this.deviceNum).then(() => this.update(0))
+}
+
+Stepper.prototype.enable = function (enabled) {
+    return this.board.accelStepperEnable(this.deviceNum, enabled !== false)
+}
+
+/**
+ * @param {number} speed Maximum speed in steps per second.
+ */
+
+Stepper.prototype.setSpeed = function (speed) {
+    return this.board.accelStepperSpeed(this.deviceNum, speed)
+}
+
+/**
+ * @param {number} acceleration In steps per second per second, 0 to run at full speed at once.
+ */
+
+Stepper.prototype.setAcceleration = function (acceleration) {
+    return this.board.accelStepperAcceleration(this.deviceNum, acceleration)
+}
+
+/**
+ * Asks the board where the motor is.
+ * @return {Promise} resolves to the position
+ */
+
+Stepper.prototype.readPosition = function () {
+    return this.board.accelStepperReportPosition(this.deviceNum)
+}
+
+/**
+ * Stops following the board. Moves still running reject.
+ */
+
+Stepper.prototype.close = function () {
+    this.fail(new Error('Stepper closed'))
+    this.board.removeListener(`stepper-position-${this.deviceNum}`, this.onPosition)
+    this.board.removeListener(`stepper-done-${this.deviceNum}`, this.onDone)
+    this.board.removeListener('disconnect', this.onDisconnect)
+}
+
+/**
+ * @class StepperGroup moves several steppers so that they all arrive at the same
+ * time (AccelStepperFirmata MultiStepper). Speed comes from each stepper;
+ * accelerations are ignored in group moves.
+ * @param {Board} board
+ * @param {number} groupNum
+ * @param {Stepper[]} steppers
+ */
+
+function StepperGroup (board, groupNum, steppers) {
+    this.board = board
+    this.groupNum = groupNum
+    this.steppers = steppers
+}
+
+/**
+ * Moves every stepper to its position in `positions`, in group order.
+ * @param {number[]} positions
+ * @return {Promise} resolves to the positions reached, once all stopped
+ */
+
+StepperGroup.prototype.moveTo = function (positions) {
+    if (positions.length !== this.steppers.length) {
+        return Promise.reject(new Error(`expected ${this.steppers.length} positions, got ${positions.length}`))
+    }
+    const board = this.board
+    const event = `multi-stepper-done-${this.groupNum}`
+    return new Promise((resolve, reject) => {
+        const onDisconnect = () => {
+            board.removeListener(event, onDone)
+            this.steppers.forEach(stepper => stepper.stopPolling())
+            reject(new Error('Disconnected'))
+        }
+        const onDone = () => {
+            board.removeListener('disconnect', onDisconnect)
+            // the group reply has no positions, ask each motor
+            Promise.all(this.steppers.map(stepper => stepper.readPosition())).then(reached => {
+                this.steppers.forEach((stepper, i) => {
+                    stepper.stopPolling()
+                    stepper.update(reached[i])
+                })
+                resolve(reached)
+            }, reject)
+        }
+        board.once(event, onDone)
+        board.once('disconnect', onDisconnect)
+        this.steppers.forEach(stepper => stepper.startPolling())
+        board.multiStepperTo(this.groupNum, positions).catch(error => {
+            board.removeListener(event, onDone)
+            board.removeListener('disconnect', onDisconnect)
+            this.steppers.forEach(stepper => stepper.stopPolling())
+            reject(error)
+        })
+    })
+}
+
+StepperGroup.prototype.stop = function () {
+    return this.board.multiStepperStop(this.groupNum)
+}
+
+module.exports = {
+    Stepper: Stepper,
+    StepperGroup: StepperGroup
+}
@@ -0,0 +1,72 @@
+/**
+ * Android host adapter with the registerHandler/callHandler semantics of
+ * WKWebViewJavascriptBridge.
+ *
+ * The Android app injects an object with addJavascriptInterface(obj, 'AndroidNativeBridge')
+ * exposing `postMessage(String json)`, and delivers its messages by evaluating
+ * `window.AndroidWebViewBridge.handleMessageFromNative(json)`.
+ *
+ * Messages in both directions are JSON:
+ *   { handlerName, data, callbackId }   call a handler, callbackId is set when a response is wanted
+ *   { responseId, responseData }        response to an earlier callbackId
+ */
+const AndroidWebBridge = () => {
+    const handlers = {}
+    const responseCallbacks = {}
+    let uniqueId = 1
+
+    function postMessage (message) {
+        window.AndroidNativeBridge.postMessage(JSON.stringify(message))
+    }
+
+    const bridge = {
+        registerHandler: function(handlerName, handler) {
+            handlers[handlerName] = handler
+        },
+        callHandler: function(handlerName, data, responseCallback) {
+            const message = { handlerName: handlerName, data: data }
+            if (responseCallback) {
+                const callbackId = `cb_${uniqueId++}_${new Date().getTime()}`
+                responseCallbacks[callbackId] = responseCallback
+                message.callbackId = callbackId
+            }
+            postMessage(message)
+        },
+        handleMessageFromNative: function(json) {
+            const message = typeof json === 'string' ? JSON.parse(json) : json
+            if (message.responseId) {
+                const responseCallback = responseCallbacks[message.responseId]
+                delete responseCallbacks[message.responseId]
+                if (responseCallback) {
+                    responseCallback(message.responseData)
+                }
+                return
+            }
+            let responseCallback = null
+            if (message.callbackId) {
+                responseCallback = responseData => {
+                    postMessage({ responseId: message.callbackId, responseData: responseData })
+                }
+            }
+            const handler = handlers[message.handlerName]
+            if (!handler) {
+                console.log('AndroidWebViewBridge: no handler for', message.handlerName)
+                return
+            }
+            handler(message.data, responseCallback)
+        }
+    }
+
+    return {
+        isAvailable: function() {
+            return typeof window !== 'undefined' && !!window.AndroidNativeBridge
+        },
+        setupWKWebViewJavascriptBridge: function(callback) {
+            if (!window.AndroidWebViewBridge) {
+                window.AndroidWebViewBridge = bridge
+            }
+            return callback(window.AndroidWebViewBridge)
+        }
+    }
+}
+export default AndroidWebBridge()
@@ -0,0 +1,179 @@
+import Emitter from 'events'
+import webBridge from './web-bridge'
+
+const DEFAULT_SCAN_DURATION = 3000
+// a board that stopped advertising this long ago is dropped from the live list
+const STALE_AFTER = 10000
+const LAST_DEVICE_KEY = 'firmataBridge.lastBleDevice'
+
+function storage () {
+    try {
+        return typeof localStorage !== 'undefined' ? localStorage : null
+    } catch (e) {
+        // some WebViews throw when storage is disabled
+        return null
+    }
+}
+
+function matchesFilters (advert, filters) {
+    if (filters.name && advert.name !== filters.name) {
+        return false
+    }
+    if (filters.namePrefix && !(advert.name || '').startsWith(filters.namePrefix)) {
+        return false
+    }
+    // shells that do not report service uuids are trusted to have filtered natively
+    if (filters.services && filters.services.length > 0 && advert.services) {
+        const services = advert.services.map(uuid => String(uuid).toLowerCase())
+        return filters.services.some(uuid => services.indexOf(String(uuid).toLowerCase()) > -1)
+    }
+    return true
+}
+
+/**
+ * Scans for nearby boards through the native BLE stack.
+ *
+ * Native answers 'bleStartScan' with "success" and then calls the 'bleScanResult'
+ * handler with { id, name, rssi, services } for every advertisement it sees.
+ * Emits 'start', 'update' with the current device list, strongest signal first,
+ * and 'stop' when a scan ends. Also remembers the last connected board for one-tap reconnect.
+ */
+class BleScanner extends Emitter {
+    constructor () {
+        super()
+        this.found = new Map()
+        this.filters = {}
+        this.scanning = false
+        this.supported = false
+        this.handlerRegistered = false
+    }
+
+    registerHandler () {
+        if (this.handlerRegistered) return
+        this.handlerRegistered = true
+        webBridge.setupWKWebViewJavascriptBridge(bridge => {
+            bridge.registerHandler('bleScanResult', data => this.onAdvertisement(data))
+        })
+    }
+
+    isScanning () {
+        return this.scanning
+    }
+
+    /**
+     * @param {Object} [filters] name, namePrefix and services (uuid strings).
+     */
+    start (filters) {
+        this.registerHandler()
+        this.filters = Object.assign({}, filters)
+        this.found.clear()
+        this.scanning = true
+        this.emit('start')
+        const request = {
+            name: this.filters.name || null,
+            namePrefix: this.filters.namePrefix || null,
+            services: this.filters.services || []
+        }
+        webBridge.setupWKWebViewJavascriptBridge(bridge => {
+            bridge.callHandler('bleStartScan', request, response => {
+                console.log('JS got response', response)
+                if (response === 'success') {
+                    this.supported = true
+                }
+            })
+        })
+    }
+
+    stop () {
+        if (!this.scanning) return
+        this.scanning = false
+        webBridge.setupWKWebViewJavascriptBridge(bridge => {
+            bridge.callHandler('bleStopScan', null, null)
+        })
+        this.emit('stop', this.getDevices())
+    }
+
+    /**
+     * Scans for a while and resolves with what was found. Resolves with null when
+     * native never acknowledged the scan, i.e. the shell predates scanning.
+     */
+    scan (filters, duration = DEFAULT_SCAN_DURATION) {
+        if (!webBridge.getHost()) {
+            return Promise.resolve(null)
+        }
+        this.supported = false
+        this.start(filters)
+        return new Promise(resolve => {
+            setTimeout(() => {
+                const devices = this.getDevices()
+                this.stop()
+                resolve(this.supported ? devices : null)
+            }, duration)
+        })
+    }
+
+    onAdvertisement (data) {
+        if (!this.scanning || !data || !data.id) return
+        // any result proves the shell can scan, even if the acknowledgement got lost
+        this.supported = true
+        if (!matchesFilters(data, this.filters)) return
+        this.found.set(data.id, {
+            id: data.id,
+            name: data.name || null,
+            commName: data.name || data.id,
+            commType: 'ble_mobile',
+            rssi: typeof data.rssi === 'number' ? data.rssi : null,
+            lastSeen: Date.now()
+        })
+        this.emit('update', this.getDevices())
+    }
+
+    getDevices () {
+        const now = Date.now()
+        const devices = []
+        this.found.forEach((device, id) => {
+            if (now - device.lastSeen > STALE_AFTER) {
+                this.found.delete(id)
+            } else {
+                devices.push(device)
+            }
+        })
+        // boards without an rssi reading go last
+        const strength = device => device.rssi === null ? -1000 : device.rssi
+        return devices.sort((a, b) => strength(b) - strength(a))
+    }
+
+    find (id) {
+        return this.found.get(id) || null
+    }
+
+    rememberDevice (device) {
+        const store = storage()
+        if (!store || !device || !device.id) return
+        store.setItem(LAST_DEVICE_KEY, JSON.stringify({
+            id: device.id,
+            name: device.name || null,
+            commName: device.commName || device.name || device.id,
+            commType: 'ble_mobile'
+        }))
+    }
+
+    getLastDevice () {
+        const store = storage()
+        if (!store) return null
+        try {
+            return JSON.parse(store.getItem(LAST_DEVICE_KEY))
+        } catch (e) {
+            return null
+        }
+    }
+
+    forgetDevice () {
+        const store = storage()
+        if (store) {
+            store.removeItem(LAST_DEVICE_KEY)
+        }
+    }
+}
+
+export default new BleScanner()
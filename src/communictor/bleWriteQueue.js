@@ -0,0 +1,128 @@
+// default ATT payload (23 byte MTU minus the 3 byte header)
+const DEFAULT_MTU = 20
+// bytes waiting to be written before new writes have to wait
+const DEFAULT_HIGH_WATER_MARK = 512
+const DEFAULT_ACK_TIMEOUT = 1000
+
+/**
+ * Splits outgoing messages into MTU sized chunks and writes them one at a time,
+ * each chunk waiting for the acknowledgement of the one before.
+ *
+ * write() resolves once every chunk of the message is acknowledged. When more than
+ * highWaterMark bytes are queued, write() waits for the queue to drain before it
+ * accepts the message, so fast callers are slowed down instead of losing bytes.
+ */
+class BleWriteQueue {
+    /**
+     * @param {function} writeChunk Writes one Uint8Array chunk, returns a promise resolved on acknowledgement.
+     * @param {Object} [options] mtu, highWaterMark and ackTimeout (ms).
+     */
+    constructor (writeChunk, options) {
+        const settings = Object.assign({
+            mtu: DEFAULT_MTU,
+            highWaterMark: DEFAULT_HIGH_WATER_MARK,
+            ackTimeout: DEFAULT_ACK_TIMEOUT
+        }, options)
+        this.writeChunk = writeChunk
+        this.mtu = settings.mtu
+        this.highWaterMark = settings.highWaterMark
+        this.ackTimeout = settings.ackTimeout
+        this.chunks = []
+        this.queuedBytes = 0
+        this.writing = false
+        this.waiters = []
+    }
+
+    setMtu (mtu) {
+        if (mtu > 0) {
+            this.mtu = mtu
+        }
+    }
+
+    write (data) {
+        const bytes = Uint8Array.from(data)
+        return this.whenWritable().then(() => new Promise((resolve, reject) => {
+            const message = { resolve: resolve, reject: reject, remaining: 0 }
+            for (let offset = 0; offset < bytes.length; offset += this.mtu) {
+                this.chunks.push({ message: message, bytes: bytes.slice(offset, offset + this.mtu) })
+                message.remaining++
+            }
+            if (message.remaining === 0) {
+                resolve()
+                return
+            }
+            this.queuedBytes += bytes.length
+            this.pump()
+        }))
+    }
+
+    whenWritable () {
+        // waiters go first so earlier callers keep their order
+        if (this.waiters.length === 0 && this.queuedBytes < this.highWaterMark) {
+            return Promise.resolve()
+        }
+        return new Promise((resolve, reject) => this.waiters.push({ resolve: resolve, reject: reject }))
+    }
+
+    releaseWaiters () {
+        while (this.waiters.length > 0 && this.queuedBytes < this.highWaterMark) {
+            this.waiters.shift().resolve()
+        }
+    }
+
+    acknowledged (chunk) {
+        let timer
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error('BLE write not acknowledged')), this.ackTimeout)
+        })
+        return Promise.race([this.writeChunk(chunk.bytes), timeout]).then(() => {
+            clearTimeout(timer)
+        }, error => {
+            clearTimeout(timer)
+            throw error
+        })
+    }
+
+    pump () {
+        if (this.writing || this.chunks.length === 0) return
+        this.writing = true
+        const chunk = this.chunks.shift()
+        this.acknowledged(chunk).then(() => {
+            this.writing = false
+            // clear() may have zeroed the count while this chunk was in flight
+            this.queuedBytes = Math.max(0, this.queuedBytes - chunk.bytes.length)
+            chunk.message.remaining--
+            if (chunk.message.remaining === 0) {
+                chunk.message.resolve()
+            }
+            this.releaseWaiters()
+            this.pump()
+        }, error => {
+            this.writing = false
+            // the link is unusable, fail this message and everything behind it
+            chunk.message.reject(error)
+            this.clear(error)
+        })
+    }
+
+    /**
+     * Drops everything queued, rejecting the pending writes and the callers
+     * still waiting for room.
+     */
+    clear (error) {
+        const reason = error || new Error('No connection')
+        const failed = new Set()
+        this.chunks.forEach(chunk => {
+            if (!failed.has(chunk.message)) {
+                failed.add(chunk.message)
+                chunk.message.reject(reason)
+            }
+        })
+        this.waiters.forEach(waiter => waiter.reject(reason))
+        this.chunks = []
+        this.waiters = []
+        this.queuedBytes = 0
+    }
+}
+
+export default BleWriteQueue
@@ -1,15 +1,94 @@
 
-import bleComm from './iosBleComm'
-import Emitter from  'events'
-let instance = null
+import bleComm, { BleComm } from './iosBleComm'
+import webSerialComm, { WebSerialComm } from './webSerialComm'
+import webBleComm, { WebBleComm } from './webBleComm'
+import webSocketComm, { WebSocketComm } from './webSocketComm'
+import Transport from './transport'
+import TransportStats from './transportStats'
+import ConnectionState, { IDLE, SCANNING, CONNECTING, HANDSHAKING, READY, DISCONNECTING, FAILED } from './connectionState'
 
-class Communicator extends Emitter {
-    constructor () {
+export const DEFAULT_DEVICE_ID = 'default'
+
+// the default communicator drives the shared comms, every other device gets its own
+const comms = {
+    ble_mobile: bleComm,
+    web_serial: webSerialComm,
+    web_ble: webBleComm,
+    websocket: webSocketComm
+}
+
+const commClasses = {
+    ble_mobile: BleComm,
+    web_serial: WebSerialComm,
+    web_ble: WebBleComm,
+    websocket: WebSocketComm
+}
+
+// auto-reconnect is opt-in; delays grow initialDelay * factor^(attempt - 1) up to maxDelay
+const defaultReconnectPolicy = {
+    enabled: false,
+    initialDelay: 500,
+    factor: 2,
+    maxDelay: 10000,
+    maxAttempts: 5
+}
+
+/**
+ * Board's transport for the app: adapts whichever comm is connected to the Transport
+ * contract. A comm implements
+ *
+ *   connect(device, options)  promise, resolves once the link is up
+ *   disconnect()              promise
+ *   sendMsgPromise(bytes)     promise, rejects when the link is down
+ *   setReceiver(receiver)     receiver(bytes) for data, receiver(null, true) when the link is lost
+ *   getDevices()              the devices it can connect, { commName, commType, ... }
+ *   isConnected()
+ *
+ * and optionally setErrorReceiver(receiver) for payloads it had to drop.
+ *
+ * Unlike other transports, Communicator also emits 'disconnect' before the 'close'
+ * of a requested disconnect(); Board and the bridge reset on it.
+ */
+export class Communicator extends Transport {
+    constructor (id = DEFAULT_DEVICE_ID) {
         super()
-        if (!instance) {
-            instance = this
+        this.id = id
+        this.ownComms = {}
+        this.reconnectPolicy = Object.assign({}, defaultReconnectPolicy)
+        this.reconnectTimer = null
+        this.reconnectId = 0
+        this.stats = new TransportStats()
+        this.statsTimer = null
+        this.connection = new ConnectionState()
+        this.connection.on('statechange', change => this.emit('statechange', change))
+    }
+
+    getState () {
+        return this.connection.state
+    }
+
+    /**
+     * Mirrors a BLE scan into the state while nothing is connected.
+     */
+    setScanning (active) {
+        if (active && this.connection.can(SCANNING)) {
+            this.connection.transition(SCANNING)
+        } else if (!active && this.connection.is(SCANNING)) {
+            this.connection.transition(IDLE)
         }
-        return instance
+    }
+
+    // called by Board once the Firmata handshake is through, or when it cannot be
+    handshakeComplete () {
+        if (this.connection.is(FAILED) && this.currentDevice) {
+            // the firmware answered after the handshake timed out, on the same link
+            this.connection.transition(HANDSHAKING)
+        }
+        this.connection.transition(READY)
+    }
+
+    handshakeFailed (reason) {
+        this.connection.transition(FAILED, reason)
     }
 
     setCommunicator (communicator) {
@@ -19,69 +98,259 @@ class Communicator extends Emitter {
     msgReceiver (data, isError) {
         console.log("msgReceiver",isError)
         if (isError) {
-            this.disconnect()
+            this.connectionLost()
         } else {
             console.log("emit data",data)
-            this.emit('data', data)
+            this.stats.recordReceived(data.length)
+            this.notifyData(data)
         }
     }
 
     write (data) {
-        if (this.communicator) {
-            return this.sendMsgPromise(data)
-        }
+        return this.sendMsgPromise(data)
+    }
+
+    /**
+     * Whether the connected comm paces writes itself (BLE, see BleWriteQueue),
+     * so Board lets writes wait for it without a limit.
+     */
+    pacesWrites () {
+        return !!(this.communicator && this.communicator.writeQueue)
     }
 
 
     sendMsgPromise (data) {
-        if (this.communicator) {
+        if (this.communicator && this.isOpen()) {
             console.log("sendMsgPromise",data)
-            return this.communicator.sendMsgPromise(data)
+            const started = Date.now()
+            return Promise.resolve(this.communicator.sendMsgPromise(data)).then(ret => {
+                this.stats.recordSent(data.length, Date.now() - started)
+                return ret
+            }, error => {
+                this.stats.recordFailed()
+                throw error
+            })
         }
+        this.stats.recordFailed()
         return Promise.reject(new Error('No connection'))
     }
 
 
-    getDeviceList () {
+    /**
+     * @param {Object} [filters] name, namePrefix and services for the BLE scan.
+     */
+    getDeviceList (filters) {
         console.log("getDeviceList")
-        return Promise.all([bleComm.getDevices()])
+        return Promise.all([
+            bleComm.getDevices(filters),
+            webSerialComm.getDevices(),
+            webBleComm.getDevices(),
+            webSocketComm.getDevices()
+        ])
+    }
+
+    requestDevice (commType, options) {
+        if (commType === 'web_serial') {
+            return webSerialComm.requestDevice(options && options.filters)
+        }
+        if (commType === 'web_ble') {
+            return webBleComm.requestDevice()
+        }
+        return Promise.reject(new Error(`Cannot request a ${commType} device`))
+    }
+
+    /**
+     * Called by Board for bytes its parser discards while resynchronising.
+     */
+    recordDiscarded (length) {
+        this.stats.recordDiscarded(length)
+    }
+
+    getStats () {
+        return this.stats.snapshot()
+    }
+
+    /**
+     * Emits 'stats' with a snapshot every `interval` ms; 0 stops it.
+     */
+    setStatsInterval (interval) {
+        if (this.statsTimer !== null) {
+            clearInterval(this.statsTimer)
+            this.statsTimer = null
+        }
+        if (interval > 0) {
+            this.stats.sample()
+            this.statsTimer = setInterval(() => {
+                this.emit('stats', this.stats.sample())
+            }, interval)
+        }
+    }
+
+    setReconnectPolicy (policy) {
+        this.reconnectPolicy = Object.assign({}, this.reconnectPolicy, policy)
+    }
+
+    isReconnecting () {
+        return this.reconnectTimer !== null
+    }
+
+    /**
+     * The link dropped without being asked to: tear it down, then start
+     * reconnecting if the policy allows it.
+     */
+    connectionLost () {
+        const device = this.currentDevice
+        const p = this.disconnect()
+        if (device && this.reconnectPolicy.enabled) {
+            this.reconnect(device, 1)
+        }
+        return p
+    }
+
+    reconnect (device, attempt) {
+        const policy = this.reconnectPolicy
+        const id = this.reconnectId
+        if (attempt > policy.maxAttempts) {
+            this.reconnectTimer = null
+            this.emit('reconnect-failed', { attempts: policy.maxAttempts })
+            return
+        }
+        const delay = Math.min(policy.initialDelay * Math.pow(policy.factor, attempt - 1), policy.maxDelay)
+        this.emit('reconnecting', { attempt: attempt, maxAttempts: policy.maxAttempts, delay: delay })
+        this.reconnectTimer = setTimeout(() => {
+            this.connectInternal(device, this.connectOptions).then(() => {
+                if (id !== this.reconnectId) {
+                    // cancelled while this attempt was in flight
+                    this.disconnect()
+                    return
+                }
+                this.reconnectTimer = null
+                this.notifyOpen()
+                this.emit('reconnected', { attempt: attempt })
+            }, error => {
+                console.log('reconnect attempt failed', attempt, error)
+                this.currentDevice = null
+                if (id === this.reconnectId) {
+                    this.reconnect(device, attempt + 1)
+                }
+            })
+        }, delay)
+    }
+
+    cancelReconnect () {
+        if (this.reconnectTimer === null) {
+            return
+        }
+        clearTimeout(this.reconnectTimer)
+        this.reconnectTimer = null
+        this.reconnectId++
+        this.emit('reconnect-cancelled')
     }
 
     disconnect () {
         console.log("disconnect")
+        this.cancelReconnect()
         if (!this.currentDevice) {
+            // a failed connect leaves nothing to tear down
+            if (this.connection.is(FAILED)) {
+                this.connection.transition(IDLE)
+            }
             return new Promise(resolve => {
                 resolve()
             })
         }
 
-        if (this.currentDevice.commType === 'ble_mobile') {
-            bleComm.setReceiver(null)
+        const comm = this.communicator
+        if (comm) {
+            comm.setReceiver(null)
+            if (comm.setErrorReceiver) {
+                comm.setErrorReceiver(null)
+            }
             this.currentDevice = null
-            this.emit('disconnect')
-            return bleComm.disconnect()
+            this.connection.transition(DISCONNECTING)
+            this.notifyClose(true)
+            return Promise.resolve(comm.disconnect()).then(ret => {
+                this.connection.transition(IDLE)
+                return ret
+            }, error => {
+                this.connection.transition(FAILED, error.message)
+                throw error
+            })
         }
     }
-    connect (device, currentDevice) {
+    close () {
+        return this.disconnect()
+    }
+
+    connect (device, options) {
         console.log("connect",device)
-        return this.connectInternal(device, currentDevice).then(ret => new Promise((resolve, reject) => {
-            this.emit('open')
-            console.log("12321321312312312321312312")
+        this.cancelReconnect()
+        if (this.connection.is(FAILED) && this.currentDevice) {
+            // a failed handshake leaves its link open, close it before opening another
+            return this.disconnect().then(() => this.connect(device, options))
+        }
+        if (!this.connection.can(CONNECTING)) {
+            return Promise.reject(new Error(`Cannot connect while ${this.connection.state}`))
+        }
+        this.connectOptions = options
+        this.stats.reset()
+        return this.connectInternal(device, options).then(ret => new Promise((resolve, reject) => {
+            this.notifyOpen()
             setTimeout(() => {
                 resolve(ret)
             }, 200)
         })).catch((error)=>{
-            console.log("errrro1111111",error)
+            console.log("connect error",error)
+            this.currentDevice = null
+            this.setCommunicator(null)
+            throw error
         })
     }
-    connectInternal (device) {
+
+    getComm (device) {
+        // loopback devices carry their own comm, see loopbackTransport.getDevices
+        if (device.comm) {
+            return device.comm
+        }
+        if (this.id === DEFAULT_DEVICE_ID) {
+            return comms[device.commType]
+        }
+        const Comm = commClasses[device.commType]
+        if (!Comm) {
+            return null
+        }
+        if (!this.ownComms[device.commType]) {
+            this.ownComms[device.commType] = new Comm()
+        }
+        return this.ownComms[device.commType]
+    }
+
+    connectInternal (device, options) {
         console.log("connectInternal",device)
+        this.connection.transition(CONNECTING)
         this.currentDevice = device
-        if (device.commType === 'ble_mobile') {
-            this.setCommunicator(bleComm)
-            bleComm.setReceiver(this.msgReceiver.bind(this))
-            return bleComm.connect()
+        const comm = this.getComm(device)
+        if (comm) {
+            this.setCommunicator(comm)
+            comm.setReceiver(this.msgReceiver.bind(this))
+            if (comm.setErrorReceiver) {
+                comm.setErrorReceiver(error => this.emit('wire-error', error))
+            }
+            return comm.connect(device, options).then(ret => {
+                if (!this.connection.is(CONNECTING)) {
+                    // disconnect() ran while the link was opening, close what it missed
+                    return Promise.resolve(comm.disconnect()).then(() => {
+                        throw new Error('Disconnected while connecting')
+                    })
+                }
+                this.connection.transition(HANDSHAKING)
+                return ret
+            }, error => {
+                this.connection.transition(FAILED, error.message)
+                throw error
+            })
         }
+        this.connection.transition(FAILED, 'No communication device')
         return Promise.reject(new Error('No communication device'))
     }
 }
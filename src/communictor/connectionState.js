@@ -0,0 +1,57 @@
+import Emitter from 'events'
+
+export const IDLE = 'idle'
+export const SCANNING = 'scanning'
+export const CONNECTING = 'connecting'
+export const HANDSHAKING = 'handshaking'
+export const READY = 'ready'
+export const DISCONNECTING = 'disconnecting'
+export const FAILED = 'failed'
+
+// state -> states it may move to
+const TRANSITIONS = {
+    [IDLE]: [SCANNING, CONNECTING],
+    [SCANNING]: [IDLE, CONNECTING],
+    [CONNECTING]: [HANDSHAKING, DISCONNECTING, FAILED],
+    [HANDSHAKING]: [READY, DISCONNECTING, FAILED],
+    [READY]: [DISCONNECTING],
+    [DISCONNECTING]: [IDLE, FAILED],
+    // HANDSHAKING: a late handshake reply on a link that timed out
+    [FAILED]: [IDLE, SCANNING, CONNECTING, HANDSHAKING, DISCONNECTING]
+}
+
+/**
+ * The one place a device's connection state lives, from the link (Communicator)
+ * up to the Firmata handshake (Board). Emits 'statechange' with
+ * { from, to, reason } on every transition it allows.
+ */
+class ConnectionState extends Emitter {
+    constructor () {
+        super()
+        this.state = IDLE
+    }
+
+    is (...states) {
+        return states.indexOf(this.state) > -1
+    }
+
+    can (to) {
+        return TRANSITIONS[this.state].indexOf(to) > -1
+    }
+
+    /**
+     * @return {boolean} false when `to` is not reachable from the current state
+     */
+    transition (to, reason) {
+        if (!this.can(to)) {
+            console.log(`ignored state change ${this.state} -> ${to}`)
+            return false
+        }
+        const from = this.state
+        this.state = to
+        this.emit('statechange', { from: from, to: to, reason: reason || null })
+        return true
+    }
+}
+
+export default ConnectionState
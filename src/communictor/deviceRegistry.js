@@ -0,0 +1,90 @@
+import Emitter from 'events'
+import Firmata from './firmata.js'
+import { Communicator, DEFAULT_DEVICE_ID } from './communicator.js'
+
+let nextId = 1
+
+/**
+ * Keeps one Communicator and one Board per connected device, addressed by device id.
+ * Emits 'added' and 'removed' with the { id, communicator, board } entry.
+ */
+class DeviceRegistry extends Emitter {
+    constructor () {
+        super()
+        this.entries = new Map()
+    }
+
+    register (id, communicator, board) {
+        const entry = { id: id, communicator: communicator, board: board }
+        this.entries.set(id, entry)
+        this.emit('added', entry)
+        return entry
+    }
+
+    /**
+     * Connects another device next to the default one.
+     * @param {Object} device A device from communicator.getDeviceList().
+     * @param {Object} [options] Board options for the new board.
+     * @return {Promise} resolves to the registry entry once the link is open
+     */
+    connect (device, options) {
+        const id = device.id || `${device.commType}-${nextId++}`
+        if (this.entries.has(id)) {
+            return Promise.reject(new Error(`Device ${id} is already connected`))
+        }
+        const communicator = new Communicator(id)
+        const board = new Firmata(communicator, options)
+        const entry = this.register(id, communicator, board)
+        return communicator.connect(device, board.settings.serialport).then(() => entry, error => {
+            this.remove(id)
+            throw error
+        })
+    }
+
+    get (id) {
+        return this.entries.get(id || DEFAULT_DEVICE_ID)
+    }
+
+    getBoard (id) {
+        const entry = this.get(id)
+        return entry ? entry.board : null
+    }
+
+    disconnect (id) {
+        const entry = this.get(id)
+        if (!entry) {
+            return Promise.resolve()
+        }
+        return Promise.resolve(entry.communicator.disconnect()).then(() => {
+            // the default device stays registered so it can be reconnected from native
+            if (entry.id !== DEFAULT_DEVICE_ID) {
+                this.remove(entry.id)
+            }
+        })
+    }
+
+    remove (id) {
+        const entry = this.entries.get(id)
+        if (!entry) return
+        this.entries.delete(id)
+        entry.board.removeAllListeners()
+        entry.communicator.setStatsInterval(0)
+        this.emit('removed', entry)
+    }
+
+    list () {
+        return Array.from(this.entries.values()).map(entry => {
+            const device = entry.communicator.currentDevice
+            return {
+                id: entry.id,
+                commName: device ? device.commName : null,
+                commType: device ? device.commType : null,
+                connected: !!device,
+                state: entry.communicator.getState(),
+                ready: entry.board.isReady
+            }
+        })
+    }
+}
+
+export default DeviceRegistry
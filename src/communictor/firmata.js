@@ -3,48 +3,60 @@ const Emitter = require('events').EventEmitter
 
 const AsyncLock = require('async-lock')
 
+const SerialReader = require('./serialReader')
+const { Stepper, StepperGroup } = require('./accelStepper')
+const I2cSubscription = require('./i2cSubscription')
+const FirmataDecoder = require('./firmataDecoder')
+const encode = require('./firmataEncoder')
+const { FIRMWARE_POLICY, DEPRECATED, UNSUPPORTED, checkFirmware } = require('./firmwareCompatibility')
+
 /**
  * constants
  */
-const HEX_NAME = "AppBuggy_V1.3"
-const ANALOG_MAPPING_QUERY = 0x69
 const ANALOG_MAPPING_RESPONSE = 0x6A
 const ANALOG_MESSAGE = 0xE0
-const CAPABILITY_QUERY = 0x6B
 const CAPABILITY_RESPONSE = 0x6C
 const DIGITAL_MESSAGE = 0x90
-const END_SYSEX = 0xF7
-const EXTENDED_ANALOG = 0x6F
-const I2C_CONFIG = 0x78
 const I2C_REPLY = 0x77
-const I2C_REQUEST = 0x76
-const PIN_MODE = 0xF4
-const PIN_STATE_QUERY = 0x6D
+const I2C_REPLY_TIMEOUT = 1000
 const PIN_STATE_RESPONSE = 0x6E
 const PING_READ = 0x75
 const QUERY_FIRMWARE = 0x79
-const REPORT_ANALOG = 0xC0
-const REPORT_DIGITAL = 0xD0
 const REPORT_VERSION = 0xF9
-const SAMPLING_INTERVAL = 0x7A
-const SERVO_CONFIG = 0x70
 const SERIAL_MESSAGE = 0x60
-const SERIAL_CONFIG = 0x10
-const SERIAL_WRITE = 0x20
-const SERIAL_READ = 0x30
-const SERIAL_CLOSE = 0x50
-const SERIAL_FLUSH = 0x60
-const SERIAL_LISTEN = 0x70
+const SERIAL_REPLY = 0x40
+const ONEWIRE_DATA = 0x73
+const ONEWIRE_SEARCH_REPLY = 0x42
+const ONEWIRE_READ_REPLY = 0x43
+const ONEWIRE_SEARCH_ALARMS_REPLY = 0x45
+const ONEWIRE_REPLY_TIMEOUT = 1000
+const DS18B20_FAMILY = 0x28
+const DS18B20_CONVERT_T = 0x44
+const DS18B20_READ_SCRATCHPAD = 0xBE
+// worst case conversion time, at 12 bit resolution
+const DS18B20_CONVERSION_TIME = 750
+const SCHEDULER_DATA = 0x7B
+const ERROR_TASK_REPLY = 0x08
+const QUERY_ALL_TASKS_REPLY = 0x09
+const QUERY_TASK_REPLY = 0x0A
+// task bytes per ADD_TO_FIRMATA_TASK, so the encoded message fits the firmware's sysex buffer
+const SCHEDULER_CHUNK_SIZE = 32
+const SCHEDULER_REPLY_TIMEOUT = 1000
 const START_SYSEX = 0xF0
 const STEPPER = 0x72
+const ACCELSTEPPER = 0x62
+const ACCELSTEPPER_REPORT_POSITION = 0x06
+const ACCELSTEPPER_MOVE_COMPLETE = 0x0A
+const MULTISTEPPER_MOVE_COMPLETE = 0x24
+const ACCELSTEPPER_REPLY_TIMEOUT = 1000
+const ENCODER_DATA = 0x61
+const ENCODER_REPLY_TIMEOUT = 1000
+// for the pin states of a whole board, see snapshot
+const SNAPSHOT_TIMEOUT = 5000
 const STRING_DATA = 0x71
-const SYSTEM_RESET = 0xFF
 const MICRODUINO_OLED = 0x01
 const MICRODUINO_COLOR_LED = 0x03
-const MICRODUINO_BUZZER = 0x04
-const MICRODUINO_MOTOR = 0x05
 const MICRODUINO_IR = 0x07
-const MICRODUINO_SERVO = 0x09
 const MICRODUINO_MOTION = 0x0A
 const MICRODUINO_NIXIETUBE = 0x0B
 const MICRODUINO_CMD_DELAY = 40 // ms
@@ -287,24 +299,18 @@ SYSEX_RESPONSE[ANALOG_MAPPING_RESPONSE] = function (board) {
     board.emit('analog-mapping-query')
 }
 
-let irData = { '0x1FE48B7': {},
-    '0x1FE807F': {},
-    '0x1FE40BF': {},
-    '0x1FEC03F': {},
-    '0x1FE20DF': {},
-    '0x1FE609F': {},
-    '0x1FEA05F': {},
-    '0x1FED827': {},
-    '0x1FEE01F': {},
-    '0x1FE906F': {},
-    '0x1FE10EF': {},
-    '0x1FE50AF': {},
-    '0x1FEF807': {},
-    '0x1FE708F': {},
-    '0x1FEB04F': {},
-    '0x1FE30CF': {} }
-let irTimer
-let irCode = 0
+const IR_KEYS = ['0x1FE48B7', '0x1FE807F', '0x1FE40BF', '0x1FEC03F',
+    '0x1FE20DF', '0x1FE609F', '0x1FEA05F', '0x1FED827',
+    '0x1FEE01F', '0x1FE906F', '0x1FE10EF', '0x1FE50AF',
+    '0x1FEF807', '0x1FE708F', '0x1FEB04F', '0x1FE30CF']
+
+function createIrData () {
+    return IR_KEYS.reduce((keys, key) => {
+        keys[key] = {}
+        return keys
+    }, {})
+}
+
 SYSEX_RESPONSE[MICRODUINO_IR] = function (board) {
     const buffer = board.currentBuffer.slice(2, -1)
     if (buffer.length < 8) return
@@ -317,22 +323,22 @@ SYSEX_RESPONSE[MICRODUINO_IR] = function (board) {
     if (currentCode === 0) return
 
     if (currentCode === 0xFFFFFFFF || currentCode === -1) {
-        clearTimeout(irTimer)
-        currentCode = irCode
+        clearTimeout(board.irTimer)
+        currentCode = board.irCode
     } else {
-        if (irCode > 0) {
-            const k = `0x${irCode.toString(16).toUpperCase()}`
-            const key = irData[k]
+        if (board.irCode > 0) {
+            const k = `0x${board.irCode.toString(16).toUpperCase()}`
+            const key = board.irData[k]
             key.value = 1
             key.event = KEY_RELEASED
         }
 
         const k = `0x${currentCode.toString(16).toUpperCase()}`
-        const key = irData[k]
+        const key = board.irData[k]
         key.value = 0
         key.event = KEY_PRESSED
 
-        // for (const key of Object.keys(irData)) {
+        // for (const key of Object.keys(board.irData)) {
         //     const val = obj[key];
         //     if (parseInt(key) === code){
 
@@ -340,17 +346,16 @@ SYSEX_RESPONSE[MICRODUINO_IR] = function (board) {
         // }
     }
 
-    irTimer = setTimeout(_ => {
-        const k = `0x${irCode.toString(16).toUpperCase()}`
-        const key = irData[k]
+    board.irTimer = setTimeout(_ => {
+        const k = `0x${board.irCode.toString(16).toUpperCase()}`
+        const key = board.irData[k]
         key.value = 1
         key.event = KEY_RELEASED
     }, 300)
 
-    irCode = currentCode
+    board.irCode = currentCode
 }
 
-let motionData = []
 SYSEX_RESPONSE[MICRODUINO_MOTION] = function (board) {
     const buffer = board.currentBuffer.slice(2, -1)
     if (buffer.length < 13) return
@@ -369,7 +374,7 @@ SYSEX_RESPONSE[MICRODUINO_MOTION] = function (board) {
     data = (data > 0x7FFF) ? (data - 0xFFFF) : data
     motion.z = data
 
-    motionData[type] = motion
+    board.motionData[type] = motion
 
     board.emit(`motion-read-${type}`, motion)
 }
@@ -387,37 +392,31 @@ SYSEX_RESPONSE[MICRODUINO_IBB] = function (board) {
  * @private
  * @param {Board} board the current arduino board we are working with.
  */
-let i2cInputData = []
-const ideaBoardKey = [
-    { value: 0, event: KEY_IDLE, key: 'B' },
-    { value: 0, event: KEY_IDLE, key: 'A' }
-]
 /*
 const KEY_PRESSED = 0;
 const KEY_RELEASED = 1;
 const KEY_PRESSING = 2;
 */
-let i2cOutputData = new Map()
 
-function ideaBoardKeyParser (address, register, reply) {
+function ideaBoardKeyParser (board, address, register, reply) {
     if (address === 0x56 && register === 0x09) {
         const data = `000000${(reply[0]).toString(2)}`.slice(-6)
         for (let j = 0; j < 2; j++) {
             // 0 => B
             // 1 => A
-            const lastValue = ideaBoardKey[j].value
+            const lastValue = board.ideaBoardKeys[j].value
             const temp = +data[j]
             // 0 -> 1
 
             // 事件发生
             if (lastValue !== temp) {
-                temp === 1 ? ideaBoardKey[j].value = 1 : ideaBoardKey[j].value = 0
-                ideaBoardKey[j].event = KEY_PRESSED
+                temp === 1 ? board.ideaBoardKeys[j].value = 1 : board.ideaBoardKeys[j].value = 0
+                board.ideaBoardKeys[j].event = KEY_PRESSED
                 if (temp === 0) {
-                    ideaBoardKey[j].event = KEY_RELEASED
+                    board.ideaBoardKeys[j].event = KEY_RELEASED
                 }
             }
-            // console.log(j, ideaBoardKey[j].key, ideaBoardKey[j].value, ideaBoardKey[j].event);
+            // console.log(j, board.ideaBoardKeys[j].key, board.ideaBoardKeys[j].value, board.ideaBoardKeys[j].event);
         }
     }
 }
@@ -431,9 +430,118 @@ SYSEX_RESPONSE[I2C_REPLY] = function (board) {
         temp = board.currentBuffer[i] | (board.currentBuffer[i + 1] << 7)
         reply.push(temp)
     }
-    i2cInputData[`${address}_${register}`] = reply
-    ideaBoardKeyParser(address, register, reply)
+    // reads of other lengths from the same register are separate requests
+    board.i2cInputData.set(`${address}_${register}_${reply.length}`, { value: reply, time: Date.now() })
+    ideaBoardKeyParser(board, address, register, reply)
     board.emit(`I2C-reply-${address}-${register}`, reply)
+    board.emit(`I2C-reply-${address}-${register}-${reply.length}`, reply)
+}
+
+/**
+ * Handles a SERIAL_REPLY: the bytes a serial peripheral sent, each as two 7-bit bytes.
+ * Emits serial-data-<portId> with the decoded bytes.
+ * @private
+ * @param {Board} board the current arduino board we are working with.
+ */
+
+SYSEX_RESPONSE[SERIAL_MESSAGE] = function (board) {
+    const command = board.currentBuffer[2] & START_SYSEX
+    if (command !== SERIAL_REPLY) return
+    const portId = board.currentBuffer[2] & 0x0F
+    const reply = []
+    for (let i = 3, length = board.currentBuffer.length - 1; i < length; i += 2) {
+        reply.push((board.currentBuffer[i] & 0x7F) | ((board.currentBuffer[i + 1] & 0x7F) << 7))
+    }
+    board.emit(`serial-data-${portId}`, reply)
+}
+
+/**
+ * Unpacks 7-bit bytes from a OneWire reply into 8-bit ones.
+ * @private
+ */
+
+function from7BitArray (encoded) {
+    const decoded = []
+    const length = Math.floor(encoded.length * 7 / 8)
+    for (let i = 0; i < length; i++) {
+        const bit = i * 8
+        const pos = Math.floor(bit / 7)
+        const shift = bit % 7
+        decoded.push(((encoded[pos] >> shift) | (encoded[pos + 1] << (7 - shift))) & 0xFF)
+    }
+    return decoded
+}
+
+/**
+ * The 8 byte ROM codes listed in a search reply.
+ * @private
+ */
+
+function oneWireDevices (board) {
+    const bytes = from7BitArray(board.currentBuffer.slice(4, -1))
+    const devices = []
+    for (let i = 0; i + 8 <= bytes.length; i += 8) {
+        devices.push(bytes.slice(i, i + 8))
+    }
+    return devices
+}
+
+/**
+ * Handles the ONEWIRE_DATA replies: search, alarm search and read.
+ * @private
+ * @param {Board} board the current arduino board we are working with.
+ */
+
+SYSEX_RESPONSE[ONEWIRE_DATA] = function (board) {
+    const subcommand = board.currentBuffer[2]
+    const pin = board.currentBuffer[3]
+    if (subcommand === ONEWIRE_SEARCH_REPLY) {
+        board.emit(`1-wire-search-reply-${pin}`, oneWireDevices(board))
+    } else if (subcommand === ONEWIRE_SEARCH_ALARMS_REPLY) {
+        board.emit(`1-wire-search-alarms-reply-${pin}`, oneWireDevices(board))
+    } else if (subcommand === ONEWIRE_READ_REPLY) {
+        const data = from7BitArray(board.currentBuffer.slice(4, -1))
+        const correlationId = data[0] | (data[1] << 8)
+        board.emit(`1-wire-read-reply-${correlationId}`, data.slice(2))
+    }
+}
+
+/**
+ * The task in a QUERY_TASK_REPLY or ERROR_TASK_REPLY, null when the board has no such task.
+ * @private
+ */
+
+function schedulerTask (board) {
+    const id = board.currentBuffer[3]
+    if (board.currentBuffer.length <= 5) {
+        return null
+    }
+    const decoded = from7BitArray(board.currentBuffer.slice(4, -1))
+    const length = decoded[4] | (decoded[5] << 8)
+    return {
+        id: id,
+        time: (decoded[0] | (decoded[1] << 8) | (decoded[2] << 16) | (decoded[3] << 24)) >>> 0,
+        length: length,
+        position: decoded[6] | (decoded[7] << 8),
+        data: decoded.slice(8, 8 + length)
+    }
+}
+
+/**
+ * Handles the Scheduler replies: the task list, one task, and a task that failed on the board.
+ * @private
+ * @param {Board} board the current arduino board we are working with.
+ */
+
+SYSEX_RESPONSE[SCHEDULER_DATA] = function (board) {
+    const subcommand = board.currentBuffer[2]
+    if (subcommand === QUERY_ALL_TASKS_REPLY) {
+        board.emit('scheduler-tasks', board.currentBuffer.slice(3, -1))
+    } else if (subcommand === QUERY_TASK_REPLY) {
+        board.emit(`scheduler-task-${board.currentBuffer[3]}`, schedulerTask(board))
+    } else if (subcommand === ERROR_TASK_REPLY) {
+        board.emit('scheduler-error', schedulerTask(board) || { id: board.currentBuffer[3] })
+    }
 }
 
 /**
@@ -477,11 +585,173 @@ SYSEX_RESPONSE[STEPPER] = function (board) {
     board.emit(`stepper-done-${deviceNum}`, true)
 }
 
+/**
+ * Decodes the signed 32 bit integer AccelStepperFirmata sends as 5 bytes.
+ * @private
+ */
+
+function decode32BitSignedInteger (bytes) {
+    const value = (bytes[0] & 0x7F) |
+        ((bytes[1] & 0x7F) << 7) |
+        ((bytes[2] & 0x7F) << 14) |
+        ((bytes[3] & 0x7F) << 21) |
+        ((bytes[4] & 0x07) << 28)
+    return (bytes[4] >> 3) & 0x01 ? -value : value
+}
+
+/**
+ * Handles the AccelStepperFirmata replies: a position report and a finished
+ * move of one stepper, and a finished group move.
+ * @private
+ * @param {Board} board the current arduino board we are working with.
+ */
+
+SYSEX_RESPONSE[ACCELSTEPPER] = function (board) {
+    const command = board.currentBuffer[2]
+    const deviceNum = board.currentBuffer[3]
+    if (command === ACCELSTEPPER_REPORT_POSITION) {
+        board.emit(`stepper-position-${deviceNum}`, decode32BitSignedInteger(board.currentBuffer.slice(4, 9)))
+    } else if (command === ACCELSTEPPER_MOVE_COMPLETE) {
+        board.emit(`stepper-done-${deviceNum}`, decode32BitSignedInteger(board.currentBuffer.slice(4, 9)))
+    } else if (command === MULTISTEPPER_MOVE_COMPLETE) {
+        board.emit(`multi-stepper-done-${deviceNum}`)
+    }
+}
+
+/**
+ * Turns a position reported by an encoder into a reading, converted with the
+ * scale given to encoderAttach. The speed is taken over the time since the last report.
+ * @private
+ */
+
+function encoderReading (board, encoderNum, position) {
+    const now = Date.now()
+    const state = board.encoders.get(encoderNum) || {}
+    const countsPerRevolution = state.countsPerRevolution
+    const reading = {
+        encoder: encoderNum,
+        position: position,
+        revolutions: null,
+        distance: null,
+        rpm: null
+    }
+    if (countsPerRevolution) {
+        reading.revolutions = position / countsPerRevolution
+        if (state.distancePerRevolution) {
+            reading.distance = reading.revolutions * state.distancePerRevolution
+        }
+        if (state.time !== undefined && now > state.time) {
+            reading.rpm = ((position - state.position) / countsPerRevolution) / ((now - state.time) / 60000)
+        }
+    }
+    state.position = position
+    state.time = now
+    board.encoders.set(encoderNum, state)
+    return reading
+}
+
+/**
+ * Handles an ENCODER_DATA reply, which reports one or more encoders as 5 bytes each:
+ * the encoder number with the sign in bit 6, then the position in four 7 bit bytes.
+ * Emits "encoder-"+n and "encoder" with the reading.
+ * @private
+ * @param {Board} board the current arduino board we are working with.
+ */
+
+SYSEX_RESPONSE[ENCODER_DATA] = function (board) {
+    const buffer = board.currentBuffer
+    for (let i = 2; i + 5 < buffer.length; i += 5) {
+        const encoderNum = buffer[i] & 0x3F
+        const magnitude = buffer[i + 1] | (buffer[i + 2] << 7) | (buffer[i + 3] << 14) | (buffer[i + 4] << 21)
+        const position = buffer[i] & 0x40 ? -magnitude : magnitude
+        const reading = encoderReading(board, encoderNum, position)
+        board.emit(`encoder-${encoderNum}`, reading)
+        board.emit('encoder', reading)
+    }
+}
+
+/**
+ * Runs the handler for a message from the FirmataDecoder, with the message in
+ * board.currentBuffer as the handlers expect.
+ *
+ * It is possible for the board to have existing activity from a previous run
+ * that will leave any of ANALOG_MESSAGE, SERIAL_READ or I2C_REQUEST CONTINUOUS_READ
+ * active. This means that we will receive these messages on transport "open",
+ * before any handshake can occur. They are only handled AFTER the REPORT_VERSION
+ * message has been received; not doing so results in the program "hanging".
+ * @private
+ * @param {Board} board
+ * @param {Object} message
+ */
+
+function handleMessage (board, message) {
+    board.currentBuffer = Array.from(message.bytes)
+    if (message.type === 'sysex') {
+        const handler = SYSEX_RESPONSE[message.command]
+        if (handler && board.versionReceived) {
+            handler(board)
+        }
+    } else {
+        const handler = MIDI_RESPONSE[message.command]
+        // REPORT_VERSION always comes first, after that any message is valid
+        if (handler && (board.versionReceived || message.command === REPORT_VERSION)) {
+            board.versionReceived = true
+            handler(board)
+        }
+    }
+    board.currentBuffer = []
+}
+
+/**
+ * Calls one of the optional hooks a transport may implement to follow the
+ * parser and handshake (Communicator does): recordDiscarded, handshakeComplete
+ * and handshakeFailed.
+ * @private
+ */
+function notifyTransport (board, hook, ...args) {
+    if (typeof board.transport[hook] === 'function') {
+        board.transport[hook](...args)
+    }
+}
+
+/**
+ * Clears what the module helpers cached about the peripherals on `board`.
+ * Kept per board so several boards can run side by side.
+ * @private
+ * @param {Board} board
+ */
+function resetModuleState (board) {
+    board.ideaboardLed = 0
+    board.sensorPrepareMap = new Map()
+    board.I2CActived = false
+    // last reply per address_register_bytesToRead, as { value, time }
+    board.i2cInputData = new Map()
+    // reads waiting for their reply, per address_register_bytesToRead
+    board.i2cPendingReads = new Map()
+    // the registers the board reads continuously, per address_register_bytesToRead,
+    // as { address, register, bytesToRead }
+    board.i2cContinuous = new Map()
+    if (board.i2cSubscriptions) {
+        board.i2cSubscriptions.forEach(subscriptions => subscriptions.forEach(subscription => subscription.end()))
+    }
+    board.i2cSubscriptions = new Map()
+    board.i2cOutputData = new Map()
+    board.motionData = []
+    board.dotMaxtrixBuffer = null
+    board.joystick = []
+    board.irCode = 0
+    board.irData = createIrData()
+    board.ds18b20Devices = new Map()
+    board.oneWireCorrelationId = 0
+    board.encoders = new Map()
+}
+
 /**
  * @class The Board object represents an arduino board.
  * @augments EventEmitter
- * @param {String} port This is the serial port the arduino is connected to.
- * @param {function} function A function to be called when the arduino is ready to communicate.
+ * @param {Object} port The transport the arduino is connected through.
+ * @param {Object} [options] Overrides for the default settings (reportVersionTimeout, samplingInterval, serialport),
+ * and decoder: the FirmataDecoder options.
  * @property MODES All the modes available for pins on this arduino board.
  * @property I2C_MODES All the I2C modes available.
  * @property SERIAL_MODES All the Serial modes available.
@@ -492,26 +762,33 @@ SYSEX_RESPONSE[STEPPER] = function (board) {
  * @property analogPins An array of analog pins and their corresponding indexes in the pins array.
  * @property version An object indicating the major and minor version of the firmware currently running.
  * @property firmware An object indicateon the name, major and minor version of the firmware currently running.
- * @property currentBuffer An array holding the current bytes received from the arduino.
+ * @property currentBuffer An array holding the message being handled, see handleMessage.
+ * @property decoder The FirmataDecoder parsing what the arduino sends.
  * @property {SerialPort} sp The serial port object used to communicate with the arduino.
  */
 
-function Board (port) {
+function Board (port, options) {
     this.lock = new AsyncLock({ timeout: 2000, maxPending: 10 })
+    // a paced link (BLE waits for write acknowledgements) backs writes up here,
+    // so they wait as long as it takes instead of timing out or being dropped
+    this.pacedLock = new AsyncLock({ maxPending: Infinity })
     Emitter.call(this)
 
-    const options = {}
+    options = options || {}
     const board = this
     const defaults = {
         reportVersionTimeout: 5000,
         samplingInterval: 19,
+        // see firmwareCompatibility.js
+        firmwarePolicy: FIRMWARE_POLICY,
         serialport: {
             baudRate: 57600,
             bufferSize: 256
         }
     }
 
-    const settings = Object.assign({}, defaults, {})
+    const settings = Object.assign({}, defaults, options)
+    settings.serialport = Object.assign({}, defaults.serialport, options.serialport)
 
     this.isReady = false
 
@@ -525,6 +802,7 @@ function Board (port) {
         I2C: 0x06,
         ONEWIRE: 0x07,
         STEPPER: 0x08,
+        ENCODER: 0x09,
         SERIAL: 0x0A,
         PULLUP: 0x0B,
         IGNORE: 0x7F,
@@ -543,8 +821,14 @@ function Board (port) {
         TYPE: {
             DRIVER: 1,
             TWO_WIRE: 2,
+            THREE_WIRE: 3,
             FOUR_WIRE: 4
         },
+        // AccelStepperFirmata only
+        STEP_SIZE: {
+            WHOLE: 1,
+            HALF: 2
+        },
         RUNSTATE: {
             STOP: 0,
             ACCEL: 1,
@@ -613,20 +897,47 @@ function Board (port) {
     this.settings = settings
     this.pending = 0
 
+    resetModuleState(this)
+    this.irTimer = null
+    this.recording = null
+    this.buzzerSongStop = false
+    this.colorLEDFlashStop = false
+    this.ideaBoardKeys = [
+        { value: 0, event: KEY_IDLE, key: 'B' },
+        { value: 0, event: KEY_IDLE, key: 'A' }
+    ]
+
     this.transport = port
 
+    this.decoder = new FirmataDecoder(options.decoder)
+    this.decoder.on('message', message => handleMessage(this, message))
+    // dropped bytes go to the transport's stats
+    this.decoder.on('garbage', garbage => notifyTransport(this, 'recordDiscarded', garbage.bytes))
+    this.decoder.on('resync', resync => this.emit('resync', resync))
+
+    // the next open may be another board, or the same one rebooted,
+    // and a handshake still in progress must not time out on the closed link
+    function resetHandshake () {
+        clearTimeout(board.reportVersionTimeoutId)
+        board.versionReceived = false
+        board.isReady = false
+    }
+
     this.transport.on('close', () => {
+        // also a close() asked for, so that open() again runs a new handshake
+        resetHandshake()
         this.emit('close')
     })
 
     this.transport.on('disconnect', () => {
         // disconnect maybe change hardware
-        board.versionReceived = false
-        board.isReady = false
+        resetHandshake()
         this.emit('disconnect')
     })
 
     this.transport.on('open', () => {
+        // a message cut off by the previous link must not run into the first of this one
+        this.decoder.reset()
         // standardFirmata, disconnected then connect, speed up
         // microduino firmata, speed up
         this.reportVersionTimeoutId = setTimeout(() => {
@@ -638,6 +949,7 @@ function Board (port) {
                 this.reportVersion(() => {})
                 this.queryFirmware(() => {})
                 console.log('query2')
+                notifyTransport(board, 'handshakeFailed', 'timeout')
                 this.emit('timeout')
             }, settings.reportVersionTimeout)
         }, 100)
@@ -649,103 +961,7 @@ function Board (port) {
         this.emit('error', error)
     })
 
-    this.transport.on('data', data => {
-        let byte, currByte, response, first, last, handler
-        console.log(`Firmata received:${new Date().getTime()} :${new Uint8Array(data)}`)
-
-        for (let i = 0; i < data.length; i++) {
-            byte = data[i]
-            // we dont want to push 0 as the first byte on our buffer
-            if (this.currentBuffer.length === 0) {
-                if (byte === 0) continue
-                if (!this.versionReceived && byte !== REPORT_VERSION) continue
-            }
-            this.currentBuffer.push(byte)
-            first = this.currentBuffer[0]
-            last = this.currentBuffer[this.currentBuffer.length - 1]
-            // [START_SYSEX, ... END_SYSEX]
-            if (first === START_SYSEX && last === END_SYSEX) {
-                handler = SYSEX_RESPONSE[this.currentBuffer[1]]
-                // Ensure a valid SYSEX_RESPONSE handler exists
-                // Only process these AFTER the REPORT_VERSION
-                // message has been received and processed.
-                if (handler && this.versionReceived) {
-                    handler(this)
-                }
-
-                // It is possible for the board to have
-                // existing activity from a previous run
-                // that will leave any of the following
-                // active:
-                //
-                //    - ANALOG_MESSAGE
-                //    - SERIAL_READ
-                //    - I2C_REQUEST, CONTINUOUS_READ
-                //
-                // This means that we will receive these
-                // messages on transport "open", before any
-                // handshake can occur. We MUST assert
-                // that we will only process this buffer
-                // AFTER the REPORT_VERSION message has
-                // been received. Not doing so will result
-                // in the appearance of the program "hanging".
-                //
-                // Since we cannot do anything with this data
-                // until _after_ REPORT_VERSION, discard it.
-                //
-                this.currentBuffer.length = 0
-            } else if (first === START_SYSEX && (this.currentBuffer.length > 0)) {
-                // we have a new command after an incomplete sysex command
-                currByte = data[i]
-                if (currByte > 0x7F) {
-                    this.currentBuffer.length = 0
-                    this.currentBuffer.push(currByte)
-                }
-            } else {
-                /* istanbul ignore else */
-                if (first !== START_SYSEX) {
-                    // Check if data gets out of sync: first byte in buffer
-                    // must be a valid response if not START_SYSEX
-                    // Identify response on first byte
-                    response = first < START_SYSEX ? (first & START_SYSEX) : first
-
-                    // Check if the first byte is possibly
-                    // a valid MIDI_RESPONSE (handler)
-                    /* istanbul ignore else */
-                    if (response !== REPORT_VERSION &&
-                        response !== ANALOG_MESSAGE &&
-                        response !== DIGITAL_MESSAGE) {
-                        // If not valid, then we received garbage and can discard
-                        // whatever bytes have been been queued.
-                        this.currentBuffer.length = 0
-                    }
-                }
-            }
-
-            // There are 3 bytes in the buffer and the first is not START_SYSEX:
-            // Might have a MIDI Command
-            if (this.currentBuffer.length === 3 && first !== START_SYSEX) {
-                // response bytes under 0xF0 we have a multi byte operation
-                response = first < START_SYSEX ? (first & START_SYSEX) : first
-                /* istanbul ignore else */
-                if (MIDI_RESPONSE[response]) {
-                    // It's ok that this.versionReceived will be set to
-                    // true every time a valid MIDI_RESPONSE is received.
-                    // This condition is necessary to ensure that REPORT_VERSION
-                    // is called first.
-                    if (this.versionReceived || first === REPORT_VERSION) {
-                        this.versionReceived = true
-                        MIDI_RESPONSE[response](this)
-                    }
-                    this.currentBuffer.length = 0
-                } else {
-                    // A bad serial read must have happened.
-                    // Reseting the buffer will allow recovery.
-                    this.currentBuffer.length = 0
-                }
-            }
-        }
-    })
+    this.transport.on('data', data => this.decoder.write(data))
 
     // if we have not received the version within the alotted
     // time specified by the reportVersionTimeout (user or default),
@@ -761,6 +977,7 @@ function Board (port) {
     function ready () {
         board.isReady = true
         board.init()
+        notifyTransport(board, 'handshakeComplete')
         board.emit('ready')
     }
 
@@ -785,14 +1002,18 @@ function Board (port) {
             this.setSamplingInterval(options.samplingInterval)
         }
 
-        if(board.firmware.name === HEX_NAME){
-            this.queryCapabilities(() => {
-                this.queryAnalogMapping(ready)
-            })
-        }else{
-            board.emit('versionExpired')
+        const compatibility = checkFirmware(board.firmware, settings.firmwarePolicy)
+        if (compatibility.status === UNSUPPORTED) {
+            notifyTransport(board, 'handshakeFailed', 'versionExpired')
+            board.emit('versionExpired', compatibility)
+            return
         }
-
+        if (compatibility.status === DEPRECATED) {
+            board.emit('firmwareDeprecated', compatibility)
+        }
+        this.queryCapabilities(() => {
+            this.queryAnalogMapping(ready)
+        })
     })
 }
 
@@ -826,12 +1047,47 @@ function writeToTransport (board, data) {
         board.isClean = false
     }
 
-    return board.lock.acquire('comm', () => {
+    // the recorder recordTask hands out captures its commands instead of sending them
+    if (board.recording) {
+        board.recording.push(...data)
+        return Promise.resolve()
+    }
+
+    const paced = typeof board.transport.pacesWrites === 'function' && board.transport.pacesWrites()
+    return (paced ? board.pacedLock : board.lock).acquire('comm', () => {
         console.log(`Firmata send:${getHexString(data)}`)
         return board.transport.write(Buffer.from(data))
     })
 }
 
+/**
+ * Sends a request and resolves with the first `event` the board emits after it.
+ * @private
+ * @param {Board} board
+ * @param {string} event
+ * @param {number} timeout ms to wait for the reply
+ * @param {function} send Writes the request, returns a promise.
+ */
+
+function awaitReply (board, event, timeout, send) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            board.removeListener(event, onReply)
+            reject(new Error(`${event} timeout`))
+        }, timeout)
+        function onReply (reply) {
+            clearTimeout(timer)
+            resolve(reply)
+        }
+        board.once(event, onReply)
+        send().catch(error => {
+            clearTimeout(timer)
+            board.removeListener(event, onReply)
+            reject(error)
+        })
+    })
+}
+
 Board.prototype.getPinsForMode = function (mode) {
     return this.pins.reduce((pinlist, pin, index) => {
         if (pin.supportedModes.indexOf(mode) > -1) {
@@ -848,7 +1104,7 @@ Board.prototype.getPinsForMode = function (mode) {
 
 Board.prototype.reportVersion = function (callback) {
     // this.once("reportversion", callback);
-    return writeToTransport(this, [REPORT_VERSION])
+    return writeToTransport(this, encode.reportVersion())
 }
 
 /**
@@ -858,7 +1114,7 @@ Board.prototype.reportVersion = function (callback) {
 
 Board.prototype.queryFirmware = function (callback) {
     this.once('queryfirmware', callback)
-    return writeToTransport(this, [START_SYSEX, QUERY_FIRMWARE, END_SYSEX])
+    return writeToTransport(this, encode.queryFirmware())
 }
 
 /**
@@ -889,31 +1145,7 @@ Board.prototype.analogRead = function (pin, callback) {
  */
 
 Board.prototype.pwmWrite = function (mode, pin, value) {
-    const data = []
-
-    if (pin > 15) {
-        data[0] = START_SYSEX
-        data[1] = EXTENDED_ANALOG
-        data[2] = pin
-        data[3] = value & 0x7F
-        data[4] = (value >> 7) & 0x7F
-
-        if (value > 0x00004000) {
-            data[data.length] = (value >> 14) & 0x7F
-        }
-
-        if (value > 0x00200000) {
-            data[data.length] = (value >> 21) & 0x7F
-        }
-
-        if (value > 0x10000000) {
-            data[data.length] = (value >> 28) & 0x7F
-        }
-
-        data[data.length] = END_SYSEX
-    } else {
-        data.push(ANALOG_MESSAGE | pin, value & 0x7F, (value >> 7) & 0x7F)
-    }
+    const data = pin > 15 ? encode.extendedAnalog(pin, value) : encode.analogMessage(pin, value)
 
     if (this.pins && this.pins.length > pin) {
         let setmode = false
@@ -949,28 +1181,10 @@ Board.prototype.servoWrite = function (pin, value) {
  */
 
 Board.prototype.servoConfig = function (pin, min, max) {
-    // [0]  START_SYSEX  (0xF0)
-    // [1]  SERVO_CONFIG (0x70)
-    // [2]  pin number   (0-127)
-    // [3]  minPulse LSB (0-6)
-    // [4]  minPulse MSB (7-13)
-    // [5]  maxPulse LSB (0-6)
-    // [6]  maxPulse MSB (7-13)
-    // [7]  END_SYSEX    (0xF7)
-
     if (this.pins[pin].mode === this.MODES.SERVO) {
         return Promise.resolve()
     }
-    return writeToTransport(this, [
-        START_SYSEX,
-        SERVO_CONFIG,
-        pin,
-        min & 0x7F,
-        (min >> 7) & 0x7F,
-        max & 0x7F,
-        (max >> 7) & 0x7F,
-        END_SYSEX
-    ])
+    return writeToTransport(this, encode.servoConfig(pin, min, max))
 }
 
 /**
@@ -980,7 +1194,7 @@ Board.prototype.servoConfig = function (pin, min, max) {
  */
 
 Board.prototype.pinMode = function (pin, mode) {
-    return writeToTransport(this, [PIN_MODE, pin, mode]).then(() => {
+    return writeToTransport(this, encode.pinMode(pin, mode)).then(() => {
         this.pins[pin].mode = mode
     })
 }
@@ -1017,11 +1231,7 @@ Board.prototype.digitalWrite = function (pin, value) {
         }
 
         if (this.pins[pin].value !== value || setmode) {
-            p = p.then(() => writeToTransport(this, [
-                DIGITAL_MESSAGE | port,
-                this.ports[port] & 0x7F,
-                (this.ports[port] >> 7) & 0x7F
-            ])).then(() => {
+            p = p.then(() => writeToTransport(this, encode.digitalMessage(port, this.ports[port]))).then(() => {
                 this.pins[pin].value = value
             })
         }
@@ -1051,11 +1261,12 @@ Board.prototype.digitalRead = function (pin, callback) {
                 setTimeout(_ => reject(new Error(`digital-read-${pin} timeout`)), 1000)
                 this.pinMode(pin, this.MODES.INPUT)
                 // report digital
-                if (this && this.firmware && this.firmware.name && this.firmware.name.startsWith('sp')) {
-                    writeToTransport(this, [0xD0, 0x01, 0xD1, 0x01, 0xD2, 0x01, 0xD3, 0x01])
-                } else {
-                    writeToTransport(this, [0xD0, 0x01, 0xD1, 0x01, 0xD2, 0x01])
+                const ports = this && this.firmware && this.firmware.name && this.firmware.name.startsWith('sp') ? 4 : 3
+                const data = []
+                for (let port = 0; port < ports; port++) {
+                    data.push(...encode.reportDigital(port, 1))
                 }
+                writeToTransport(this, data)
             })
         }
         return Promise.resolve(this.pins[pin].value)
@@ -1064,44 +1275,15 @@ Board.prototype.digitalRead = function (pin, callback) {
 }
 
 Board.prototype.motorBrake = function (motorid) {
-    const msg = [START_SYSEX, MICRODUINO_MOTOR, 1, motorid, END_SYSEX]
-    return writeToTransport(this, msg)
+    return writeToTransport(this, encode.motorBrake(motorid))
 }
 
 Board.prototype.motorControl = function (motorid, speed) {
-    let direction = 1
-    if (speed < 0) {
-        speed = speed * -1
-        direction = 0
-    }
-    if (speed > 255) {
-        speed = 255
-    }
-    const msg = [START_SYSEX, MICRODUINO_MOTOR, motorid, direction, speed & 0x7F, (speed >> 7) & 0x7F, END_SYSEX]
-    return writeToTransport(this, msg)
+    return writeToTransport(this, encode.motor(motorid, speed))
 }
 
 Board.prototype.motorCar = function (lSpeed, rSpeed) {
-    let direction = 1
-    if (lSpeed < 0) {
-        lSpeed = lSpeed * -1
-        direction = 0
-    }
-    if (lSpeed > 255) {
-        lSpeed = 255
-    }
-    const msg = [START_SYSEX, MICRODUINO_MOTOR, 0, direction, lSpeed & 0x7F, (lSpeed >> 7) & 0x7F, END_SYSEX]
-
-    direction = 1
-    if (rSpeed < 0) {
-        rSpeed = rSpeed * -1
-        direction = 0
-    }
-    if (rSpeed > 255) {
-        rSpeed = 255
-    }
-    msg.push(START_SYSEX, MICRODUINO_MOTOR, 1, direction, rSpeed & 0x7F, (rSpeed >> 7) & 0x7F, END_SYSEX)
-    return writeToTransport(this, msg)
+    return writeToTransport(this, encode.motor(0, lSpeed).concat(encode.motor(1, rSpeed)))
 }
 
 const transitionInterval = 30
@@ -1155,11 +1337,10 @@ function hexToRgb (hex) {
 }
 
 const maxLedCount = 16
-let colorLEDFlashStop
 Board.prototype.colorLEDControl = function (pin, number, begin, end, duration) {
     const bColor = hexToRgb(begin)
     const eColor = hexToRgb(end)
-    colorLEDFlashStop = false
+    this.colorLEDFlashStop = false
     if (this && this.firmware && this.firmware.name && this.firmware.name.startsWith('sp')) {
         if (pin >= 14 && pin <= 21) {
             pin = pin + 10
@@ -1200,7 +1381,7 @@ Board.prototype.colorLEDDelay = function (pin, number, red, green, blue, startTi
     const delay = transitionInterval - (time - startTime)
     let p = Promise.resolve()
 
-    if (colorLEDFlashStop) {
+    if (this.colorLEDFlashStop) {
         return Promise.reject(new Error('colorLED flash stoped'))
     }
 
@@ -1234,8 +1415,7 @@ Board.prototype.colorLEDColor = function (pin, number, color) {
 Board.prototype.colorLEDRGB = function (pin, number, red, green, blue) {
     let p = this.sensorPrepare(MICRODUINO_COLOR_LED, [maxLedCount, pin])
 
-    const msg = [START_SYSEX, MICRODUINO_COLOR_LED, number & 0x7F, red & 0x7F, (red >> 7) & 0x7F, green & 0x7F, (green >> 7) & 0x7F, blue & 0x7F, (blue >> 7) & 0x7F, END_SYSEX]
-    p = p.then(_ => writeToTransport(this, msg))
+    p = p.then(_ => writeToTransport(this, encode.colorLed(number, red, green, blue)))
     return p
 }
 Board.prototype.colorFromRGB = function (red, green, blue) {
@@ -1269,16 +1449,14 @@ rhythm[9] = [0.5, 0.5, 0.5, 0.5, 2, 0.5, 0.5, 0.5, 0.5, 2, 1, 0.5, 1, 1, 0.5, 0.
 music[10] = [10, 10, 10, 8, 5, 5, 0, 10, 10, 10, 8, 10, 0, 12, 12, 10, 8, 5, 5, 5, 6, 7, 8, 10, 9]
 rhythm[10] = [0.5, 0.5, 0.5, 0.5, 1, 0.5, 0.5, 0.5, 0.5, 0.5, 0.5, 1, 1, 0.5, 0.5, 0.5, 0.5, 0.5, 0.5, 1, 0.5, 0.5, 0.5, 0.5, 1]
 const beatDuration = 300
-let buzzerSongStop
 Board.prototype.buzzerOff = function (pin) {
-    buzzerSongStop = true
+    this.buzzerSongStop = true
     if (this && this.firmware && this.firmware.name && this.firmware.name.startsWith('sp')) {
         if (pin >= 14 && pin <= 21) {
             pin = pin + 10
         }
     }
-    const msg = [START_SYSEX, MICRODUINO_BUZZER, pin, END_SYSEX]
-    return writeToTransport(this, msg)
+    return writeToTransport(this, encode.buzzerOff(pin))
 }
 
 Board.prototype.buzzerNote = function (pin, frequency, beats) {
@@ -1291,12 +1469,11 @@ Board.prototype.buzzerControl = function (pin, freq, duration) {
             pin = pin + 10
         }
     }
-    const msg = [START_SYSEX, MICRODUINO_BUZZER, pin, freq & 0x7F, (freq >> 7) & 0x7F, duration & 0x7F, (duration >> 7) & 0x7F, END_SYSEX]
-    return writeToTransport(this, msg)
+    return writeToTransport(this, encode.buzzer(pin, freq, duration))
 }
 
 Board.prototype.buzzerSong = function (pin, songNumber) {
-    buzzerSongStop = false
+    this.buzzerSongStop = false
     const song = music[songNumber]
     const beats = rhythm[songNumber]
     let p = Promise.resolve()
@@ -1319,7 +1496,7 @@ Board.prototype.buzzerSong = function (pin, songNumber) {
 }
 
 Board.prototype.buzzerSongPlay = function (pin, freq, duration) {
-    if (buzzerSongStop) {
+    if (this.buzzerSongStop) {
         return Promise.reject(new Error('Buzzer song stoped'))
     }
 
@@ -1327,58 +1504,139 @@ Board.prototype.buzzerSongPlay = function (pin, freq, duration) {
 }
 
 Board.prototype.OLEDControl = function (type, x, y, value) {
-    let msg = [START_SYSEX, MICRODUINO_OLED, type]
-    if (type < 9) {
-        msg.push(x, y)
-    }
-    if (type === 0) {
-        for (let i = 0; i < value.length; i++) {
-            msg.push(value.charCodeAt(i))
-        }
-    }
-    if (type === 1 || type === 2) {
-        msg = msg.concat(value)
-    }
-    if (type === 3) {
-        msg.push(value)
-    }
-    msg.push(END_SYSEX)
-
     const p = new Promise((resolve, reject) => {
         this.once(`oled-response`, resolve)
         setTimeout(_ => reject(new Error('oled response timeout')), 500)
     })
-    return writeToTransport(this, msg).then(_ => p)
+    return writeToTransport(this, encode.oled(type, x, y, value)).then(_ => p)
 }
 
-let I2CActived = false
 Board.prototype.i2cConfig = function (options) {
-    if (I2CActived) return Promise.resolve()
-    const delay = 50
-    const msg = [
-        START_SYSEX,
-        I2C_CONFIG,
-        delay & 0xFF, (delay >> 8) & 0xFF,
-        END_SYSEX
-    ]
-
-    return writeToTransport(this, msg).then(_ => {
-        I2CActived = true
+    if (this.I2CActived) return Promise.resolve()
+    return writeToTransport(this, encode.i2cConfig(50)).then(_ => {
+        this.I2CActived = true
     })
 }
 
-Board.prototype.i2cRequestRead = function (addr, reg, mode, bytesToRead) {
-    const data = i2cInputData[`${addr}_${reg}`]
-    if (data) {
-        return Promise.resolve(data)
+/**
+ * Reads a register.
+ * A register the board reads continuously (see i2cSubscribe, or mode CONTINUOUS_READ)
+ * answers from its latest reply. Otherwise the register is read again, unless the
+ * last reply is at most `maxAge` ms old.
+ * @param {number} addr
+ * @param {number} reg
+ * @param {number} mode One of this.I2C_MODES.READ or CONTINUOUS_READ.
+ * @param {number} bytesToRead
+ * @param {number} [maxAge] ms a cached reply may be old, defaults to 0.
+ * @return {Promise} resolves to the bytes read
+ */
+
+Board.prototype.i2cRequestRead = function (addr, reg, mode, bytesToRead, maxAge) {
+    // only reads of the same length can share a request, a reply or a continuous read
+    const key = `${addr}_${reg}_${bytesToRead}`
+    const cached = this.i2cInputData.get(key)
+    if (cached && (this.i2cContinuous.has(key) || Date.now() - cached.time <= (maxAge || 0))) {
+        return Promise.resolve(cached.value)
+    }
+    if (this.i2cPendingReads.has(key)) {
+        return this.i2cPendingReads.get(key)
+    }
+    const event = `I2C-reply-${addr}-${reg}-${bytesToRead}`
+    let read
+    if (mode === this.I2C_MODES.CONTINUOUS_READ && this.i2cContinuous.has(key)) {
+        // the board reads it already, a second CONTINUOUS_READ would make it read twice
+        read = awaitReply(this, event, I2C_REPLY_TIMEOUT, () => Promise.resolve())
+    } else {
+        const continuous = mode === this.I2C_MODES.CONTINUOUS_READ
+        if (continuous) {
+            this.i2cContinuous.set(key, { address: addr, register: reg, bytesToRead: bytesToRead })
+        }
+        read = awaitReply(this, event, I2C_REPLY_TIMEOUT, () => this.i2cConfig()
+            .then(() => writeToTransport(this, encode.i2cRead(addr, reg, mode, bytesToRead)))
+            .catch(error => {
+                // the board never got the continuous read, so the next request asks again
+                if (continuous) {
+                    this.i2cContinuous.delete(key)
+                }
+                throw error
+            }))
+    }
+    const done = () => this.i2cPendingReads.delete(key)
+    read.then(done, done)
+    this.i2cPendingReads.set(key, read)
+    return read
+}
+
+/**
+ * Has the board read a register continuously and follows its replies.
+ * Subscriptions to the same register share one continuous read, with the
+ * bytesToRead of the first.
+ * @param {number} address
+ * @param {number} register
+ * @param {number} bytesToRead
+ * @return {I2cSubscription}
+ */
+
+Board.prototype.i2cSubscribe = function (address, register, bytesToRead) {
+    const key = `${address}_${register}`
+    if (!this.i2cSubscriptions.has(key)) {
+        this.i2cSubscriptions.set(key, new Set())
+    }
+    const first = this.i2cSubscriptions.get(key).values().next().value
+    const subscription = new I2cSubscription(this, address, register, first ? first.bytesToRead : bytesToRead)
+    this.i2cSubscriptions.get(key).add(subscription)
+    const readKey = `${key}_${subscription.bytesToRead}`
+    if (!this.i2cContinuous.has(readKey)) {
+        this.i2cContinuous.set(readKey, { address: address, register: register, bytesToRead: subscription.bytesToRead })
+        this.i2cConfig()
+            .then(() => writeToTransport(this, encode.i2cRead(address, register, this.I2C_MODES.CONTINUOUS_READ, subscription.bytesToRead)))
+            .catch(error => {
+                console.log('i2c subscribe failed', error.message)
+                const subscriptions = this.i2cSubscriptions.get(key) || []
+                this.i2cContinuous.delete(readKey)
+                this.i2cSubscriptions.delete(key)
+                subscriptions.forEach(subscription => subscription.end())
+            })
+    }
+    return subscription
+}
+
+/**
+ * Drops a subscription, see I2cSubscription#unsubscribe. When it was the last one
+ * for its register, the board stops reading the register.
+ * @param {I2cSubscription} subscription
+ */
+
+Board.prototype.i2cUnsubscribe = function (subscription) {
+    const key = `${subscription.address}_${subscription.register}`
+    const subscriptions = this.i2cSubscriptions.get(key)
+    if (!subscriptions || !subscriptions.delete(subscription)) {
+        return Promise.resolve()
+    }
+    if (subscriptions.size > 0) {
+        return Promise.resolve()
     }
-    const p = this.i2cConfig()
-    return p.then(() => new Promise((resolve, reject) => {
-        this.once(`I2C-reply-${addr}-${reg}`, resolve)
-        setTimeout(_ => reject(new Error(`I2C-reply-${addr}-${reg} timeout`)), 1000)
-        const msg = [START_SYSEX, I2C_REQUEST, addr & 0x7F, mode << 3, reg & 0x7F, (reg >> 7) & 0x7F, bytesToRead & 0x7F, (bytesToRead >> 7) & 0x7F, END_SYSEX]
-        writeToTransport(this, msg)
-    }))
+    this.i2cSubscriptions.delete(key)
+    this.i2cContinuous.delete(`${key}_${subscription.bytesToRead}`)
+    return i2cStopReading(this, subscription.address)
+}
+
+/**
+ * Sends STOP_READING for an address. Firmata drops one continuous read of the
+ * address per STOP_READING, whichever register it is for, so this stops them all
+ * and asks again for the registers still in board.i2cContinuous.
+ * @private
+ */
+
+function i2cStopReading (board, address) {
+    const stop = encode.i2cStopReading(address)
+    const remaining = Array.from(board.i2cContinuous.values()).filter(read => read.address === address)
+    const messages = [stop]
+    remaining.forEach(read => {
+        messages.unshift(stop)
+        messages.push(encode.i2cRead(read.address, read.register, board.I2C_MODES.CONTINUOUS_READ, read.bytesToRead))
+    })
+    return messages.reduce((p, msg) => p.then(() => writeToTransport(board, msg)), Promise.resolve())
 }
 
 /**
@@ -1388,14 +1646,7 @@ Board.prototype.i2cRequestRead = function (addr, reg, mode, bytesToRead) {
  */
 
 Board.prototype.i2cRequestWrite = function (slaveAddress, bytes) {
-    const msg = [START_SYSEX, I2C_REQUEST, slaveAddress, this.I2C_MODES.WRITE << 3]
-    for (let i = 0, length = bytes.length; i < length; i++) {
-        msg.push(bytes[i] & 0x7F, (bytes[i] >> 7) & 0x7F)
-    }
-    msg.push(END_SYSEX)
-
-    const p = this.i2cConfig()
-    return p.then(() => writeToTransport(this, msg))
+    return this.i2cConfig().then(() => writeToTransport(this, encode.i2cWrite(slaveAddress, bytes)))
 }
 
 Board.prototype.i2cRequestWriteBuffer = function (address, register, bytes) {
@@ -1403,25 +1654,18 @@ Board.prototype.i2cRequestWriteBuffer = function (address, register, bytes) {
     if (Object.prototype.toString.call(bytes) !== '[object Array]') {
         bytes = [bytes]
     }
-    if (i2cOutputData.has(key) && i2cOutputData.get(key).join() === bytes.join()) {
+    if (this.i2cOutputData.has(key) && this.i2cOutputData.get(key).join() === bytes.join()) {
         return Promise.resolve()
     }
-    const msg = [START_SYSEX, I2C_REQUEST, address, this.I2C_MODES.WRITE << 3, register & 0x7F, register >> 7]
-    i2cOutputData.set(key, bytes)
-    for (let i = 0, length = bytes.length; i < length; i++) {
-        msg.push(bytes[i] & 0x7F, (bytes[i] >> 7) & 0x7F)
-    }
-    msg.push(END_SYSEX)
-
-    const p = this.i2cConfig()
-    return p.then(() => writeToTransport(this, msg))
+    this.i2cOutputData.set(key, bytes)
+    return this.i2cConfig().then(() => writeToTransport(this, encode.i2cWriteRegister(address, register, bytes)))
 }
 
 Board.prototype.gestureDistance = function () {
     const address = 0x39
 
     let p
-    if (sensorPrepareMap.has('GestureDistance')) {
+    if (this.sensorPrepareMap.has('GestureDistance')) {
         p = Promise.resolve()
     } else {
         p = this.i2cRequestWrite(address, [0x8F, 5])
@@ -1429,7 +1673,7 @@ Board.prototype.gestureDistance = function () {
     }
 
     p = p.then(_ => {
-        sensorPrepareMap.set('GestureDistance')
+        this.sensorPrepareMap.set('GestureDistance')
         return this.i2cRequestRead(address, 0x9C, 2, 1)
     })
     return p
@@ -1441,38 +1685,30 @@ Board.prototype.gestureDistance = function () {
  * @param {Array} bytes The bytes to send to the device
  */
 
-let sensorPrepareMap = new Map()
 Board.prototype.sensorPrepare = function (sensor, bytes) {
-    const msg = [START_SYSEX, sensor]
-    for (let i = 0, length = bytes.length; i < length; i++) {
-        msg.push(bytes[i] & 0x7F)
-    }
-    msg.push(END_SYSEX)
-
-    if (sensorPrepareMap.has(msg.join())) {
+    const msg = encode.sensorPrepare(sensor, bytes)
+    if (this.sensorPrepareMap.has(msg.join())) {
         return Promise.resolve()
     }
     return writeToTransport(this, msg).then(() => {
-        sensorPrepareMap.set(msg.join(), true)
+        this.sensorPrepareMap.set(msg.join(), true)
     })
 }
 
 Board.prototype.ideaBoxServo = function (angle) {
-    const msg = [START_SYSEX, MICRODUINO_SERVO, angle & 0x7F, (angle >> 7) & 0x7F, END_SYSEX]
-    return writeToTransport(this, msg).then(_ => new Promise(resolve => setTimeout(resolve, MICRODUINO_CMD_DELAY)))
+    return writeToTransport(this, encode.ideaBoxServo(angle)).then(_ => new Promise(resolve => setTimeout(resolve, MICRODUINO_CMD_DELAY)))
 }
 
-let ideaboardLed = 0
 Board.prototype.ideaBoardLed = function (led, value) {
     const addr = 0x56
     const reg = 0x24
     if (value === 1) {
-        ideaboardLed |= (1 << led)
+        this.ideaboardLed |= (1 << led)
     } else {
-        ideaboardLed &= (~(1 << led))
+        this.ideaboardLed &= (~(1 << led))
     }
 
-    return this.i2cRequestWriteBuffer(addr, reg, ideaboardLed)
+    return this.i2cRequestWriteBuffer(addr, reg, this.ideaboardLed)
 }
 
 Board.prototype.setNixieTube = function (pin, index, value, hasPoint) {
@@ -1481,11 +1717,8 @@ Board.prototype.setNixieTube = function (pin, index, value, hasPoint) {
             pin = pin + 10
         }
     }
-    if (hasPoint) hasPoint = 1
-    else hasPoint = 0
-    const msg = [START_SYSEX, MICRODUINO_NIXIETUBE, hasPoint, index, value & 0x7F, END_SYSEX]
     return this.sensorPrepare(MICRODUINO_NIXIETUBE, [2, pin, 0])
-        .then(_ => writeToTransport(this, msg))
+        .then(_ => writeToTransport(this, encode.nixieTube(hasPoint ? 1 : 0, index, value)))
         .then(_ => new Promise(resolve => setTimeout(resolve, MICRODUINO_CMD_DELAY)))
 }
 
@@ -1501,17 +1734,16 @@ Board.prototype.sendNixieTube = function (pin, index, value, first) {
         first = 0x00
     }
 
-    const msg = [START_SYSEX, MICRODUINO_NIXIETUBE, first, index, value & 0x7F, END_SYSEX]
     return this.sensorPrepare(MICRODUINO_NIXIETUBE, [2, pin, 0])
-        .then(_ => writeToTransport(this, msg))
+        .then(_ => writeToTransport(this, encode.nixieTube(first, index, value)))
         .then(_ => new Promise(resolve => setTimeout(resolve, MICRODUINO_CMD_DELAY)))
 }
 
 Board.prototype.getMotion = function (pin, type, axes) {
     let p = this.sensorPrepare(MICRODUINO_MOTION, [pin, type])
 
-    if (motionData[type]) {
-        p = p.then(() => motionData[type])
+    if (this.motionData[type]) {
+        p = p.then(() => this.motionData[type])
     } else {
         p = p.then(() => new Promise((resolve, reject) => {
             this.once(`motion-read-${type}`, resolve)
@@ -1535,14 +1767,14 @@ Board.prototype.irKey = function (pin, keyIn, event) {
     this.sensorPrepare(MICRODUINO_IR, [pin])
     let result = false
 
-    if ((event === KEY_PRESSED && irData[key].event === KEY_PRESSED) ||
-        (event === KEY_RELEASED && irData[key].event === KEY_RELEASED)) {
+    if ((event === KEY_PRESSED && this.irData[key].event === KEY_PRESSED) ||
+        (event === KEY_RELEASED && this.irData[key].event === KEY_RELEASED)) {
         result = true
-        irData[key].event = KEY_IDLE
+        this.irData[key].event = KEY_IDLE
     }
 
     if (event === KEY_PRESSING) {
-        result = (irData[key].value === 0)
+        result = (this.irData[key].value === 0)
     }
 
     return Promise.resolve(result)
@@ -1556,14 +1788,14 @@ Board.prototype.ideaBoardKey = function (addr, reg, mode, bytesToRead, button, e
     }
     this.i2cRequestRead(addr, reg, mode, bytesToRead)
     let result = false
-    if ((event === KEY_PRESSED && ideaBoardKey[key].event === KEY_PRESSED) ||
-        (event === KEY_RELEASED && ideaBoardKey[key].event === KEY_RELEASED)) {
+    if ((event === KEY_PRESSED && this.ideaBoardKeys[key].event === KEY_PRESSED) ||
+        (event === KEY_RELEASED && this.ideaBoardKeys[key].event === KEY_RELEASED)) {
         result = true
-        ideaBoardKey[key].event = KEY_IDLE
+        this.ideaBoardKeys[key].event = KEY_IDLE
     }
 
     if (event === KEY_PRESSING) {
-        result = (ideaBoardKey[key].value === 1)
+        result = (this.ideaBoardKeys[key].value === 1)
     }
 
     return Promise.resolve(result)
@@ -1589,7 +1821,6 @@ Board.prototype.touchKey = function (pin, event) {
     })
 }
 
-let joystick = []
 
 const JOY_UP = 1
 const JOY_DOWN = 2
@@ -1599,10 +1830,10 @@ const JOY_CENTER = 0
 const JOY_RELEASE = 5
 
 Board.prototype.joystickKey = function (pin, key, event) {
-    if (!joystick[pin]) {
-        joystick[pin] = []
+    if (!this.joystick[pin]) {
+        this.joystick[pin] = []
         for (let i = 0; i < 5; i++) {
-            joystick[pin][i] = {}
+            this.joystick[pin][i] = {}
         }
     }
     return this.analogRead(pin).then(val => {
@@ -1622,25 +1853,25 @@ Board.prototype.joystickKey = function (pin, key, event) {
         let result = false
         for (let i = 0; i < 5; i++) {
             if (i === joyStatus) {
-                if (joystick[pin][i].value === 1) {
-                    joystick[pin][i].event = KEY_PRESSED
+                if (this.joystick[pin][i].value === 1) {
+                    this.joystick[pin][i].event = KEY_PRESSED
                 }
-                joystick[pin][i].value = 0
+                this.joystick[pin][i].value = 0
             } else {
-                if (joystick[pin][i].value === 0) {
-                    joystick[pin][i].event = KEY_RELEASED
+                if (this.joystick[pin][i].value === 0) {
+                    this.joystick[pin][i].event = KEY_RELEASED
                 }
-                joystick[pin][i].value = 1
+                this.joystick[pin][i].value = 1
             }
 
             if (i === key) {
-                if ((event === KEY_PRESSED && joystick[pin][i].event === KEY_PRESSED) ||
-                    (event === KEY_RELEASED && joystick[pin][i].event === KEY_RELEASED)) {
+                if ((event === KEY_PRESSED && this.joystick[pin][i].event === KEY_PRESSED) ||
+                    (event === KEY_RELEASED && this.joystick[pin][i].event === KEY_RELEASED)) {
                     result = true
-                    joystick[pin][i].event = KEY_IDLE
+                    this.joystick[pin][i].event = KEY_IDLE
                 }
                 if (event === KEY_PRESSING) {
-                    result = (joystick[pin][i].value === 0)
+                    result = (this.joystick[pin][i].value === 0)
                 }
             }
         }
@@ -1649,9 +1880,8 @@ Board.prototype.joystickKey = function (pin, key, event) {
     })
 }
 
-let dotMaxtrixBuffer = null
-function setMatrixPoint (x, y, target, cmd) {
-    dotMaxtrixBuffer[y * 8 + x] = target
+function setMatrixPoint (buffer, x, y, target, cmd) {
+    buffer[y * 8 + x] = target
     let coordinate = 0b11000000
     coordinate |= x << 3
     coordinate |= y
@@ -1664,12 +1894,12 @@ function setMatrixPoint (x, y, target, cmd) {
 
 Board.prototype.dotMatrixPoint = function (addr, x, y, color) {
     const cmd = []
-    if (!dotMaxtrixBuffer) {
-        dotMaxtrixBuffer = new Array(64).fill('#000000')
+    if (!this.dotMaxtrixBuffer) {
+        this.dotMaxtrixBuffer = new Array(64).fill('#000000')
         cmd.push(0x60, 0x00) // clear screen
     }
 
-    setMatrixPoint(x, y, color, cmd)
+    setMatrixPoint(this.dotMaxtrixBuffer, x, y, color, cmd)
 
     return this.i2cRequestWrite(addr, cmd)
 }
@@ -1678,8 +1908,8 @@ Board.prototype.dotMatrixColor = function (addr, colors) {
     const colorList = colors.split('#')
     colorList.shift()
     let cmd = []
-    if (!dotMaxtrixBuffer) {
-        dotMaxtrixBuffer = new Array(64).fill('#000000')
+    if (!this.dotMaxtrixBuffer) {
+        this.dotMaxtrixBuffer = new Array(64).fill('#000000')
         cmd.push(0x60, 0x00) // clear screen
     }
     let darkScreen = true
@@ -1688,7 +1918,7 @@ Board.prototype.dotMatrixColor = function (addr, colors) {
         for (let x = 0; x < 8; x++) {
             const target = `#${colorList[y * 8 + x]}`
             if (target !== '#000000') darkScreen = false
-            const buffer = dotMaxtrixBuffer[y * 8 + x]
+            const buffer = this.dotMaxtrixBuffer[y * 8 + x]
             /*
              * Clear screen : 0x60
              * 2bit
@@ -1703,7 +1933,7 @@ Board.prototype.dotMatrixColor = function (addr, colors) {
              */
 
             if (buffer !== target) {
-                setMatrixPoint(x, y, target, cmd)
+                setMatrixPoint(this.dotMaxtrixBuffer, x, y, target, cmd)
             }
         }
     }
@@ -1725,17 +1955,11 @@ Board.prototype.dotMatrixColor = function (addr, colors) {
 }
 
 Board.prototype.bot_car_forward = function (direction, speed) {
-    const msg = [START_SYSEX, 0x0C, 1, 3, direction, direction, speed & 0x7F, (speed >> 7) & 0x7F, speed & 0x7F, (speed >> 7) & 0x7F, END_SYSEX]
-    return writeToTransport(this, msg)
+    return writeToTransport(this, encode.buggyMotors(direction, direction, speed, speed))
 }
 
 Board.prototype.bot_car_turn = function (direction, speed) {
-    let msg = []
-    if(direction === '0') {
-        msg = [START_SYSEX, 0x0C, 1, 3, 1, 1, 0 & 0x7F, (0 >> 7) & 0x7F, speed & 0x7F, (speed >> 7) & 0x7F, END_SYSEX]
-    }else{
-        msg = [START_SYSEX, 0x0C, 1, 3, 1, 1, speed & 0x7F, (speed >> 7) & 0x7F, 0 & 0x7F, (0 >> 7) & 0x7F, END_SYSEX]
-    }
+    const msg = direction === '0' ? encode.buggyMotors(1, 1, 0, speed) : encode.buggyMotors(1, 1, speed, 0)
     writeToTransport(this, msg)
 }
 
@@ -1748,13 +1972,13 @@ Board.prototype.bot_motor_control = function (type, speed) {
     }
     switch (type) {
         case '1':
-            msg = [START_SYSEX, 0x0C, 1, 1, forward, speed & 0x7F, (speed >> 7) & 0x7F, END_SYSEX]
+            msg = encode.buggyMotor(1, forward, speed)
             break
         case '2':
-            msg = [START_SYSEX, 0x0C, 1, 2, forward, speed & 0x7F, (speed >> 7) & 0x7F, END_SYSEX]
+            msg = encode.buggyMotor(2, forward, speed)
             break
         case '3':
-            msg = [START_SYSEX, 0x0C, 1, 3, forward, forward, speed & 0x7F, (speed >> 7) & 0x7F, speed & 0x7F, (speed >> 7) & 0x7F, END_SYSEX]
+            msg = encode.buggyMotors(forward, forward, speed, speed)
             break
         default:break
     }
@@ -1772,8 +1996,7 @@ Board.prototype.buggy_motor_control = function (type, leftspeed,rightspeed) {
         rightspeed = rightspeed * -1
         rightForward = 0
     }
-    const msg = [START_SYSEX, 0x0C, 1, 3, leftForward, rightForward, leftspeed & 0x7F, (leftspeed >> 7) & 0x7F, rightspeed & 0x7F, (rightspeed >> 7) & 0x7F, END_SYSEX]
-    return writeToTransport(this, msg)
+    return writeToTransport(this, encode.buggyMotors(leftForward, rightForward, leftspeed, rightspeed))
 }
 
 
@@ -1789,14 +2012,12 @@ Board.prototype.buggy_music_control = function (beats,leftspeed,rightspeed) {
         rightspeed = rightspeed * -1
         rightForward = 0
     }
-    const msg = [START_SYSEX, 0x0C, 6, beats , leftForward, rightForward, leftspeed & 0x7F, (leftspeed >> 7) & 0x7F, rightspeed & 0x7F, (rightspeed >> 7) & 0x7F, END_SYSEX]
-    return writeToTransport(this, msg)
+    return writeToTransport(this, encode.buggyMusic(beats, leftForward, rightForward, leftspeed, rightspeed))
 }
 
 //音乐模式停止
 Board.prototype.buggy_music_stop = function () {
-    const msg = [START_SYSEX, 0x0C, 6, 0, 0, 0, 0, 0, 0, 0, END_SYSEX]
-    return writeToTransport(this, msg)
+    return writeToTransport(this, encode.buggyMusic(0, 0, 0, 0, 0))
 }
 
 
@@ -1804,13 +2025,13 @@ Board.prototype.bot_motor_stop = function (type) {
     let msg = []
     switch (type) {
         case '1':
-            msg = [START_SYSEX, 0x0C, 1, 1, 1, 0 & 0x7F, (0 >> 7) & 0x7F, END_SYSEX]
+            msg = encode.buggyMotor(1, 1, 0)
             break
         case '2':
-            msg = [START_SYSEX, 0x0C, 1, 2, 1, 0 & 0x7F, (0 >> 7) & 0x7F, END_SYSEX]
+            msg = encode.buggyMotor(2, 1, 0)
             break
         case '3':
-            msg = [START_SYSEX, 0x0C, 1, 3, 1, 1, 0 & 0x7F, (0 >> 7) & 0x7F, 0 & 0x7F, (0 >> 7) & 0x7F, END_SYSEX]
+            msg = encode.buggyMotors(1, 1, 0, 0)
             break
         default:break
     }
@@ -1819,22 +2040,15 @@ Board.prototype.bot_motor_stop = function (type) {
 
 Board.prototype.botLEDColor = function (pin, color) {
     const rgbColor = hexToRgb(color)
-    const red = rgbColor.r
-    const green = rgbColor.g
-    const blue = rgbColor.b
-    const msg = [START_SYSEX, 0x0C, 0, pin, red & 0x7F, (red >> 7) & 0x7F, green & 0x7F, (green >> 7) & 0x7F, blue & 0x7F, (blue >> 7) & 0x7F, END_SYSEX]
-    return writeToTransport(this, msg)
+    return writeToTransport(this, encode.buggyLed(pin, rgbColor.r, rgbColor.g, rgbColor.b))
 }
 Board.prototype.bot_find_line = function (color, speed) {
-    const msg = [START_SYSEX, 0x0C, 5, 1, color, speed & 0x7F, (speed >> 7) & 0x7F, END_SYSEX]
-    return writeToTransport(this, msg)
+    return writeToTransport(this, encode.buggyFindLine(color, speed))
 }
 Board.prototype.bot_find_stop = function () {
-    const msg = [START_SYSEX, 0x0C, 5, 0, 0, 0, 0, END_SYSEX]
-    return writeToTransport(this, msg)
+    return writeToTransport(this, encode.buggyFindStop())
 }
 Board.prototype.bot_judge_color = function (type, botColor) {
-    const msg = [START_SYSEX, 0x0C, 4, type, END_SYSEX]
     const p = new Promise((resolve, reject) => {
         this.once(`buggy-response`, (data) => {
             let responseData = Buffer.from(data)
@@ -1844,17 +2058,16 @@ Board.prototype.bot_judge_color = function (type, botColor) {
     }).then((data) => {
         return Promise.resolve(data[4] === parseInt(botColor))
     })
-    writeToTransport(this, msg)
+    writeToTransport(this, encode.buggyColor(type))
     return p
 }
 
 Board.prototype.bot_buzzer_pitch = function (pitch) {
-    const msg = [START_SYSEX, 0x0C, 2, 0, pitch & 0x7F, (pitch >> 7) & 0x7F, END_SYSEX]
-    return writeToTransport(this, msg)
+    return writeToTransport(this, encode.buggyBuzzerPitch(pitch))
 }
 
 Board.prototype.bot_buzzer_song = function (songNumber) {
-    buzzerSongStop = false
+    this.buzzerSongStop = false
     const song = music[songNumber]
     const beats = rhythm[songNumber]
     let p = Promise.resolve()
@@ -1882,17 +2095,14 @@ Board.prototype.buggy_buzzer_song = function(song) {
 
 
 Board.prototype.bot_buzzer_play = function (note, duration) {
-    const msg = [START_SYSEX, 0x0C, 2, 1, note & 0x7F, (note >> 7) & 0x7F, duration & 0x7F, (duration >> 7) & 0x7F, END_SYSEX]
-    return writeToTransport(this, msg).then(_ => new Promise(resolve => setTimeout(resolve, duration)))
+    return writeToTransport(this, encode.buggyBuzzerPlay(note, duration)).then(_ => new Promise(resolve => setTimeout(resolve, duration)))
 }
 
 Board.prototype.bot_buzzer_stop = function () {
-    const msg = [START_SYSEX, 0x0C, 2, 0, 0 & 0x7F, (0 >> 7) & 0x7F, END_SYSEX]
-    return writeToTransport(this, msg)
+    return writeToTransport(this, encode.buggyBuzzerPitch(0))
 }
 
 Board.prototype.bot_get_gray = function (type, gray) {
-    const msg = [START_SYSEX, 0x0C, 3, type, gray, END_SYSEX]
     const p = new Promise((resolve, reject) => {
         this.once(`buggy-response`, (data) => {
             let responseData = Buffer.from(data)
@@ -1902,7 +2112,7 @@ Board.prototype.bot_get_gray = function (type, gray) {
         })
         setTimeout(_ => reject(new Error('buggy response timeout')), 500)
     })
-    writeToTransport(this, msg)
+    writeToTransport(this, encode.buggyGray(type, gray))
     return p
 }
 
@@ -1915,38 +2125,14 @@ Board.prototype.init = function () {
         this.pins[i].mode = null
     }
 
-    ideaboardLed = 0
-    sensorPrepareMap = new Map()
-    I2CActived = false
-    i2cInputData = []
-    i2cOutputData = new Map()
-    motionData = []
-    dotMaxtrixBuffer = null
-    joystick = []
-    irCode = 0
-    irData = { '0x1FE48B7': {},
-        '0x1FE807F': {},
-        '0x1FE40BF': {},
-        '0x1FEC03F': {},
-        '0x1FE20DF': {},
-        '0x1FE609F': {},
-        '0x1FEA05F': {},
-        '0x1FED827': {},
-        '0x1FEE01F': {},
-        '0x1FE906F': {},
-        '0x1FE10EF': {},
-        '0x1FE50AF': {},
-        '0x1FEF807': {},
-        '0x1FE708F': {},
-        '0x1FEB04F': {},
-        '0x1FE30CF': {} }
+    resetModuleState(this)
 
     // firmata init all digital port as 'Digital output low'
     // init all analog port as 'Analog input'
 
     // report all digital input & set sample interval to 100ms
 
-    return writeToTransport(this, [0xF0, 0x7A, 0x64, 0x00, 0xF7])
+    return writeToTransport(this, encode.samplingInterval(100))
         .then(_ => {
             this.isClean = true
         })
@@ -1959,7 +2145,7 @@ Board.prototype.init = function () {
 
 Board.prototype.queryCapabilities = function (callback) {
     this.once('capability-query', callback)
-    return writeToTransport(this, [START_SYSEX, CAPABILITY_QUERY, END_SYSEX])
+    return writeToTransport(this, encode.capabilityQuery())
 }
 
 /**
@@ -1969,7 +2155,7 @@ Board.prototype.queryCapabilities = function (callback) {
 
 Board.prototype.queryAnalogMapping = function (callback) {
     this.once('analog-mapping-query', callback)
-    return writeToTransport(this, [START_SYSEX, ANALOG_MAPPING_QUERY, END_SYSEX])
+    return writeToTransport(this, encode.analogMappingQuery())
 }
 
 /**
@@ -1980,7 +2166,35 @@ Board.prototype.queryAnalogMapping = function (callback) {
 
 Board.prototype.queryPinState = function (pin, callback) {
     this.once(`pin-state-${pin}`, callback)
-    return writeToTransport(this, [START_SYSEX, PIN_STATE_QUERY, pin, END_SYSEX])
+    return writeToTransport(this, encode.pinStateQuery(pin))
+}
+
+/**
+ * Queries the state of every pin, one after the other.
+ * @param {object} [options] Options:
+ *   timeout {number} ms for the whole board; SNAPSHOT_TIMEOUT unless a positive number
+ * @return {Promise} resolves to one { pin, mode, state, value, supportedModes, analogChannel }
+ * per pin; rejects if a pin has not answered in time.
+ */
+
+Board.prototype.snapshot = function (options) {
+    // native passes null or nothing when it has no preference
+    const timeout = options && typeof options.timeout === 'number' && options.timeout > 0
+        ? options.timeout
+        : SNAPSHOT_TIMEOUT
+    const deadline = Date.now() + timeout
+    return this.pins.reduce((previous, pin, index) => previous.then(() => {
+        return awaitReply(this, `pin-state-${index}`, Math.max(deadline - Date.now(), 0), () => {
+            return writeToTransport(this, encode.pinStateQuery(index))
+        })
+    }), Promise.resolve()).then(() => this.pins.map((pin, index) => ({
+        pin: index,
+        mode: pin.mode,
+        state: pin.state,
+        value: pin.value,
+        supportedModes: pin.supportedModes.slice(),
+        analogChannel: pin.analogChannel
+    })))
 }
 
 /**
@@ -1989,17 +2203,7 @@ Board.prototype.queryPinState = function (pin, callback) {
  */
 
 Board.prototype.sendString = function (string) {
-    const bytes = Buffer.from(`${string}\0`, 'utf8')
-    const data = []
-    data.push(START_SYSEX)
-    data.push(STRING_DATA)
-    for (let i = 0, length = bytes.length; i < length; i++) {
-        data.push(bytes[i] & 0x7F)
-        data.push((bytes[i] >> 7) & 0x7F)
-    }
-    data.push(END_SYSEX)
-
-    return writeToTransport(this, data)
+    return writeToTransport(this, encode.stringData(string))
 }
 
 /**
@@ -2010,13 +2214,7 @@ Board.prototype.sendString = function (string) {
 Board.prototype.setSamplingInterval = function (interval) {
     const safeint = interval < 10 ? 10 : (interval > 65535 ? 65535 : interval)
     this.settings.samplingInterval = safeint
-    return writeToTransport(this, [
-        START_SYSEX,
-        SAMPLING_INTERVAL,
-        (safeint & 0x7F),
-        ((safeint >> 7) & 0x7F),
-        END_SYSEX
-    ])
+    return writeToTransport(this, encode.samplingInterval(safeint))
 }
 
 /**
@@ -2038,7 +2236,7 @@ Board.prototype.getSamplingInterval = function () {
 Board.prototype.reportAnalogPin = function (pin, value) {
     /* istanbul ignore else */
     if (value === 0 || value === 1) {
-        return writeToTransport(this, [REPORT_ANALOG | pin, value]).then(() => {
+        return writeToTransport(this, encode.reportAnalog(pin, value)).then(() => {
             this.pins[this.analogPins[pin]].report = value
         })
     }
@@ -2055,7 +2253,7 @@ Board.prototype.reportDigitalPin = function (pin, value) {
     const port = pin >> 3
     /* istanbul ignore else */
     if (value === 0 || value === 1) {
-        return writeToTransport(this, [REPORT_DIGITAL | port, value]).then(() => {
+        return writeToTransport(this, encode.reportDigital(port, value)).then(() => {
             this.pins[pin].report = value
         })
     }
@@ -2072,38 +2270,7 @@ Board.prototype.pingRead = function (opts, callback) {
         throw new Error('Please upload PingFirmata to the board')
     }
 
-    const pin = opts.pin
-    const value = opts.value
-    const pulseOut = opts.pulseOut || 0
-    const timeout = opts.timeout || 1000000
-    const pulseOutArray = [
-        (pulseOut >> 24) & 0xFF,
-        (pulseOut >> 16) & 0xFF,
-        (pulseOut >> 8) & 0xFF,
-        (pulseOut & 0xFF)
-    ]
-    const timeoutArray = [
-        (timeout >> 24) & 0xFF,
-        (timeout >> 16) & 0xFF,
-        (timeout >> 8) & 0xFF,
-        (timeout & 0xFF)
-    ]
-
-    return writeToTransport(this, [
-        START_SYSEX,
-        PING_READ,
-        pin,
-        value,
-        pulseOutArray[0] & 0x7F, (pulseOutArray[0] >> 7) & 0x7F,
-        pulseOutArray[1] & 0x7F, (pulseOutArray[1] >> 7) & 0x7F,
-        pulseOutArray[2] & 0x7F, (pulseOutArray[2] >> 7) & 0x7F,
-        pulseOutArray[3] & 0x7F, (pulseOutArray[3] >> 7) & 0x7F,
-        timeoutArray[0] & 0x7F, (timeoutArray[0] >> 7) & 0x7F,
-        timeoutArray[1] & 0x7F, (timeoutArray[1] >> 7) & 0x7F,
-        timeoutArray[2] & 0x7F, (timeoutArray[2] >> 7) & 0x7F,
-        timeoutArray[3] & 0x7F, (timeoutArray[3] >> 7) & 0x7F,
-        END_SYSEX
-    ])
+    return writeToTransport(this, encode.pingRead(opts.pin, opts.value, opts.pulseOut || 0, opts.timeout || 1000000))
 }
 
 /**
@@ -2123,21 +2290,7 @@ Board.prototype.pingRead = function (opts, callback) {
  */
 
 Board.prototype.stepperConfig = function (deviceNum, type, stepsPerRev, dirOrMotor1Pin, stepOrMotor2Pin, motor3Pin, motor4Pin) {
-    const data = [
-        START_SYSEX,
-        STEPPER,
-        0x00, // STEPPER_CONFIG from firmware
-        deviceNum,
-        type,
-        stepsPerRev & 0x7F, (stepsPerRev >> 7) & 0x7F,
-        dirOrMotor1Pin,
-        stepOrMotor2Pin
-    ]
-    if (type === this.STEPPER.TYPE.FOUR_WIRE) {
-        data.push(motor3Pin, motor4Pin)
-    }
-    data.push(END_SYSEX)
-    return writeToTransport(this, data)
+    return writeToTransport(this, encode.stepperConfig(deviceNum, type, stepsPerRev, dirOrMotor1Pin, stepOrMotor2Pin, motor3Pin, motor4Pin))
 }
 
 /**
@@ -2162,29 +2315,280 @@ Board.prototype.stepperStep = function (deviceNum, direction, steps, speed, acce
         decel = 0
     }
 
-    const data = [
-        START_SYSEX,
-        STEPPER,
-        0x01, // STEPPER_STEP from firmware
-        deviceNum,
-        direction, // one of this.STEPPER.DIRECTION.*
-        steps & 0x7F, (steps >> 7) & 0x7F, (steps >> 14) & 0x7F,
-        speed & 0x7F, (speed >> 7) & 0x7F
-    ]
-    if (accel > 0 || decel > 0) {
-        data.push(
-            accel & 0x7F, (accel >> 7) & 0x7F,
-            decel & 0x7F, (decel >> 7) & 0x7F
-        )
-    }
-    data.push(END_SYSEX)
-    return writeToTransport(this, data)
+    return writeToTransport(this, encode.stepperStep(deviceNum, direction, steps, speed, accel, decel))
 }
 
 /**
- * Asks the Arduino to configure a hardware or serial port.
+ * Stepper functions for ConfigurableFirmata's AccelStepperFirmata
+ * https://github.com/firmata/protocol/blob/master/accelStepperFirmata.md
+ * Positions are in steps, speeds in steps per second and accelerations in steps
+ * per second per second. board.stepper() wraps a device in a Stepper object.
+ */
+
+/**
+ * Configures an AccelStepperFirmata stepper.
  * @param {object} options Options:
- *   portId {number} The serial port to use (HW_SERIAL1, HW_SERIAL2, HW_SERIAL3, SW_SERIAL0,
+ *   deviceNum {number} 0-9
+ *   type {number} One of this.STEPPER.TYPE.*, defaults to FOUR_WIRE
+ *   stepSize {number} One of this.STEPPER.STEP_SIZE.*, defaults to WHOLE
+ *   stepPin, directionPin {number} DRIVER steppers
+ *   motorPin1 .. motorPin4 {number} TWO_WIRE, THREE_WIRE and FOUR_WIRE steppers
+ *   enablePin {number} [optional]
+ *   invertPins {number[]} [optional] Pins, among the above, that are active low
+ */
+
+Board.prototype.accelStepperConfig = function (options) {
+    let data
+    try {
+        data = encode.accelStepperConfig(options)
+    } catch (error) {
+        return Promise.reject(error)
+    }
+    return writeToTransport(this, data)
+}
+
+/**
+ * Makes the current position of a stepper 0.
+ * @param {number} deviceNum
+ */
+
+Board.prototype.accelStepperZero = function (deviceNum) {
+    return writeToTransport(this, encode.accelStepperZero(deviceNum))
+}
+
+/**
+ * Moves a stepper a number of steps from its position; `stepper-done-<deviceNum>`
+ * reports the position when it stops.
+ * @param {number} deviceNum
+ * @param {number} steps Negative to move backwards.
+ */
+
+Board.prototype.accelStepperStep = function (deviceNum, steps) {
+    return writeToTransport(this, encode.accelStepperStep(deviceNum, steps))
+}
+
+/**
+ * Moves a stepper to an absolute position; `stepper-done-<deviceNum>` reports
+ * the position when it stops.
+ * @param {number} deviceNum
+ * @param {number} position
+ */
+
+Board.prototype.accelStepperTo = function (deviceNum, position) {
+    return writeToTransport(this, encode.accelStepperTo(deviceNum, position))
+}
+
+/**
+ * Powers the outputs of a stepper on or off, through its enable pin if it has one.
+ * @param {number} deviceNum
+ * @param {boolean} enabled
+ */
+
+Board.prototype.accelStepperEnable = function (deviceNum, enabled) {
+    return writeToTransport(this, encode.accelStepperEnable(deviceNum, enabled))
+}
+
+/**
+ * Stops a stepper, decelerating if it has an acceleration set.
+ * @param {number} deviceNum
+ */
+
+Board.prototype.accelStepperStop = function (deviceNum) {
+    return writeToTransport(this, encode.accelStepperStop(deviceNum))
+}
+
+/**
+ * Asks for the position of a stepper.
+ * @param {number} deviceNum
+ * @return {Promise} resolves to the position, also emitted as `stepper-position-<deviceNum>`
+ */
+
+Board.prototype.accelStepperReportPosition = function (deviceNum) {
+    return awaitReply(this, `stepper-position-${deviceNum}`, ACCELSTEPPER_REPLY_TIMEOUT, () => {
+        return writeToTransport(this, encode.accelStepperReportPosition(deviceNum))
+    })
+}
+
+/**
+ * @param {number} deviceNum
+ * @param {number} speed Maximum speed in steps per second.
+ */
+
+Board.prototype.accelStepperSpeed = function (deviceNum, speed) {
+    return writeToTransport(this, encode.accelStepperSpeed(deviceNum, speed))
+}
+
+/**
+ * @param {number} deviceNum
+ * @param {number} acceleration In steps per second per second, 0 for none.
+ */
+
+Board.prototype.accelStepperAcceleration = function (deviceNum, acceleration) {
+    return writeToTransport(this, encode.accelStepperAcceleration(deviceNum, acceleration))
+}
+
+/**
+ * Groups steppers so they can move together, see multiStepperTo.
+ * @param {number} groupNum 0-4
+ * @param {number[]} deviceNums Configured steppers, at most 10.
+ */
+
+Board.prototype.multiStepperConfig = function (groupNum, deviceNums) {
+    return writeToTransport(this, encode.multiStepperConfig(groupNum, deviceNums))
+}
+
+/**
+ * Moves every stepper of a group to its position, all arriving at the same time;
+ * `multi-stepper-done-<groupNum>` is emitted when they stop.
+ * @param {number} groupNum
+ * @param {number[]} positions One per stepper, in group order.
+ */
+
+Board.prototype.multiStepperTo = function (groupNum, positions) {
+    return writeToTransport(this, encode.multiStepperTo(groupNum, positions))
+}
+
+/**
+ * Stops every stepper of a group at once.
+ * @param {number} groupNum
+ */
+
+Board.prototype.multiStepperStop = function (groupNum) {
+    return writeToTransport(this, encode.multiStepperStop(groupNum))
+}
+
+/**
+ * Configures a stepper and returns it as a Stepper, see accelStepper.js.
+ * @param {object} options The accelStepperConfig options, plus:
+ *   speed {number} [optional] steps per second
+ *   acceleration {number} [optional] steps per second per second
+ *   positionInterval {number} [optional] ms between position reports while moving
+ *   moveTimeout {number} [optional] ms a move may go without progress before it rejects
+ * @return {Stepper}
+ */
+
+Board.prototype.stepper = function (options) {
+    const stepper = new Stepper(this, options.deviceNum, options)
+    // commands are written in call order, so the stepper can be used at once;
+    // moves reject with the error of a setup that failed
+    const setup = [this.accelStepperConfig(options)]
+    if (options.speed !== undefined) {
+        setup.push(stepper.setSpeed(options.speed))
+    }
+    if (options.acceleration !== undefined) {
+        setup.push(stepper.setAcceleration(options.acceleration))
+    }
+    stepper.setup(Promise.all(setup))
+    return stepper
+}
+
+/**
+ * Groups Steppers so they move together.
+ * @param {number} groupNum 0-4
+ * @param {Stepper[]} steppers
+ * @return {Promise} resolves to a StepperGroup
+ */
+
+Board.prototype.stepperGroup = function (groupNum, steppers) {
+    return this.multiStepperConfig(groupNum, steppers.map(stepper => stepper.deviceNum))
+        .then(() => new StepperGroup(this, groupNum, steppers))
+}
+
+/**
+ * Attaches a quadrature encoder to two interrupt capable pins.
+ * @param {number} encoderNum 0-4
+ * @param {number} pinA
+ * @param {number} pinB
+ * @param {object} [scale] See setEncoderScale.
+ */
+
+Board.prototype.encoderAttach = function (encoderNum, pinA, pinB, scale) {
+    this.encoders.set(encoderNum, {})
+    if (scale) {
+        this.setEncoderScale(encoderNum, scale)
+    }
+    return writeToTransport(this, encode.encoderAttach(encoderNum, pinA, pinB)).then(() => {
+        this.pins[pinA].mode = this.MODES.ENCODER
+        this.pins[pinB].mode = this.MODES.ENCODER
+    })
+}
+
+/**
+ * Sets how readings of an encoder are converted.
+ * @param {number} encoderNum
+ * @param {object} scale Options:
+ *   countsPerRevolution {number} Counts per turn of the shaft or wheel, for revolutions and rpm
+ *   distancePerRevolution {number} [optional] e.g. the wheel circumference, for distance in the same unit
+ */
+
+Board.prototype.setEncoderScale = function (encoderNum, scale) {
+    const state = this.encoders.get(encoderNum) || {}
+    state.countsPerRevolution = scale.countsPerRevolution
+    state.distancePerRevolution = scale.distancePerRevolution
+    this.encoders.set(encoderNum, state)
+}
+
+Board.prototype.encoderDetach = function (encoderNum) {
+    this.encoders.delete(encoderNum)
+    return writeToTransport(this, encode.encoderDetach(encoderNum))
+}
+
+/**
+ * Asks for the position of an encoder, reported as `encoder-<encoderNum>`.
+ * @param {number} encoderNum
+ */
+
+Board.prototype.encoderReportPosition = function (encoderNum) {
+    return writeToTransport(this, encode.encoderReportPosition(encoderNum))
+}
+
+/**
+ * Asks for the positions of every attached encoder.
+ */
+
+Board.prototype.encoderReportPositions = function () {
+    return writeToTransport(this, encode.encoderReportPositions())
+}
+
+/**
+ * Reads an encoder.
+ * @param {number} encoderNum
+ * @return {Promise} resolves to { encoder, position, revolutions, distance, rpm };
+ * the converted values are null without a scale, rpm also on the first reading.
+ */
+
+Board.prototype.readEncoder = function (encoderNum) {
+    return awaitReply(this, `encoder-${encoderNum}`, ENCODER_REPLY_TIMEOUT,
+        () => this.encoderReportPosition(encoderNum))
+}
+
+/**
+ * Makes the position of an encoder 0.
+ * @param {number} encoderNum
+ */
+
+Board.prototype.encoderReset = function (encoderNum) {
+    const state = this.encoders.get(encoderNum)
+    if (state) {
+        // no speed across the jump to 0
+        delete state.time
+    }
+    return writeToTransport(this, encode.encoderReset(encoderNum))
+}
+
+/**
+ * Turns the reporting of every encoder at each sampling interval on or off.
+ * @param {boolean} enable
+ */
+
+Board.prototype.encoderReportAuto = function (enable) {
+    return writeToTransport(this, encode.encoderReportAuto(enable))
+}
+
+/**
+ * Asks the Arduino to configure a hardware or serial port.
+ * @param {object} options Options:
+ *   portId {number} The serial port to use (HW_SERIAL1, HW_SERIAL2, HW_SERIAL3, SW_SERIAL0,
  *   SW_SERIAL1, SW_SERIAL2, SW_SERIAL3)
  *   baud {number} The baud rate of the serial port
  *   rxPin {number} [SW Serial only] The RX pin of the SoftwareSerial instance
@@ -2212,23 +2616,7 @@ Board.prototype.serialConfig = function (options) {
 
     baud = baud || 57600
 
-    const data = [
-        START_SYSEX,
-        SERIAL_MESSAGE,
-        SERIAL_CONFIG | portId,
-        baud & 0x007F,
-        (baud >> 7) & 0x007F,
-        (baud >> 14) & 0x007F
-    ]
-    if (portId > 7 && typeof rxPin !== 'undefined' && typeof txPin !== 'undefined') {
-        data.push(rxPin)
-        data.push(txPin)
-    } else if (portId > 7) {
-        throw new Error('Both RX and TX pins must be defined when using Software Serial.')
-    }
-
-    data.push(END_SYSEX)
-    return writeToTransport(this, data)
+    return writeToTransport(this, encode.serialConfig(portId, baud, rxPin, txPin))
 }
 
 /**
@@ -2238,19 +2626,9 @@ Board.prototype.serialConfig = function (options) {
  */
 
 Board.prototype.serialWrite = function (portId, inBytes) {
-    const data = [
-        START_SYSEX,
-        SERIAL_MESSAGE,
-        SERIAL_WRITE | portId
-    ]
-    for (let i = 0, len = inBytes.length; i < len; i++) {
-        data.push(inBytes[i] & 0x007F)
-        data.push((inBytes[i] >> 7) & 0x007F)
-    }
-    data.push(END_SYSEX)
     /* istanbul ignore else */
     if (inBytes.length > 0) {
-        return writeToTransport(this, data)
+        return writeToTransport(this, encode.serialWrite(portId, inBytes))
     }
 }
 
@@ -2265,15 +2643,7 @@ Board.prototype.serialWrite = function (portId, inBytes) {
  */
 
 Board.prototype.serialRead = function (portId) {
-    const data = [
-        START_SYSEX,
-        SERIAL_MESSAGE,
-        SERIAL_READ | portId,
-        this.SERIAL_MODES.CONTINUOUS_READ
-    ]
-
-    data.push(END_SYSEX)
-    return writeToTransport(this, data)
+    return writeToTransport(this, encode.serialRead(portId))
 }
 
 /**
@@ -2283,13 +2653,7 @@ Board.prototype.serialRead = function (portId) {
  */
 
 Board.prototype.serialStop = function (portId) {
-    return writeToTransport(this, [
-        START_SYSEX,
-        SERIAL_MESSAGE,
-        SERIAL_READ | portId,
-        this.SERIAL_MODES.STOP_READING,
-        END_SYSEX
-    ])
+    return writeToTransport(this, encode.serialStop(portId))
 }
 
 /**
@@ -2298,12 +2662,7 @@ Board.prototype.serialStop = function (portId) {
  */
 
 Board.prototype.serialClose = function (portId) {
-    return writeToTransport(this, [
-        START_SYSEX,
-        SERIAL_MESSAGE,
-        SERIAL_CLOSE | portId,
-        END_SYSEX
-    ])
+    return writeToTransport(this, encode.serialClose(portId))
 }
 
 /**
@@ -2314,12 +2673,7 @@ Board.prototype.serialClose = function (portId) {
  */
 
 Board.prototype.serialFlush = function (portId) {
-    return writeToTransport(this, [
-        START_SYSEX,
-        SERIAL_MESSAGE,
-        SERIAL_FLUSH | portId,
-        END_SYSEX
-    ])
+    return writeToTransport(this, encode.serialFlush(portId))
 }
 
 /**
@@ -2334,12 +2688,326 @@ Board.prototype.serialListen = function (portId) {
     if (portId < 8) {
         return
     }
-    return writeToTransport(this, [
-        START_SYSEX,
-        SERIAL_MESSAGE,
-        SERIAL_LISTEN | portId,
-        END_SYSEX
-    ])
+    return writeToTransport(this, encode.serialListen(portId))
+}
+
+/**
+ * Reads what arrives on a serial port, see SerialReader. Start the port with
+ * serialConfig and serialRead; the reader only collects the replies.
+ * @param {number} portId The serial port to read.
+ * @param {object} [options] maxBuffered: replies kept while nobody is reading.
+ *                           delimiter: split the bytes into frames ending with it, e.g. '\r\n'.
+ * @return {SerialReader} an async iterator of byte arrays
+ */
+
+Board.prototype.serialReader = function (portId, options) {
+    return new SerialReader(this, portId, options)
+}
+
+/**
+ * The replies of a serial port as a Readable stream of Buffers, e.g. to pipe
+ * a GPS module into an NMEA parser.
+ * @param {number} portId The serial port to read.
+ * @param {object} [options] See serialReader.
+ * @return {Readable}
+ */
+
+Board.prototype.serialStream = function (portId, options) {
+    return this.serialReader(portId, options).toStream()
+}
+
+/**
+ * Configures a pin as a OneWire bus.
+ * @param {number} pin
+ * @param {boolean} enableParasiticPower Power the devices through the data line.
+ */
+
+Board.prototype.sendOneWireConfig = function (pin, enableParasiticPower) {
+    return writeToTransport(this, encode.oneWireConfig(pin, enableParasiticPower))
+}
+
+/**
+ * Sends a search request and waits for its reply.
+ * @private
+ */
+
+function oneWireSearch (board, pin, message, reply) {
+    return awaitReply(board, `${reply}-${pin}`, ONEWIRE_REPLY_TIMEOUT,
+        () => writeToTransport(board, message))
+}
+
+/**
+ * Searches the bus for devices.
+ * @param {number} pin
+ * @return {Promise} resolves to the ROM codes found, each an array of 8 bytes
+ */
+
+Board.prototype.sendOneWireSearch = function (pin) {
+    return oneWireSearch(this, pin, encode.oneWireSearch(pin), '1-wire-search-reply')
+}
+
+/**
+ * Searches the bus for devices with an alarm set.
+ * @param {number} pin
+ * @return {Promise} resolves to the ROM codes found
+ */
+
+Board.prototype.sendOneWireAlarmsSearch = function (pin) {
+    return oneWireSearch(this, pin, encode.oneWireAlarmsSearch(pin), '1-wire-search-alarms-reply')
+}
+
+/**
+ * Sends one OneWire request. The firmware runs the parts in this order:
+ * reset, select `device` (or skip when there is none), read setup, delay, write.
+ * @param {number} pin
+ * @param {Object} request reset, device (8 bytes), skip, numBytesToRead,
+ *                         correlationId, delay (ms) and data (bytes to write).
+ */
+
+Board.prototype.sendOneWireRequest = function (pin, request) {
+    return writeToTransport(this, encode.oneWireRequest(pin, request))
+}
+
+/**
+ * Resets the bus.
+ * @param {number} pin
+ */
+
+Board.prototype.sendOneWireReset = function (pin) {
+    return this.sendOneWireRequest(pin, { reset: true })
+}
+
+/**
+ * Makes the firmware pause the bus.
+ * @param {number} pin
+ * @param {number} delay in ms
+ */
+
+Board.prototype.sendOneWireDelay = function (pin, delay) {
+    return this.sendOneWireRequest(pin, { delay: delay })
+}
+
+/**
+ * Writes to a device, or to every device when `device` is null.
+ * @param {number} pin
+ * @param {Array} device ROM code from sendOneWireSearch, or null to skip selection.
+ * @param {Array|number} data
+ */
+
+Board.prototype.sendOneWireWrite = function (pin, device, data) {
+    return this.sendOneWireRequest(pin, {
+        device: device,
+        skip: !device,
+        data: Array.isArray(data) ? data : [data]
+    })
+}
+
+/**
+ * Writes `data` to a device, then reads back from it.
+ * @param {number} pin
+ * @param {Array} device ROM code, or null when there is one device on the bus.
+ * @param {Array|number} data Bytes to write first, may be empty.
+ * @param {number} numBytesToRead
+ * @return {Promise} resolves to the bytes read
+ */
+
+Board.prototype.sendOneWireWriteAndRead = function (pin, device, data, numBytesToRead) {
+    this.oneWireCorrelationId = (this.oneWireCorrelationId + 1) & 0xFFFF
+    const correlationId = this.oneWireCorrelationId
+    return awaitReply(this, `1-wire-read-reply-${correlationId}`, ONEWIRE_REPLY_TIMEOUT, () => {
+        return this.sendOneWireRequest(pin, {
+            device: device,
+            skip: !device,
+            numBytesToRead: numBytesToRead,
+            correlationId: correlationId,
+            data: Array.isArray(data) ? data : [data]
+        })
+    })
+}
+
+/**
+ * Reads from a device.
+ * @param {number} pin
+ * @param {Array} device ROM code, or null when there is one device on the bus.
+ * @param {number} numBytesToRead
+ * @return {Promise} resolves to the bytes read
+ */
+
+Board.prototype.sendOneWireRead = function (pin, device, numBytesToRead) {
+    return this.sendOneWireWriteAndRead(pin, device, [], numBytesToRead)
+}
+
+/**
+ * Dallas/Maxim CRC-8, the last byte of ROM codes and the DS18B20 scratchpad.
+ * @private
+ */
+
+function dallasCrc8 (bytes) {
+    let crc = 0
+    for (let i = 0; i < bytes.length; i++) {
+        let byte = bytes[i]
+        for (let bit = 0; bit < 8; bit++) {
+            const mix = (crc ^ byte) & 0x01
+            crc >>= 1
+            if (mix) {
+                crc ^= 0x8C
+            }
+            byte >>= 1
+        }
+    }
+    return crc
+}
+
+/**
+ * Reads a DS18B20 temperature probe.
+ * @param {number} pin The OneWire bus the probe is on.
+ * @param {Array} [device] ROM code of the probe; the first DS18B20 found on the bus when omitted.
+ * @return {Promise} resolves to the temperature in degrees Celsius
+ */
+
+Board.prototype.readDS18B20 = function (pin, device) {
+    let p
+    if (this.sensorPrepareMap.has(`onewire-${pin}`)) {
+        p = Promise.resolve()
+    } else {
+        p = this.sendOneWireConfig(pin, true).then(() => {
+            this.sensorPrepareMap.set(`onewire-${pin}`, true)
+        })
+    }
+    if (device) {
+        p = p.then(() => device)
+    } else if (this.ds18b20Devices.has(pin)) {
+        p = p.then(() => this.ds18b20Devices.get(pin))
+    } else {
+        p = p.then(() => this.sendOneWireSearch(pin)).then(devices => {
+            const probe = devices.find(rom => rom[0] === DS18B20_FAMILY && dallasCrc8(rom) === 0)
+            if (!probe) {
+                throw new Error(`No DS18B20 found on pin ${pin}`)
+            }
+            this.ds18b20Devices.set(pin, probe)
+            return probe
+        })
+    }
+    return p.then(probe => {
+        return this.sendOneWireRequest(pin, { reset: true, device: probe, data: [DS18B20_CONVERT_T] })
+            .then(() => new Promise(resolve => setTimeout(resolve, DS18B20_CONVERSION_TIME)))
+            .then(() => this.sendOneWireReset(pin))
+            .then(() => this.sendOneWireWriteAndRead(pin, probe, [DS18B20_READ_SCRATCHPAD], 9))
+    }).then(scratchpad => {
+        if (scratchpad.length !== 9 || dallasCrc8(scratchpad) !== 0) {
+            throw new Error(`DS18B20 on pin ${pin}: scratchpad CRC mismatch`)
+        }
+        // signed 16 bit, 1/16 degree per step
+        const raw = (scratchpad[1] << 8) | scratchpad[0]
+        return (raw > 0x7FFF ? raw - 0x10000 : raw) / 16
+    })
+}
+
+/**
+ * Creates an empty task on the board, to be filled with addToTask.
+ * @param {number} taskId 0-127
+ * @param {number} length Number of task bytes that will be added.
+ */
+
+Board.prototype.createTask = function (taskId, length) {
+    return writeToTransport(this, encode.createTask(taskId, length))
+}
+
+/**
+ * Appends Firmata messages to a task, in chunks the firmware can take.
+ * @param {number} taskId
+ * @param {Array} bytes Complete Firmata messages, e.g. from recordTask.
+ */
+
+Board.prototype.addToTask = function (taskId, bytes) {
+    let p = Promise.resolve()
+    for (let offset = 0; offset < bytes.length; offset += SCHEDULER_CHUNK_SIZE) {
+        const chunk = bytes.slice(offset, offset + SCHEDULER_CHUNK_SIZE)
+        p = p.then(() => writeToTransport(this, encode.addToTask(taskId, chunk)))
+    }
+    return p
+}
+
+/**
+ * Creates a task holding `bytes`. Run it with scheduleTask.
+ * @param {number} taskId
+ * @param {Array} bytes
+ */
+
+Board.prototype.uploadTask = function (taskId, bytes) {
+    return this.createTask(taskId, bytes.length).then(() => this.addToTask(taskId, bytes))
+}
+
+/**
+ * Pauses the running task. Only meaningful inside a task, i.e. while recording.
+ * @param {number} ms
+ */
+
+Board.prototype.taskDelay = function (ms) {
+    return writeToTransport(this, encode.delayTask(ms))
+}
+
+/**
+ * Runs a task once `ms` from now. A task ending with taskDelay runs again after
+ * that delay, so it repeats until deleted.
+ * @param {number} taskId
+ * @param {number} [ms]
+ */
+
+Board.prototype.scheduleTask = function (taskId, ms) {
+    return writeToTransport(this, encode.scheduleTask(taskId, ms || 0))
+}
+
+Board.prototype.deleteTask = function (taskId) {
+    return writeToTransport(this, encode.deleteTask(taskId))
+}
+
+/**
+ * Deletes every task on the board.
+ */
+
+Board.prototype.resetTasks = function () {
+    return writeToTransport(this, encode.resetTasks())
+}
+
+/**
+ * @return {Promise} resolves to the ids of the tasks on the board
+ */
+
+Board.prototype.queryAllTasks = function () {
+    return awaitReply(this, 'scheduler-tasks', SCHEDULER_REPLY_TIMEOUT,
+        () => writeToTransport(this, encode.queryAllTasks()))
+}
+
+/**
+ * @param {number} taskId
+ * @return {Promise} resolves to { id, time, length, position, data }, or null when there is no such task
+ */
+
+Board.prototype.queryTask = function (taskId) {
+    return awaitReply(this, `scheduler-task-${taskId}`, SCHEDULER_REPLY_TIMEOUT,
+        () => writeToTransport(this, encode.queryTask(taskId)))
+}
+
+/**
+ * Records the commands `record` sends through the recorder it is called with,
+ * for uploadTask. The recorder has the methods of the board but keeps what they
+ * write; the board itself goes on writing to the link meanwhile. Use taskDelay
+ * for the pauses between commands. Commands that wait for a reply cannot be recorded.
+ *
+ *   board.recordTask(b => b.digitalWrite(13, 1).then(() => b.taskDelay(500))
+ *       .then(() => b.digitalWrite(13, 0)).then(() => b.taskDelay(500)))
+ *       .then(bytes => board.uploadTask(1, bytes))
+ *       .then(() => board.scheduleTask(1))
+ *
+ * @param {function} record Called with the recorder, may return a promise.
+ * @return {Promise} resolves to the recorded bytes
+ */
+
+Board.prototype.recordTask = function (record) {
+    const recorder = Object.create(this)
+    recorder.recording = []
+    return Promise.resolve().then(() => record(recorder)).then(() => recorder.recording)
 }
 
 /**
@@ -2385,12 +3053,7 @@ Board.prototype.sysexCommand = function (message) {
         throw new Error('Sysex Command cannot be empty')
     }
 
-    const data = message.slice()
-
-    data.unshift(START_SYSEX)
-    data.push(END_SYSEX)
-
-    return writeToTransport(this, data)
+    return writeToTransport(this, encode.sysex(message))
 }
 
 /**
@@ -2401,9 +3064,9 @@ Board.prototype.reset = function () {
     if (this.isClean) {
         return
     }
-    buzzerSongStop = true
-    colorLEDFlashStop = true
-    return writeToTransport(this, [SYSTEM_RESET])
+    this.buzzerSongStop = true
+    this.colorLEDFlashStop = true
+    return writeToTransport(this, encode.systemReset())
 }
 
 /**
@@ -2415,31 +3078,42 @@ Board.prototype.reset = function () {
 Board.isAcceptablePort = function (port) {
     const rport = /usb|acm|^com/i
 
-    if (rport.test(port.comName)) {
+    // serialport >= 9 reports `path`, older versions `comName`
+    if (rport.test(port.path || port.comName)) {
         return true
     }
 
     return false
 }
 
+/**
+ * Port enumerator used by Board.requestPort: any object with a `list()` method
+ * resolving to SerialPort.list() style port objects. The browser build has none;
+ * src/node installs its SerialTransport here.
+ */
+
+Board.com = null
+
 /**
  * Board.requestPort(callback) Request an acceptable port to connect to.
  * callback(error, port)
  */
 
 Board.requestPort = function (callback) {
-    com.list((ports) => {
-        const port = ports.find(port => {
-            if (Board.isAcceptablePort(port)) {
-                return port
-            }
-        })
+    if (!Board.com) {
+        callback(new Error('No port enumerator available'), null)
+        return
+    }
+    Board.com.list().then(ports => {
+        const port = ports.find(port => Board.isAcceptablePort(port))
 
         if (port) {
             callback(null, port)
         } else {
             callback(new Error('No Acceptable Port Found'), null)
         }
+    }, error => {
+        callback(error, null)
     })
 }
 
@@ -0,0 +1,192 @@
+/// / Built-in Dependencies
+const Emitter = require('events').EventEmitter
+
+const START_SYSEX = 0xF0
+const END_SYSEX = 0xF7
+
+// data bytes following each status byte a board sends; other status bytes are garbage
+const MIDI_DATA_LENGTHS = {
+    0x90: 2, // DIGITAL_MESSAGE
+    0xC0: 1, // REPORT_ANALOG
+    0xD0: 1, // REPORT_DIGITAL
+    0xE0: 2, // ANALOG_MESSAGE
+    0xF4: 2, // PIN_MODE
+    0xF9: 2, // REPORT_VERSION
+    0xFF: 0 // SYSTEM_RESET
+}
+
+const DEFAULT_OPTIONS = {
+    // longest sysex kept, START_SYSEX and END_SYSEX included; a capability
+    // response of a board with many pins runs to about a thousand bytes
+    maxSysexLength: 4096
+}
+
+/**
+ * @class FirmataDecoder turns the byte stream of a Firmata board into messages.
+ * Feed it chunks as they arrive, of any size and split anywhere:
+ *
+ *   const decoder = new FirmataDecoder()
+ *   decoder.on('message', message => { ... })
+ *   transport.on('data', data => decoder.write(data))
+ *
+ * Events:
+ *   message  { type: 'sysex', command, bytes } with bytes from START_SYSEX to END_SYSEX, or
+ *            { type: 'midi', command, channel, bytes } with channel undefined for system messages
+ *   garbage  { bytes, reason } bytes dropped: 'leading' data bytes outside a message,
+ *            an 'interrupted' message, an 'unknown' status byte or a sysex 'overflow'
+ *   resync   { discarded } the first message after garbage, with the bytes dropped since the last one
+ *
+ * Bytes are collected in one preallocated buffer, so decoding allocates per
+ * message and never per byte.
+ * @augments EventEmitter
+ * @param {Object} [options] See DEFAULT_OPTIONS.
+ */
+
+function FirmataDecoder (options) {
+    Emitter.call(this)
+    const settings = Object.assign({}, DEFAULT_OPTIONS, options)
+    this.buffer = new Uint8Array(settings.maxSysexLength)
+    this.length = 0
+    // data bytes a midi message still needs; -1 while in a sysex
+    this.remaining = 0
+    // dropping the rest of an oversized sysex
+    this.skipping = false
+    this.leading = 0
+    // bytes dropped since the last message
+    this.dropped = 0
+    this.messages = 0
+    this.discarded = 0
+}
+
+FirmataDecoder.prototype = Object.create(Emitter.prototype, {
+    constructor: {
+        value: FirmataDecoder
+    }
+})
+
+/**
+ * Decodes a chunk.
+ * @param {Uint8Array|Buffer|number[]} chunk
+ */
+
+FirmataDecoder.prototype.write = function (chunk) {
+    for (let i = 0; i < chunk.length; i++) {
+        const byte = chunk[i]
+        if (byte & 0x80) {
+            this.status(byte)
+        } else if (this.length === 0) {
+            this.leading++
+        } else if (this.remaining < 0) {
+            if (this.length === this.buffer.length) {
+                this.overflow()
+            } else {
+                this.buffer[this.length++] = byte
+            }
+        } else {
+            this.buffer[this.length++] = byte
+            if (--this.remaining === 0) {
+                this.complete()
+            }
+        }
+    }
+    this.flushLeading()
+}
+
+FirmataDecoder.prototype.status = function (byte) {
+    this.flushLeading()
+    if (byte === END_SYSEX) {
+        if (this.remaining < 0 && this.length > 0) {
+            this.buffer[this.length++] = byte
+            this.complete()
+            return
+        }
+        if (this.remaining > 0) {
+            // a stray END_SYSEX cuts a midi message short
+            this.drop('interrupted', this.length)
+            this.length = 0
+            this.remaining = 0
+        }
+        this.drop(this.skipping ? 'overflow' : 'leading', 1)
+        this.skipping = false
+        return
+    }
+    this.skipping = false
+    if (this.length > 0) {
+        this.drop('interrupted', this.length)
+        this.length = 0
+    }
+    if (byte === START_SYSEX) {
+        this.buffer[this.length++] = byte
+        this.remaining = -1
+        return
+    }
+    const command = byte < START_SYSEX ? byte & 0xF0 : byte
+    const dataLength = MIDI_DATA_LENGTHS[command]
+    if (dataLength === undefined) {
+        this.drop('unknown', 1)
+        return
+    }
+    this.buffer[this.length++] = byte
+    this.remaining = dataLength
+    if (dataLength === 0) {
+        this.complete()
+    }
+}
+
+FirmataDecoder.prototype.overflow = function () {
+    // the rest of the sysex, up to its END_SYSEX, is dropped as well
+    this.drop('overflow', this.length + 1)
+    this.length = 0
+    this.skipping = true
+}
+
+FirmataDecoder.prototype.flushLeading = function () {
+    if (this.leading > 0) {
+        const count = this.leading
+        this.leading = 0
+        this.drop(this.skipping ? 'overflow' : 'leading', count)
+    }
+}
+
+FirmataDecoder.prototype.drop = function (reason, count) {
+    this.dropped += count
+    this.discarded += count
+    this.emit('garbage', { bytes: count, reason: reason })
+}
+
+FirmataDecoder.prototype.complete = function () {
+    const bytes = this.buffer.slice(0, this.length)
+    const first = bytes[0]
+    this.length = 0
+    this.remaining = 0
+    this.messages++
+    if (this.dropped > 0) {
+        const discarded = this.dropped
+        this.dropped = 0
+        this.emit('resync', { discarded: discarded })
+    }
+    if (first === START_SYSEX) {
+        this.emit('message', { type: 'sysex', command: bytes[1], bytes: bytes })
+    } else {
+        this.emit('message', {
+            type: 'midi',
+            command: first < START_SYSEX ? first & 0xF0 : first,
+            channel: first < START_SYSEX ? first & 0x0F : undefined,
+            bytes: bytes
+        })
+    }
+}
+
+/**
+ * Forgets a partly received message, e.g. when the link is reopened.
+ */
+
+FirmataDecoder.prototype.reset = function () {
+    this.length = 0
+    this.remaining = 0
+    this.skipping = false
+    this.leading = 0
+    this.dropped = 0
+}
+
+module.exports = FirmataDecoder
@@ -0,0 +1,891 @@
+/**
+ * Builds the messages Board sends, one pure function per message type. Each
+ * returns the bytes as an array and has no side effects, so a message can be
+ * checked against a capture without a board:
+ *
+ *   encode.digitalMessage(1, 0x20)   // [0x91, 0x20, 0x00]
+ *   encode.servoConfig(9, 544, 2400) // [0xF0, 0x70, 9, 0x20, 0x04, 0x60, 0x12, 0xF7]
+ *
+ * Values wider than 7 bits are split into 7 bit bytes, least significant first,
+ * as Firmata expects; see pack14 and to7BitArray.
+ */
+
+const ANALOG_MAPPING_QUERY = 0x69
+const ANALOG_MESSAGE = 0xE0
+const CAPABILITY_QUERY = 0x6B
+const DIGITAL_MESSAGE = 0x90
+const END_SYSEX = 0xF7
+const EXTENDED_ANALOG = 0x6F
+const I2C_CONFIG = 0x78
+const I2C_REQUEST = 0x76
+const I2C_WRITE = 0
+const I2C_STOP_READING = 3
+const PIN_MODE = 0xF4
+const PIN_STATE_QUERY = 0x6D
+const PING_READ = 0x75
+const QUERY_FIRMWARE = 0x79
+const REPORT_ANALOG = 0xC0
+const REPORT_DIGITAL = 0xD0
+const REPORT_VERSION = 0xF9
+const SAMPLING_INTERVAL = 0x7A
+const SERVO_CONFIG = 0x70
+const START_SYSEX = 0xF0
+const STRING_DATA = 0x71
+const SYSTEM_RESET = 0xFF
+const SERIAL_MESSAGE = 0x60
+const SERIAL_CONFIG = 0x10
+const SERIAL_WRITE = 0x20
+const SERIAL_READ = 0x30
+const SERIAL_CLOSE = 0x50
+const SERIAL_FLUSH = 0x60
+const SERIAL_LISTEN = 0x70
+const SERIAL_CONTINUOUS_READ = 0x00
+const SERIAL_STOP_READING = 0x01
+const STEPPER = 0x72
+const STEPPER_CONFIG = 0x00
+const STEPPER_STEP = 0x01
+const STEPPER_TYPE_DRIVER = 1
+const STEPPER_TYPE_FOUR_WIRE = 4
+const STEPPER_STEP_SIZE_WHOLE = 1
+const ACCELSTEPPER = 0x62
+const ACCELSTEPPER_CONFIG = 0x00
+const ACCELSTEPPER_ZERO = 0x01
+const ACCELSTEPPER_STEP = 0x02
+const ACCELSTEPPER_TO = 0x03
+const ACCELSTEPPER_ENABLE = 0x04
+const ACCELSTEPPER_STOP = 0x05
+const ACCELSTEPPER_REPORT_POSITION = 0x06
+const ACCELSTEPPER_SET_ACCELERATION = 0x08
+const ACCELSTEPPER_SET_SPEED = 0x09
+const MULTISTEPPER_CONFIG = 0x20
+const MULTISTEPPER_TO = 0x21
+const MULTISTEPPER_STOP = 0x23
+// largest significand of the AccelStepperFirmata float
+const MAX_SIGNIFICAND = Math.pow(2, 23)
+const ENCODER_DATA = 0x61
+const ENCODER_ATTACH = 0x00
+const ENCODER_REPORT_POSITION = 0x01
+const ENCODER_REPORT_POSITIONS = 0x02
+const ENCODER_RESET_POSITION = 0x03
+const ENCODER_REPORT_AUTO = 0x04
+const ENCODER_DETACH = 0x05
+const ONEWIRE_DATA = 0x73
+const ONEWIRE_SEARCH_REQUEST = 0x40
+const ONEWIRE_CONFIG_REQUEST = 0x41
+const ONEWIRE_SEARCH_ALARMS_REQUEST = 0x44
+const ONEWIRE_RESET_REQUEST_BIT = 0x01
+const ONEWIRE_SELECT_REQUEST_BIT = 0x02
+const ONEWIRE_SKIP_REQUEST_BIT = 0x04
+const ONEWIRE_READ_REQUEST_BIT = 0x08
+const ONEWIRE_DELAY_REQUEST_BIT = 0x10
+const ONEWIRE_WRITE_REQUEST_BIT = 0x20
+const SCHEDULER_DATA = 0x7B
+const CREATE_FIRMATA_TASK = 0x00
+const DELETE_FIRMATA_TASK = 0x01
+const ADD_TO_FIRMATA_TASK = 0x02
+const DELAY_FIRMATA_TASK = 0x03
+const SCHEDULE_FIRMATA_TASK = 0x04
+const QUERY_ALL_FIRMATA_TASKS = 0x05
+const QUERY_FIRMATA_TASK = 0x06
+const RESET_FIRMATA_TASKS = 0x07
+const MICRODUINO_OLED = 0x01
+const MICRODUINO_COLOR_LED = 0x03
+const MICRODUINO_BUZZER = 0x04
+const MICRODUINO_MOTOR = 0x05
+const MICRODUINO_SERVO = 0x09
+const MICRODUINO_NIXIETUBE = 0x0B
+// the buggy sub-commands of MICRODUINO_IBB
+const MICRODUINO_IBB = 0x0C
+const BUGGY_LED = 0
+const BUGGY_MOTOR = 1
+const BUGGY_BUZZER = 2
+const BUGGY_GRAY = 3
+const BUGGY_COLOR = 4
+const BUGGY_FIND_LINE = 5
+const BUGGY_MUSIC = 6
+const BUGGY_BOTH_MOTORS = 3
+
+/**
+ * A value of up to 14 bits as two 7 bit bytes.
+ */
+
+function pack14 (value) {
+    return [value & 0x7F, (value >> 7) & 0x7F]
+}
+
+/**
+ * Packs 8-bit bytes into 7-bit ones, as OneWire and Scheduler messages carry their data.
+ */
+
+function to7BitArray (data) {
+    const output = []
+    let shift = 0
+    let previous = 0
+    for (let i = 0; i < data.length; i++) {
+        const byte = data[i] & 0xFF
+        if (shift === 0) {
+            output.push(byte & 0x7F)
+            shift++
+            previous = byte >> 7
+        } else {
+            output.push(((byte << shift) & 0x7F) | previous)
+            if (shift === 6) {
+                output.push(byte >> 1)
+                shift = 0
+            } else {
+                shift++
+                previous = byte >> (8 - shift)
+            }
+        }
+    }
+    if (shift > 0) {
+        output.push(previous)
+    }
+    return output
+}
+
+/**
+ * Encodes a signed 32 bit integer as the 5 bytes AccelStepperFirmata expects.
+ */
+
+function encode32BitSignedInteger (value) {
+    const magnitude = Math.abs(Math.round(value))
+    const encoded = [
+        magnitude & 0x7F,
+        (magnitude >> 7) & 0x7F,
+        (magnitude >> 14) & 0x7F,
+        (magnitude >> 21) & 0x7F,
+        (magnitude >> 28) & 0x07
+    ]
+    if (value < 0) {
+        encoded[4] |= 0x08
+    }
+    return encoded
+}
+
+/**
+ * Encodes a number as the 4 byte AccelStepperFirmata float: a 23 bit significand,
+ * a power of ten exponent offset by 11 and a sign bit.
+ */
+
+function encodeCustomFloat (value) {
+    const sign = value < 0 ? 1 : 0
+    let significand = Math.abs(value)
+    if (significand === 0) {
+        return [0, 0, 0, 0]
+    }
+    const base10 = Math.floor(Math.log10(significand))
+    let exponent = base10
+    significand /= Math.pow(10, base10)
+    // move the decimal point right as far as the significand allows
+    while (!Number.isInteger(significand) && significand * 10 < MAX_SIGNIFICAND) {
+        exponent -= 1
+        significand *= 10
+    }
+    while (significand > MAX_SIGNIFICAND) {
+        exponent += 1
+        significand /= 10
+    }
+    significand = Math.round(significand)
+    exponent += 11
+    return [
+        significand & 0x7F,
+        (significand >> 7) & 0x7F,
+        (significand >> 14) & 0x7F,
+        ((significand >> 21) & 0x03) | ((exponent & 0x0F) << 2) | (sign << 6)
+    ]
+}
+
+/**
+ * Wraps `data` in START_SYSEX and END_SYSEX.
+ * @param {Array} data The command byte, then its data.
+ */
+
+function sysex (data) {
+    return [START_SYSEX].concat(data, [END_SYSEX])
+}
+
+// Firmata core
+
+function reportVersion () {
+    return [REPORT_VERSION]
+}
+
+function queryFirmware () {
+    return sysex([QUERY_FIRMWARE])
+}
+
+function capabilityQuery () {
+    return sysex([CAPABILITY_QUERY])
+}
+
+function analogMappingQuery () {
+    return sysex([ANALOG_MAPPING_QUERY])
+}
+
+function pinStateQuery (pin) {
+    return sysex([PIN_STATE_QUERY, pin])
+}
+
+function pinMode (pin, mode) {
+    return [PIN_MODE, pin, mode]
+}
+
+/**
+ * The output values of the 8 pins of a port.
+ * @param {number} port
+ * @param {number} value One bit per pin.
+ */
+
+function digitalMessage (port, value) {
+    return [DIGITAL_MESSAGE | port].concat(pack14(value))
+}
+
+/**
+ * A PWM or servo value for pins 0-15, see extendedAnalog for the others.
+ */
+
+function analogMessage (pin, value) {
+    return [ANALOG_MESSAGE | pin].concat(pack14(value))
+}
+
+/**
+ * A PWM or servo value for any pin, with as many 7 bit bytes as the value needs.
+ */
+
+function extendedAnalog (pin, value) {
+    const data = [EXTENDED_ANALOG, pin].concat(pack14(value))
+    if (value > 0x00004000) {
+        data.push((value >> 14) & 0x7F)
+    }
+    if (value > 0x00200000) {
+        data.push((value >> 21) & 0x7F)
+    }
+    if (value > 0x10000000) {
+        data.push((value >> 28) & 0x7F)
+    }
+    return sysex(data)
+}
+
+function reportAnalog (pin, value) {
+    return [REPORT_ANALOG | pin, value]
+}
+
+function reportDigital (port, value) {
+    return [REPORT_DIGITAL | port, value]
+}
+
+/**
+ * @param {number} interval ms, already limited to what the firmware takes
+ */
+
+function samplingInterval (interval) {
+    return sysex([SAMPLING_INTERVAL].concat(pack14(interval)))
+}
+
+/**
+ * @param {number} pin
+ * @param {number} min Pulse width in microseconds
+ * @param {number} max
+ */
+
+function servoConfig (pin, min, max) {
+    return sysex([SERVO_CONFIG, pin].concat(pack14(min), pack14(max)))
+}
+
+/**
+ * A null terminated UTF-8 string, each byte as two 7 bit bytes.
+ */
+
+function stringData (string) {
+    const bytes = Buffer.from(`${string}\0`, 'utf8')
+    const data = [STRING_DATA]
+    for (let i = 0; i < bytes.length; i++) {
+        data.push(...pack14(bytes[i]))
+    }
+    return sysex(data)
+}
+
+function systemReset () {
+    return [SYSTEM_RESET]
+}
+
+/**
+ * @param {number} pin
+ * @param {number} value Pulse level to measure
+ * @param {number} pulseOut Length of the trigger pulse in microseconds
+ * @param {number} timeout microseconds
+ */
+
+function pingRead (pin, value, pulseOut, timeout) {
+    const data = [PING_READ, pin, value]
+    ;[pulseOut, timeout].forEach(number => {
+        // 32 bits, most significant byte first, each byte as two 7 bit bytes
+        for (let shift = 24; shift >= 0; shift -= 8) {
+            data.push(...pack14((number >> shift) & 0xFF))
+        }
+    })
+    return sysex(data)
+}
+
+// I2C
+
+/**
+ * @param {number} delay Microseconds between a write and the read that follows it.
+ */
+
+function i2cConfig (delay) {
+    return sysex([I2C_CONFIG, delay & 0xFF, (delay >> 8) & 0xFF])
+}
+
+/**
+ * Reads `bytesToRead` bytes from a register, once or continuously.
+ * @param {number} address
+ * @param {number} register
+ * @param {number} mode I2C_MODES.READ or CONTINUOUS_READ
+ * @param {number} bytesToRead
+ */
+
+function i2cRead (address, register, mode, bytesToRead) {
+    return sysex([I2C_REQUEST, address & 0x7F, mode << 3].concat(pack14(register), pack14(bytesToRead)))
+}
+
+/**
+ * Writes bytes to a device, the first usually being the register.
+ */
+
+function i2cWrite (address, bytes) {
+    const data = [I2C_REQUEST, address, I2C_WRITE << 3]
+    for (let i = 0; i < bytes.length; i++) {
+        data.push(...pack14(bytes[i]))
+    }
+    return sysex(data)
+}
+
+/**
+ * Writes bytes to a register, the register sent as two 7 bit bytes.
+ */
+
+function i2cWriteRegister (address, register, bytes) {
+    const data = [I2C_REQUEST, address, I2C_WRITE << 3, register & 0x7F, register >> 7]
+    for (let i = 0; i < bytes.length; i++) {
+        data.push(...pack14(bytes[i]))
+    }
+    return sysex(data)
+}
+
+/**
+ * Stops one continuous read of `address`.
+ */
+
+function i2cStopReading (address) {
+    return sysex([I2C_REQUEST, address & 0x7F, I2C_STOP_READING << 3])
+}
+
+// AdvancedFirmata stepper
+
+/**
+ * See Board#stepperConfig.
+ */
+
+function stepperConfig (deviceNum, type, stepsPerRev, dirOrMotor1Pin, stepOrMotor2Pin, motor3Pin, motor4Pin) {
+    const data = [STEPPER, STEPPER_CONFIG, deviceNum, type].concat(pack14(stepsPerRev), [dirOrMotor1Pin, stepOrMotor2Pin])
+    if (type === STEPPER_TYPE_FOUR_WIRE) {
+        data.push(motor3Pin, motor4Pin)
+    }
+    return sysex(data)
+}
+
+/**
+ * See Board#stepperStep. Acceleration and deceleration are left out when both are 0.
+ */
+
+function stepperStep (deviceNum, direction, steps, speed, accel, decel) {
+    const data = [STEPPER, STEPPER_STEP, deviceNum, direction, steps & 0x7F, (steps >> 7) & 0x7F, (steps >> 14) & 0x7F]
+        .concat(pack14(speed))
+    if (accel > 0 || decel > 0) {
+        data.push(...pack14(accel), ...pack14(decel))
+    }
+    return sysex(data)
+}
+
+// AccelStepperFirmata
+
+/**
+ * See Board#accelStepperConfig for the options.
+ * Throws when the pins for the stepper type are not all given.
+ */
+
+function accelStepperConfig (options) {
+    const type = options.type === undefined ? STEPPER_TYPE_FOUR_WIRE : options.type
+    const stepSize = options.stepSize === undefined ? STEPPER_STEP_SIZE_WHOLE : options.stepSize
+    const hasEnable = options.enablePin !== undefined
+    const pins = type === STEPPER_TYPE_DRIVER
+        ? [options.stepPin, options.directionPin]
+        : [options.motorPin1, options.motorPin2, options.motorPin3, options.motorPin4].slice(0, type)
+    if (pins.some(pin => pin === undefined)) {
+        throw new Error(`stepper ${options.deviceNum} is missing pins for its type`)
+    }
+    const data = [
+        ACCELSTEPPER,
+        ACCELSTEPPER_CONFIG,
+        options.deviceNum,
+        ((type & 0x07) << 4) | ((stepSize & 0x07) << 1) | (hasEnable ? 0x01 : 0x00)
+    ].concat(pins)
+    if (hasEnable) {
+        data.push(options.enablePin)
+    }
+    if (Array.isArray(options.invertPins)) {
+        // one bit per pin as sent: motor/step pins first, the enable pin in bit 4
+        let invert = 0
+        pins.forEach((pin, i) => {
+            if (options.invertPins.indexOf(pin) !== -1) invert |= 1 << i
+        })
+        if (hasEnable && options.invertPins.indexOf(options.enablePin) !== -1) {
+            invert |= 1 << 4
+        }
+        data.push(invert)
+    }
+    return sysex(data)
+}
+
+function accelStepperZero (deviceNum) {
+    return sysex([ACCELSTEPPER, ACCELSTEPPER_ZERO, deviceNum])
+}
+
+function accelStepperStep (deviceNum, steps) {
+    return sysex([ACCELSTEPPER, ACCELSTEPPER_STEP, deviceNum].concat(encode32BitSignedInteger(steps)))
+}
+
+function accelStepperTo (deviceNum, position) {
+    return sysex([ACCELSTEPPER, ACCELSTEPPER_TO, deviceNum].concat(encode32BitSignedInteger(position)))
+}
+
+function accelStepperEnable (deviceNum, enabled) {
+    return sysex([ACCELSTEPPER, ACCELSTEPPER_ENABLE, deviceNum, enabled ? 0x01 : 0x00])
+}
+
+function accelStepperStop (deviceNum) {
+    return sysex([ACCELSTEPPER, ACCELSTEPPER_STOP, deviceNum])
+}
+
+function accelStepperReportPosition (deviceNum) {
+    return sysex([ACCELSTEPPER, ACCELSTEPPER_REPORT_POSITION, deviceNum])
+}
+
+function accelStepperSpeed (deviceNum, speed) {
+    return sysex([ACCELSTEPPER, ACCELSTEPPER_SET_SPEED, deviceNum].concat(encodeCustomFloat(speed)))
+}
+
+function accelStepperAcceleration (deviceNum, acceleration) {
+    return sysex([ACCELSTEPPER, ACCELSTEPPER_SET_ACCELERATION, deviceNum].concat(encodeCustomFloat(acceleration)))
+}
+
+function multiStepperConfig (groupNum, deviceNums) {
+    return sysex([ACCELSTEPPER, MULTISTEPPER_CONFIG, groupNum].concat(deviceNums))
+}
+
+function multiStepperTo (groupNum, positions) {
+    const data = [ACCELSTEPPER, MULTISTEPPER_TO, groupNum]
+    positions.forEach(position => data.push(...encode32BitSignedInteger(position)))
+    return sysex(data)
+}
+
+function multiStepperStop (groupNum) {
+    return sysex([ACCELSTEPPER, MULTISTEPPER_STOP, groupNum])
+}
+
+// Encoders
+
+function encoderAttach (encoderNum, pinA, pinB) {
+    return sysex([ENCODER_DATA, ENCODER_ATTACH, encoderNum, pinA, pinB])
+}
+
+function encoderDetach (encoderNum) {
+    return sysex([ENCODER_DATA, ENCODER_DETACH, encoderNum])
+}
+
+function encoderReportPosition (encoderNum) {
+    return sysex([ENCODER_DATA, ENCODER_REPORT_POSITION, encoderNum])
+}
+
+function encoderReportPositions () {
+    return sysex([ENCODER_DATA, ENCODER_REPORT_POSITIONS])
+}
+
+function encoderReset (encoderNum) {
+    return sysex([ENCODER_DATA, ENCODER_RESET_POSITION, encoderNum])
+}
+
+function encoderReportAuto (enable) {
+    return sysex([ENCODER_DATA, ENCODER_REPORT_AUTO, enable ? 0x01 : 0x00])
+}
+
+// Serial
+
+/**
+ * Throws when a software serial port is missing its pins.
+ * @param {number} portId
+ * @param {number} baud
+ * @param {number} [rxPin] Software serial only
+ * @param {number} [txPin]
+ */
+
+function serialConfig (portId, baud, rxPin, txPin) {
+    const data = [SERIAL_MESSAGE, SERIAL_CONFIG | portId, baud & 0x007F, (baud >> 7) & 0x007F, (baud >> 14) & 0x007F]
+    if (portId > 7 && typeof rxPin !== 'undefined' && typeof txPin !== 'undefined') {
+        data.push(rxPin, txPin)
+    } else if (portId > 7) {
+        throw new Error('Both RX and TX pins must be defined when using Software Serial.')
+    }
+    return sysex(data)
+}
+
+function serialWrite (portId, bytes) {
+    const data = [SERIAL_MESSAGE, SERIAL_WRITE | portId]
+    for (let i = 0; i < bytes.length; i++) {
+        data.push(...pack14(bytes[i]))
+    }
+    return sysex(data)
+}
+
+function serialRead (portId) {
+    return sysex([SERIAL_MESSAGE, SERIAL_READ | portId, SERIAL_CONTINUOUS_READ])
+}
+
+function serialStop (portId) {
+    return sysex([SERIAL_MESSAGE, SERIAL_READ | portId, SERIAL_STOP_READING])
+}
+
+function serialClose (portId) {
+    return sysex([SERIAL_MESSAGE, SERIAL_CLOSE | portId])
+}
+
+function serialFlush (portId) {
+    return sysex([SERIAL_MESSAGE, SERIAL_FLUSH | portId])
+}
+
+function serialListen (portId) {
+    return sysex([SERIAL_MESSAGE, SERIAL_LISTEN | portId])
+}
+
+// OneWire
+
+function oneWireConfig (pin, enableParasiticPower) {
+    return sysex([ONEWIRE_DATA, ONEWIRE_CONFIG_REQUEST, pin, enableParasiticPower ? 0x01 : 0x00])
+}
+
+function oneWireSearch (pin) {
+    return sysex([ONEWIRE_DATA, ONEWIRE_SEARCH_REQUEST, pin])
+}
+
+function oneWireAlarmsSearch (pin) {
+    return sysex([ONEWIRE_DATA, ONEWIRE_SEARCH_ALARMS_REQUEST, pin])
+}
+
+/**
+ * See Board#sendOneWireRequest.
+ */
+
+function oneWireRequest (pin, request) {
+    let subcommand = 0
+    const bytes = []
+    if (request.reset) {
+        subcommand |= ONEWIRE_RESET_REQUEST_BIT
+    }
+    if (request.device) {
+        subcommand |= ONEWIRE_SELECT_REQUEST_BIT
+        bytes.push(...request.device)
+    } else if (request.skip) {
+        subcommand |= ONEWIRE_SKIP_REQUEST_BIT
+    }
+    if (request.numBytesToRead) {
+        const correlationId = request.correlationId || 0
+        subcommand |= ONEWIRE_READ_REQUEST_BIT
+        bytes.push(
+            request.numBytesToRead & 0xFF, (request.numBytesToRead >> 8) & 0xFF,
+            correlationId & 0xFF, (correlationId >> 8) & 0xFF
+        )
+    }
+    if (request.delay) {
+        subcommand |= ONEWIRE_DELAY_REQUEST_BIT
+        bytes.push(
+            request.delay & 0xFF, (request.delay >> 8) & 0xFF,
+            (request.delay >> 16) & 0xFF, (request.delay >> 24) & 0xFF
+        )
+    }
+    if (request.data && request.data.length > 0) {
+        subcommand |= ONEWIRE_WRITE_REQUEST_BIT
+        bytes.push(...request.data)
+    }
+    return sysex([ONEWIRE_DATA, subcommand, pin].concat(to7BitArray(bytes)))
+}
+
+// Scheduler
+
+/**
+ * 32 bit value as the 7-bit packed bytes the Scheduler uses for times.
+ */
+
+function schedulerTime (ms) {
+    return to7BitArray([ms & 0xFF, (ms >> 8) & 0xFF, (ms >> 16) & 0xFF, (ms >> 24) & 0xFF])
+}
+
+function createTask (taskId, length) {
+    return sysex([SCHEDULER_DATA, CREATE_FIRMATA_TASK, taskId].concat(pack14(length)))
+}
+
+/**
+ * One chunk of task bytes; the firmware takes about 32 per message.
+ */
+
+function addToTask (taskId, bytes) {
+    return sysex([SCHEDULER_DATA, ADD_TO_FIRMATA_TASK, taskId].concat(to7BitArray(bytes)))
+}
+
+function delayTask (ms) {
+    return sysex([SCHEDULER_DATA, DELAY_FIRMATA_TASK].concat(schedulerTime(ms)))
+}
+
+function scheduleTask (taskId, ms) {
+    return sysex([SCHEDULER_DATA, SCHEDULE_FIRMATA_TASK, taskId].concat(schedulerTime(ms)))
+}
+
+function deleteTask (taskId) {
+    return sysex([SCHEDULER_DATA, DELETE_FIRMATA_TASK, taskId])
+}
+
+function resetTasks () {
+    return sysex([SCHEDULER_DATA, RESET_FIRMATA_TASKS])
+}
+
+function queryAllTasks () {
+    return sysex([SCHEDULER_DATA, QUERY_ALL_FIRMATA_TASKS])
+}
+
+function queryTask (taskId) {
+    return sysex([SCHEDULER_DATA, QUERY_FIRMATA_TASK, taskId])
+}
+
+// Microduino modules
+
+/**
+ * The setup message of a module, e.g. the pin it is on.
+ */
+
+function sensorPrepare (sensor, bytes) {
+    return sysex([sensor].concat(bytes.map(byte => byte & 0x7F)))
+}
+
+function motorBrake (motorId) {
+    return sysex([MICRODUINO_MOTOR, 1, motorId])
+}
+
+/**
+ * @param {number} motorId
+ * @param {number} speed -255 to 255, negative to reverse; limited to 255.
+ */
+
+function motor (motorId, speed) {
+    const direction = speed < 0 ? 0 : 1
+    const magnitude = Math.min(Math.abs(speed), 255)
+    return sysex([MICRODUINO_MOTOR, motorId, direction].concat(pack14(magnitude)))
+}
+
+function colorLed (number, red, green, blue) {
+    return sysex([MICRODUINO_COLOR_LED, number & 0x7F].concat(pack14(red), pack14(green), pack14(blue)))
+}
+
+function buzzer (pin, frequency, duration) {
+    return sysex([MICRODUINO_BUZZER, pin].concat(pack14(frequency), pack14(duration)))
+}
+
+function buzzerOff (pin) {
+    return sysex([MICRODUINO_BUZZER, pin])
+}
+
+/**
+ * @param {number} type 0 text, 1 and 2 bytes, 3 a value; 9 and up take no position.
+ * @param {number} x
+ * @param {number} y
+ * @param {string|Array|number} value
+ */
+
+function oled (type, x, y, value) {
+    let data = [MICRODUINO_OLED, type]
+    if (type < 9) {
+        data.push(x, y)
+    }
+    if (type === 0) {
+        for (let i = 0; i < value.length; i++) {
+            data.push(value.charCodeAt(i))
+        }
+    }
+    if (type === 1 || type === 2) {
+        data = data.concat(value)
+    }
+    if (type === 3) {
+        data.push(value)
+    }
+    return sysex(data)
+}
+
+function ideaBoxServo (angle) {
+    return sysex([MICRODUINO_SERVO].concat(pack14(angle)))
+}
+
+/**
+ * @param {number} flag The decimal point, or whether this is the first digit sent.
+ * @param {number} index
+ * @param {number} value
+ */
+
+function nixieTube (flag, index, value) {
+    return sysex([MICRODUINO_NIXIETUBE, flag, index, value & 0x7F])
+}
+
+// Buggy
+
+function buggyLed (pin, red, green, blue) {
+    return sysex([MICRODUINO_IBB, BUGGY_LED, pin].concat(pack14(red), pack14(green), pack14(blue)))
+}
+
+/**
+ * Drives one motor of the buggy.
+ * @param {number} motor 1 left, 2 right
+ * @param {number} forward 1 forward, 0 back
+ * @param {number} speed
+ */
+
+function buggyMotor (motor, forward, speed) {
+    return sysex([MICRODUINO_IBB, BUGGY_MOTOR, motor, forward].concat(pack14(speed)))
+}
+
+function buggyMotors (leftForward, rightForward, leftSpeed, rightSpeed) {
+    return sysex([MICRODUINO_IBB, BUGGY_MOTOR, BUGGY_BOTH_MOTORS, leftForward, rightForward]
+        .concat(pack14(leftSpeed), pack14(rightSpeed)))
+}
+
+/**
+ * Drives the motors to music, `beats` at a time; all 0 stops.
+ */
+
+function buggyMusic (beats, leftForward, rightForward, leftSpeed, rightSpeed) {
+    return sysex([MICRODUINO_IBB, BUGGY_MUSIC, beats, leftForward, rightForward]
+        .concat(pack14(leftSpeed), pack14(rightSpeed)))
+}
+
+/**
+ * Sounds `pitch` until changed; 0 is silence.
+ */
+
+function buggyBuzzerPitch (pitch) {
+    return sysex([MICRODUINO_IBB, BUGGY_BUZZER, 0].concat(pack14(pitch)))
+}
+
+function buggyBuzzerPlay (note, duration) {
+    return sysex([MICRODUINO_IBB, BUGGY_BUZZER, 1].concat(pack14(note), pack14(duration)))
+}
+
+function buggyGray (type, gray) {
+    return sysex([MICRODUINO_IBB, BUGGY_GRAY, type, gray])
+}
+
+function buggyColor (type) {
+    return sysex([MICRODUINO_IBB, BUGGY_COLOR, type])
+}
+
+function buggyFindLine (color, speed) {
+    return sysex([MICRODUINO_IBB, BUGGY_FIND_LINE, 1, color].concat(pack14(speed)))
+}
+
+function buggyFindStop () {
+    return sysex([MICRODUINO_IBB, BUGGY_FIND_LINE, 0, 0, 0, 0])
+}
+
+module.exports = {
+    pack14: pack14,
+    to7BitArray: to7BitArray,
+    encode32BitSignedInteger: encode32BitSignedInteger,
+    encodeCustomFloat: encodeCustomFloat,
+    sysex: sysex,
+    reportVersion: reportVersion,
+    queryFirmware: queryFirmware,
+    capabilityQuery: capabilityQuery,
+    analogMappingQuery: analogMappingQuery,
+    pinStateQuery: pinStateQuery,
+    pinMode: pinMode,
+    digitalMessage: digitalMessage,
+    analogMessage: analogMessage,
+    extendedAnalog: extendedAnalog,
+    reportAnalog: reportAnalog,
+    reportDigital: reportDigital,
+    samplingInterval: samplingInterval,
+    servoConfig: servoConfig,
+    stringData: stringData,
+    systemReset: systemReset,
+    pingRead: pingRead,
+    i2cConfig: i2cConfig,
+    i2cRead: i2cRead,
+    i2cWrite: i2cWrite,
+    i2cWriteRegister: i2cWriteRegister,
+    i2cStopReading: i2cStopReading,
+    stepperConfig: stepperConfig,
+    stepperStep: stepperStep,
+    accelStepperConfig: accelStepperConfig,
+    accelStepperZero: accelStepperZero,
+    accelStepperStep: accelStepperStep,
+    accelStepperTo: accelStepperTo,
+    accelStepperEnable: accelStepperEnable,
+    accelStepperStop: accelStepperStop,
+    accelStepperReportPosition: accelStepperReportPosition,
+    accelStepperSpeed: accelStepperSpeed,
+    accelStepperAcceleration: accelStepperAcceleration,
+    multiStepperConfig: multiStepperConfig,
+    multiStepperTo: multiStepperTo,
+    multiStepperStop: multiStepperStop,
+    encoderAttach: encoderAttach,
+    encoderDetach: encoderDetach,
+    encoderReportPosition: encoderReportPosition,
+    encoderReportPositions: encoderReportPositions,
+    encoderReset: encoderReset,
+    encoderReportAuto: encoderReportAuto,
+    serialConfig: serialConfig,
+    serialWrite: serialWrite,
+    serialRead: serialRead,
+    serialStop: serialStop,
+    serialClose: serialClose,
+    serialFlush: serialFlush,
+    serialListen: serialListen,
+    oneWireConfig: oneWireConfig,
+    oneWireSearch: oneWireSearch,
+    oneWireAlarmsSearch: oneWireAlarmsSearch,
+    oneWireRequest: oneWireRequest,
+    createTask: createTask,
+    addToTask: addToTask,
+    delayTask: delayTask,
+    scheduleTask: scheduleTask,
+    deleteTask: deleteTask,
+    resetTasks: resetTasks,
+    queryAllTasks: queryAllTasks,
+    queryTask: queryTask,
+    sensorPrepare: sensorPrepare,
+    motorBrake: motorBrake,
+    motor: motor,
+    colorLed: colorLed,
+    buzzer: buzzer,
+    buzzerOff: buzzerOff,
+    oled: oled,
+    ideaBoxServo: ideaBoxServo,
+    nixieTube: nixieTube,
+    buggyLed: buggyLed,
+    buggyMotor: buggyMotor,
+    buggyMotors: buggyMotors,
+    buggyMusic: buggyMusic,
+    buggyBuzzerPitch: buggyBuzzerPitch,
+    buggyBuzzerPlay: buggyBuzzerPlay,
+    buggyGray: buggyGray,
+    buggyColor: buggyColor,
+    buggyFindLine: buggyFindLine,
+    buggyFindStop: buggyFindStop
+}
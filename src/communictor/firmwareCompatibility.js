@@ -0,0 +1,101 @@
+const SUPPORTED = 'supported'
+const DEPRECATED = 'deprecated'
+const UNSUPPORTED = 'unsupported'
+
+const APP_BUGGY = /^AppBuggy_V(\d+)\.(\d+)$/
+
+/**
+ * Which firmware Board works with. The first entry whose `name` matches the
+ * firmware name and whose version is in [min, below) decides; a firmware no
+ * entry covers is unsupported. The version comes from the two groups of `name`
+ * (AppBuggy_V1.4 is 1.4), or from the QUERY_FIRMWARE version when it has none.
+ * Either bound may be left out.
+ */
+
+const FIRMWARE_POLICY = [
+    { name: APP_BUGGY, below: '1.3', status: UNSUPPORTED },
+    { name: APP_BUGGY, min: '1.3', below: '2.0', status: SUPPORTED }
+]
+
+function parseVersion (version) {
+    const parts = String(version).split('.')
+    return { major: Number(parts[0]) || 0, minor: Number(parts[1]) || 0 }
+}
+
+function compareVersions (a, b) {
+    const left = parseVersion(a)
+    const right = parseVersion(b)
+    return left.major - right.major || left.minor - right.minor
+}
+
+function inRange (version, entry) {
+    if (entry.min !== undefined && compareVersions(version, entry.min) < 0) return false
+    if (entry.below !== undefined && compareVersions(version, entry.below) >= 0) return false
+    return true
+}
+
+function versionOf (firmware, match) {
+    if (match.length > 2) {
+        return `${Number(match[1])}.${Number(match[2])}`
+    }
+    return `${firmware.version.major}.${firmware.version.minor}`
+}
+
+function describeRange (entry) {
+    const bounds = []
+    if (entry.min !== undefined) bounds.push(`>=${entry.min}`)
+    if (entry.below !== undefined) bounds.push(`<${entry.below}`)
+    return bounds.join(' ') || 'any'
+}
+
+/**
+ * The versions to upgrade to, for messages: the ranges of the supported entries
+ * for `name`, or of all supported entries when none matches `name`.
+ */
+
+function requiredVersions (policy, name) {
+    const supported = policy.filter(entry => entry.status === SUPPORTED)
+    const forName = supported.filter(entry => entry.name.test(name))
+    return (forName.length > 0 ? forName : supported).map(describeRange).join(' || ')
+}
+
+/**
+ * Looks a firmware up in a policy.
+ * @param {Object} firmware board.firmware: name and version { major, minor }
+ * @param {Array} [policy] Defaults to FIRMWARE_POLICY.
+ * @return {Object} { status, name, found, required } with `found` the firmware's
+ *                  version, null for a name no entry knows, and `required` the
+ *                  supported versions, e.g. '>=1.3 <2.0'
+ */
+
+function checkFirmware (firmware, policy) {
+    const entries = policy || FIRMWARE_POLICY
+    const name = firmware.name
+    let found = null
+    let status = UNSUPPORTED
+    for (let i = 0; i < entries.length; i++) {
+        const match = entries[i].name.exec(name)
+        if (!match) continue
+        const version = versionOf(firmware, match)
+        found = found || version
+        if (inRange(version, entries[i])) {
+            found = version
+            status = entries[i].status
+            break
+        }
+    }
+    return {
+        status: status,
+        name: name,
+        found: found,
+        required: requiredVersions(entries, name)
+    }
+}
+
+module.exports = {
+    SUPPORTED: SUPPORTED,
+    DEPRECATED: DEPRECATED,
+    UNSUPPORTED: UNSUPPORTED,
+    FIRMWARE_POLICY: FIRMWARE_POLICY,
+    checkFirmware: checkFirmware
+}
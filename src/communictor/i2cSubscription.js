@@ -0,0 +1,66 @@
+/// / Built-in Dependencies
+const Emitter = require('events').EventEmitter
+
+/**
+ * @class I2cSubscription follows a register the board reads continuously, see
+ * Board#i2cSubscribe:
+ *
+ *   const subscription = board.i2cSubscribe(0x68, 0x3B, 6)
+ *   subscription.on('data', reply => { ... })
+ *   subscription.unsubscribe()
+ *
+ * `latest` holds the last reply. Emits 'data' for each reply and 'end' once,
+ * when unsubscribed or when the board disconnects or is reset.
+ * @augments EventEmitter
+ * @param {Board} board
+ * @param {number} address
+ * @param {number} register
+ * @param {number} bytesToRead The length of the continuous read it follows.
+ */
+
+function I2cSubscription (board, address, register, bytesToRead) {
+    Emitter.call(this)
+    this.board = board
+    this.address = address
+    this.register = register
+    this.bytesToRead = bytesToRead
+    this.latest = null
+    this.active = true
+    this.onReply = reply => {
+        this.latest = reply
+        this.emit('data', reply)
+    }
+    this.onDisconnect = () => this.end()
+    board.on(`I2C-reply-${address}-${register}`, this.onReply)
+    board.on('disconnect', this.onDisconnect)
+}
+
+I2cSubscription.prototype = Object.create(Emitter.prototype, {
+    constructor: {
+        value: I2cSubscription
+    }
+})
+
+/**
+ * Stops following the register. The board stops reading it once no other
+ * subscription needs it.
+ * @return {Promise} resolves once STOP_READING, if needed, is written
+ */
+
+I2cSubscription.prototype.unsubscribe = function () {
+    if (!this.active) {
+        return Promise.resolve()
+    }
+    this.end()
+    return this.board.i2cUnsubscribe(this)
+}
+
+I2cSubscription.prototype.end = function () {
+    if (!this.active) return
+    this.active = false
+    this.board.removeListener(`I2C-reply-${this.address}-${this.register}`, this.onReply)
+    this.board.removeListener('disconnect', this.onDisconnect)
+    this.emit('end')
+}
+
+module.exports = I2cSubscription
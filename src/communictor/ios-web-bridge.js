@@ -7,6 +7,10 @@ const IOSWebBridge = () => {
             if (window.WKWVJBCallbacks) {
                 return window.WKWVJBCallbacks.push(callback)
             }
+            // desktop browsers have no native host to inject the bridge
+            if (!window.webkit || !window.webkit.messageHandlers) {
+                return
+            }
             window.WKWVJBCallbacks = [callback]
             window.webkit.messageHandlers.iOS_Native_InjectJavascript.postMessage(null)
         }
@@ -1,78 +1,171 @@
-import iosWebBridge from './ios-web-bridge'
-let instance = null
-let msgReceiver = null
-let connected = false
-class BleComm {
-    constructor () {
-        if (!instance) {
-            instance = this
-        }
-        iosWebBridge.setupWKWebViewJavascriptBridge(bridge => {
-            bridge.registerHandler('handleNotification', data => {
-                this.handleNotification(data)
-            })
+import webBridge from './web-bridge'
+import BleWriteQueue from './bleWriteQueue'
+import bleScanner from './bleScanner'
+import { WIRE_ENCODINGS, encode, decode } from './wireEncoding'
+// comms with a live link; native notifications are routed to them by deviceId
+const connectedComms = []
+let notificationsRegistered = false
+
+function registerNotifications () {
+    if (notificationsRegistered) return
+    notificationsRegistered = true
+    webBridge.setupWKWebViewJavascriptBridge(bridge => {
+        bridge.registerHandler('handleNotification', data => {
+            // older shells send no deviceId, they only ever have one link
+            const comm = connectedComms.find(comm => !data.deviceId || comm.deviceId === data.deviceId)
+            if (comm) {
+                comm.handleNotification(data)
+            }
         })
-        return instance
+    })
+}
+
+// the reason native gives for a failed bleConnect, when it gives one
+function connectError (response) {
+    const reason = response && typeof response === 'object' &&
+        (response.reason || response.error || response.message)
+    return new Error(reason ? `No connection: ${reason}` : 'No connection')
+}
+
+export class BleComm {
+    constructor () {
+        this.deviceId = null
+        this.msgReceiver = null
+        this.errorReceiver = null
+        this.connected = false
+        // negotiated in connect(); null for shells that predate negotiation
+        this.encoding = null
+        this.writeQueue = new BleWriteQueue(chunk => this.writeChunk(chunk))
+        registerNotifications()
+    }
+
+    /**
+     * Largest payload native can write in one go, as negotiated with the peripheral.
+     */
+    setMtu (mtu) {
+        this.writeQueue.setMtu(mtu)
     }
 
     isConnected () {
-        return connected
+        return this.connected
     }
 
     setReceiver (receiver) {
-        msgReceiver = receiver
+        this.msgReceiver = receiver
+    }
+
+    /**
+     * Gets the errors for notifications that could not be decoded. They are dropped,
+     * the link itself stays up.
+     */
+    setErrorReceiver (receiver) {
+        this.errorReceiver = receiver
     }
 
     sendMsgPromise (data) {
-        return new Promise((resolve) => {
-            iosWebBridge.setupWKWebViewJavascriptBridge(function(bridge) {
-                bridge.callHandler('sendMsgPromise', { 'data': data }, function (response) {
+        if (!this.connected) {
+            return Promise.reject(new Error('No connection'))
+        }
+        return this.writeQueue.write(data)
+    }
+
+    // native calls back once the chunk is written, which paces the queue
+    writeChunk (chunk) {
+        const deviceId = this.deviceId
+        const message = this.encoding
+            ? { 'data': encode(chunk, this.encoding), 'encoding': this.encoding, 'deviceId': deviceId }
+            : { 'data': Buffer.from(chunk), 'deviceId': deviceId }
+        return new Promise((resolve, reject) => {
+            webBridge.setupWKWebViewJavascriptBridge(function(bridge) {
+                bridge.callHandler('sendMsgPromise', message, function (response) {
                     console.log('JS got response', response)
-                    resolve()
+                    if (response && response.error) {
+                        reject(new Error(response.error))
+                    } else {
+                        resolve()
+                    }
                 })
             })
         })
     }
 
-    connect () {
+    connect (device) {
         console.log('connect')
+        // native cannot connect while it is still scanning
+        bleScanner.stop()
+        this.deviceId = (device && device.id) || null
+        this.encoding = null
+        const deviceId = this.deviceId
         return new Promise((resolve,reject) => {
-            iosWebBridge.setupWKWebViewJavascriptBridge(function(bridge) {
+            webBridge.setupWKWebViewJavascriptBridge(bridge => {
                 console.log('bridge call connect')
-                bridge.callHandler('bleConnect', { 'foo': 'bar' }, function (response) {
+                bridge.callHandler('bleConnect', { 'deviceId': deviceId, 'encodings': WIRE_ENCODINGS }, response => {
                     console.log('JS got response', response)
-                    if(response === "success"){
-                        connected = true
-                        resolve(response)
-                    }else{
-                        reject(new Error('No connection'))
+                    // newer shells answer { result, encoding } with one of the offered encodings,
+                    // or { result: 'fail', reason } without one
+                    const negotiated = response && typeof response === 'object'
+                    if (response !== 'success' && !(negotiated && response.result === 'success')) {
+                        reject(connectError(response))
+                        return
                     }
+                    if (negotiated && WIRE_ENCODINGS.indexOf(response.encoding) === -1) {
+                        reject(new Error(`Native chose unsupported wire encoding ${response.encoding}`))
+                        return
+                    }
+                    this.encoding = negotiated ? response.encoding : null
+                    this.connected = true
+                    connectedComms.push(this)
+                    bleScanner.rememberDevice(device)
+                    resolve(response)
                 })
             })
         })
     }
 
     handleNotification (data) {
-        if (msgReceiver && this.isConnected() === true) {
-            console.log("data",data.data)
-            msgReceiver(data.data)
+        if (this.msgReceiver && this.isConnected() === true) {
+            let bytes
+            try {
+                bytes = decode(data.data, data.encoding || this.encoding)
+            } catch (error) {
+                console.log('dropped BLE notification', error)
+                if (this.errorReceiver) {
+                    this.errorReceiver(error)
+                }
+                return
+            }
+            this.msgReceiver(bytes)
         }
     }
 
     disconnect () {
         console.log('ios-disconnect')
-        connected = false
+        this.connected = false
+        this.writeQueue.clear()
+        const index = connectedComms.indexOf(this)
+        if (index > -1) {
+            connectedComms.splice(index, 1)
+        }
+        const deviceId = this.deviceId
         return new Promise((resolve) => {
-            iosWebBridge.setupWKWebViewJavascriptBridge(function(bridge) {
-                bridge.callHandler('bleDisConnect', { 'foo': 'bar' }, function (response) {
+            webBridge.setupWKWebViewJavascriptBridge(function(bridge) {
+                bridge.callHandler('bleDisConnect', { 'deviceId': deviceId }, function (response) {
                     console.log('JS got response', response)
                     resolve(response)
                 })
             })
         })
     }
-    getDevices () {
-        return [{ commName: 'ble_mobile', commType: 'ble_mobile' }]
+
+    /**
+     * Scans for nearby boards, see bleScanner.
+     * @param {Object} [filters] name, namePrefix and services.
+     */
+    getDevices (filters) {
+        return bleScanner.scan(filters).then(devices => {
+            // shells without scanning connect to whatever board native picks
+            return devices || [{ commName: 'ble_mobile', commType: 'ble_mobile' }]
+        })
     }
 }
 
@@ -0,0 +1,313 @@
+const Transport = require('./transport')
+
+/**
+ * constants
+ */
+const START_SYSEX = 0xF0
+const END_SYSEX = 0xF7
+const REPORT_VERSION = 0xF9
+const QUERY_FIRMWARE = 0x79
+const CAPABILITY_QUERY = 0x6B
+const CAPABILITY_RESPONSE = 0x6C
+const ANALOG_MAPPING_QUERY = 0x69
+const ANALOG_MAPPING_RESPONSE = 0x6A
+
+// bytes per non-sysex command, keyed by the command nibble (or the full byte above 0xF0)
+const MIDI_LENGTH = {
+    0x90: 3, // DIGITAL_MESSAGE
+    0xE0: 3, // ANALOG_MESSAGE
+    0xC0: 2, // REPORT_ANALOG
+    0xD0: 2, // REPORT_DIGITAL
+    0xF4: 3, // PIN_MODE
+    0xF5: 3, // SET_DIGITAL_PIN_VALUE
+    0xF9: 1, // REPORT_VERSION
+    0xFF: 1 // SYSTEM_RESET
+}
+
+const MODES = {
+    INPUT: 0x00,
+    OUTPUT: 0x01,
+    ANALOG: 0x02,
+    PWM: 0x03,
+    SERVO: 0x04,
+    I2C: 0x06,
+    PULLUP: 0x0B
+}
+
+/**
+ * Splits a written chunk into single Firmata messages.
+ * @param {Array} bytes
+ * @return {Array} an array of byte arrays
+ */
+
+function splitMessages (bytes) {
+    const messages = []
+    let i = 0
+    while (i < bytes.length) {
+        const first = bytes[i]
+        let end
+        if (first === START_SYSEX) {
+            end = bytes.indexOf(END_SYSEX, i)
+            end = end === -1 ? bytes.length : end + 1
+        } else {
+            const command = first < START_SYSEX ? (first & 0xF0) : first
+            end = i + (MIDI_LENGTH[command] || 1)
+        }
+        messages.push(bytes.slice(i, end))
+        i = end
+    }
+    return messages
+}
+
+/**
+ * QUERY_FIRMWARE reply carrying `name`, each character as two 7-bit bytes.
+ */
+
+function firmwareReply (name, major, minor) {
+    const msg = [START_SYSEX, QUERY_FIRMWARE, major, minor]
+    for (let i = 0; i < name.length; i++) {
+        const code = name.charCodeAt(i)
+        msg.push(code & 0x7F, (code >> 7) & 0x7F)
+    }
+    msg.push(END_SYSEX)
+    return msg
+}
+
+/**
+ * CAPABILITY_RESPONSE for `pins`: one entry per pin, each an array of [mode, resolution] pairs.
+ */
+
+function capabilityReply (pins) {
+    const msg = [START_SYSEX, CAPABILITY_RESPONSE]
+    pins.forEach(modes => {
+        modes.forEach(mode => msg.push(mode[0], mode[1]))
+        msg.push(127)
+    })
+    msg.push(END_SYSEX)
+    return msg
+}
+
+/**
+ * ANALOG_MAPPING_RESPONSE: the analog channel of each pin, 127 for none.
+ */
+
+function analogMappingReply (channels) {
+    return [START_SYSEX, ANALOG_MAPPING_RESPONSE].concat(channels, [END_SYSEX])
+}
+
+/**
+ * Pin layout of the AppBuggy core: D0-D13 digital, A0-A5 on pins 14-19.
+ */
+
+function appBuggyPins () {
+    const pins = []
+    const pwm = [3, 5, 6, 9, 10, 11]
+    for (let pin = 0; pin < 20; pin++) {
+        const modes = [[MODES.INPUT, 1], [MODES.OUTPUT, 1], [MODES.PULLUP, 1]]
+        if (pwm.indexOf(pin) > -1) {
+            modes.push([MODES.PWM, 8])
+        }
+        if (pin > 1 && pin < 14) {
+            modes.push([MODES.SERVO, 14])
+        }
+        if (pin >= 14) {
+            modes.push([MODES.ANALOG, 10])
+        }
+        if (pin === 18 || pin === 19) {
+            modes.push([MODES.I2C, 1])
+        }
+        pins.push(modes)
+    }
+    return pins
+}
+
+function toMatcher (matcher) {
+    if (typeof matcher === 'function') {
+        return matcher
+    }
+    // a byte array matches every message starting with those bytes
+    return message => matcher.every((byte, i) => message[i] === byte)
+}
+
+/**
+ * @class LoopbackTransport is an in-memory transport for running Board without hardware.
+ * Everything Board writes is recorded in `messages`, and scripted replies are fed
+ * back through the 'data' event as if the firmware had sent them.
+ *
+ * It speaks both contracts: Board's (on/write/open/close) and the Communicator
+ * comm one (setReceiver/connect/sendMsgPromise/disconnect/getDevices).
+ * @augments Transport
+ */
+
+function LoopbackTransport () {
+    Transport.call(this)
+    this.receiver = null
+    this.messages = []
+    this.responders = []
+}
+
+LoopbackTransport.prototype = Object.create(Transport.prototype, {
+    constructor: {
+        value: LoopbackTransport
+    }
+})
+
+/**
+ * Answers `matcher` writes with `reply`.
+ * @param {Array|function} matcher Leading bytes of the message, or a predicate on it.
+ * @param {Array|function} reply Bytes to send back, or a function of the message returning them (or nothing).
+ * @param {Object} [options] once: drop the responder after its first match.
+ */
+
+LoopbackTransport.prototype.respond = function (matcher, reply, options) {
+    this.responders.push({
+        match: toMatcher(matcher),
+        reply: typeof reply === 'function' ? reply : () => reply,
+        once: !!(options && options.once)
+    })
+    return this
+}
+
+/**
+ * Answers sysex `command` writes, e.g. a module query.
+ */
+
+LoopbackTransport.prototype.respondToSysex = function (command, reply, options) {
+    return this.respond([START_SYSEX, command], reply, options)
+}
+
+/**
+ * Scripts the handshake Board performs on open: REPORT_VERSION, QUERY_FIRMWARE,
+ * CAPABILITY_QUERY and ANALOG_MAPPING_QUERY.
+ * @param {Object} [firmware] name, version { major, minor }, pins (see capabilityReply)
+ *                            and analogChannels. Defaults to AppBuggy_V1.3.
+ */
+
+LoopbackTransport.prototype.useFirmware = function (firmware) {
+    const settings = Object.assign({
+        name: 'AppBuggy_V1.3',
+        version: { major: 2, minor: 5 },
+        pins: appBuggyPins()
+    }, firmware)
+    let channel = 0
+    const channels = settings.analogChannels || settings.pins.map(modes => {
+        const analog = modes.some(mode => mode[0] === MODES.ANALOG)
+        return analog ? channel++ : 127
+    })
+
+    return this
+        .respond([REPORT_VERSION], [REPORT_VERSION, settings.version.major, settings.version.minor])
+        .respondToSysex(QUERY_FIRMWARE, firmwareReply(settings.name, settings.version.major, settings.version.minor))
+        .respondToSysex(CAPABILITY_QUERY, capabilityReply(settings.pins))
+        .respondToSysex(ANALOG_MAPPING_QUERY, analogMappingReply(channels))
+}
+
+/**
+ * Delivers bytes to the reader on the next tick, as the firmware would.
+ */
+
+LoopbackTransport.prototype.reply = function (bytes) {
+    const data = Buffer.from(bytes)
+    setTimeout(() => {
+        if (!this.opened) return
+        if (this.receiver) {
+            this.receiver(data)
+        }
+        this.notifyData(data)
+    }, 0)
+    return this
+}
+
+LoopbackTransport.prototype.open = function () {
+    this.notifyOpen()
+    return Promise.resolve()
+}
+
+LoopbackTransport.prototype.write = function (data) {
+    if (!this.opened) {
+        return this.notConnected()
+    }
+    splitMessages(Array.from(data)).forEach(message => {
+        this.messages.push(message)
+        for (let i = 0; i < this.responders.length; i++) {
+            const responder = this.responders[i]
+            if (!responder.match(message)) continue
+            if (responder.once) {
+                this.responders.splice(i, 1)
+            }
+            const reply = responder.reply(message)
+            if (reply && reply.length) {
+                this.reply(reply)
+            }
+            break
+        }
+    })
+    return Promise.resolve()
+}
+
+LoopbackTransport.prototype.close = function () {
+    this.notifyClose(false)
+    return Promise.resolve()
+}
+
+/**
+ * Simulates the board going away.
+ */
+
+LoopbackTransport.prototype.unplug = function () {
+    const wasOpen = this.opened
+    this.notifyClose(true)
+    if (wasOpen && this.receiver) {
+        this.receiver(null, true)
+    }
+}
+
+/**
+ * Forgets the recorded messages.
+ */
+
+LoopbackTransport.prototype.clear = function () {
+    this.messages = []
+    return this
+}
+
+LoopbackTransport.prototype.lastMessage = function () {
+    return this.messages[this.messages.length - 1]
+}
+
+// Communicator comm contract
+
+LoopbackTransport.prototype.isConnected = function () {
+    return this.opened
+}
+
+LoopbackTransport.prototype.setReceiver = function (receiver) {
+    this.receiver = receiver
+}
+
+LoopbackTransport.prototype.connect = function () {
+    // Communicator emits 'open' for the comm
+    this.opened = true
+    return Promise.resolve('success')
+}
+
+LoopbackTransport.prototype.sendMsgPromise = function (data) {
+    return this.write(data)
+}
+
+LoopbackTransport.prototype.disconnect = function () {
+    this.opened = false
+    return Promise.resolve()
+}
+
+LoopbackTransport.prototype.getDevices = function () {
+    return [{ commName: 'loopback', commType: 'loopback', comm: this }]
+}
+
+LoopbackTransport.splitMessages = splitMessages
+LoopbackTransport.firmwareReply = firmwareReply
+LoopbackTransport.capabilityReply = capabilityReply
+LoopbackTransport.analogMappingReply = analogMappingReply
+LoopbackTransport.appBuggyPins = appBuggyPins
+
+module.exports = LoopbackTransport
@@ -0,0 +1,154 @@
+const Readable = require('stream').Readable
+
+const DEFAULT_MAX_BUFFERED = 64
+
+/**
+ * @class SerialReader turns the `serial-data-<portId>` events of a Board into an
+ * async iterator of byte arrays, one per SERIAL_REPLY:
+ *
+ *   const reader = board.serialReader(board.SERIAL_PORT_IDs.SW_SERIAL0)
+ *   board.serialRead(board.SERIAL_PORT_IDs.SW_SERIAL0)
+ *   for await (const bytes of reader) { ... }
+ *
+ * With a delimiter, e.g. '\r\n' for NMEA sentences, the bytes are instead joined
+ * across replies and split at the delimiter, which is left out; empty frames are
+ * skipped and what is left unterminated comes out on close().
+ *
+ * Replies nobody has asked for yet are buffered, up to maxBuffered; beyond that the
+ * oldest are dropped and counted in `dropped`. The iteration ends on close() or
+ * when the board disconnects.
+ * @param {Board} board
+ * @param {number} portId
+ * @param {Object} [options] maxBuffered: replies (or frames) kept while nobody is reading.
+ *                           delimiter: bytes, or an ASCII string, ending each frame.
+ */
+
+function SerialReader (board, portId, options) {
+    const settings = Object.assign({ maxBuffered: DEFAULT_MAX_BUFFERED, delimiter: null }, options)
+    this.board = board
+    this.portId = portId
+    this.maxBuffered = settings.maxBuffered
+    this.delimiter = toBytes(settings.delimiter)
+    this.partial = []
+    this.queue = []
+    this.waiting = []
+    this.done = false
+    this.dropped = 0
+    this.onData = data => this.receive(data)
+    this.onEnd = () => this.close()
+    board.on(`serial-data-${portId}`, this.onData)
+    board.on('disconnect', this.onEnd)
+}
+
+function toBytes (delimiter) {
+    if (delimiter === null || delimiter === undefined) {
+        return null
+    }
+    const bytes = typeof delimiter === 'string'
+        ? delimiter.split('').map(char => char.charCodeAt(0))
+        : Array.from(delimiter)
+    if (bytes.length === 0) {
+        throw new TypeError('delimiter must not be empty')
+    }
+    return bytes
+}
+
+/**
+ * Takes one SERIAL_REPLY, as is or split into frames at the delimiter.
+ * @private
+ */
+
+SerialReader.prototype.receive = function (data) {
+    if (!this.delimiter) {
+        this.push(data)
+        return
+    }
+    const bytes = this.partial.concat(data)
+    const delimiter = this.delimiter
+    let start = 0
+    for (let i = 0; i + delimiter.length <= bytes.length;) {
+        if (delimiter.every((byte, offset) => bytes[i + offset] === byte)) {
+            if (i > start) {
+                this.push(bytes.slice(start, i))
+            }
+            i += delimiter.length
+            start = i
+        } else {
+            i++
+        }
+    }
+    this.partial = bytes.slice(start)
+}
+
+SerialReader.prototype.push = function (data) {
+    if (this.waiting.length > 0) {
+        this.waiting.shift()({ value: data, done: false })
+        return
+    }
+    this.queue.push(data)
+    if (this.queue.length > this.maxBuffered) {
+        this.queue.shift()
+        this.dropped++
+    }
+}
+
+SerialReader.prototype.next = function () {
+    if (this.queue.length > 0) {
+        return Promise.resolve({ value: this.queue.shift(), done: false })
+    }
+    if (this.done) {
+        return Promise.resolve({ value: undefined, done: true })
+    }
+    return new Promise(resolve => this.waiting.push(resolve))
+}
+
+// called when a for await loop is left early
+SerialReader.prototype.return = function () {
+    this.close()
+    return Promise.resolve({ value: undefined, done: true })
+}
+
+/**
+ * Stops listening. Buffered replies can still be read, then the iteration ends.
+ * This does not stop the board reading the port, see Board#serialStop.
+ */
+
+SerialReader.prototype.close = function () {
+    if (this.done) return
+    if (this.partial.length > 0) {
+        this.push(this.partial)
+        this.partial = []
+    }
+    this.done = true
+    this.board.removeListener(`serial-data-${this.portId}`, this.onData)
+    this.board.removeListener('disconnect', this.onEnd)
+    this.waiting.forEach(resolve => resolve({ value: undefined, done: true }))
+    this.waiting = []
+}
+
+if (typeof Symbol !== 'undefined' && Symbol.asyncIterator) {
+    SerialReader.prototype[Symbol.asyncIterator] = function () {
+        return this
+    }
+}
+
+/**
+ * The same replies as a Readable stream of Buffers; destroying it closes the reader.
+ */
+
+SerialReader.prototype.toStream = function () {
+    const reader = this
+    return new Readable({
+        read () {
+            reader.next().then(result => {
+                this.push(result.done ? null : Buffer.from(result.value))
+            })
+        },
+        destroy (error, callback) {
+            reader.close()
+            callback(error)
+        }
+    })
+}
+
+module.exports = SerialReader
@@ -0,0 +1,88 @@
+/// / Built-in Dependencies
+const Emitter = require('events').EventEmitter
+
+/**
+ * @class Transport is the base of everything Board talks through (`board.transport`).
+ *
+ * Events, in this order over the life of a link:
+ *   open        the link is up; emitted once per connection
+ *   data        bytes from the board (Buffer or Uint8Array), only while open
+ *   error       a fault that does not by itself end the link
+ *   disconnect  the link was lost without close() being asked for; always followed by close
+ *   close       the link is down, lost or closed; emitted once per connection
+ *
+ * Methods:
+ *   open(options)  resolves once 'open' has been emitted
+ *   write(bytes)   resolves once the bytes are handed to the link, rejects when it is not open
+ *   close()        resolves once 'close' has been emitted; resolves at once if already closed
+ *   isOpen()
+ *   pacesWrites()  optional, true when the link paces writes itself; Board then
+ *                  queues them without its usual limit and timeout
+ *
+ * Subclasses implement open/write/close and report through notifyOpen, notifyData
+ * and notifyClose, which keep the order above. src/communictor/transportConformance.js
+ * checks a transport against this contract.
+ * @augments EventEmitter
+ */
+
+function Transport () {
+    Emitter.call(this)
+    this.opened = false
+}
+
+Transport.prototype = Object.create(Emitter.prototype, {
+    constructor: {
+        value: Transport
+    }
+})
+
+Transport.prototype.open = function () {
+    return Promise.reject(new Error(`${this.constructor.name} does not implement open`))
+}
+
+Transport.prototype.write = function () {
+    return Promise.reject(new Error(`${this.constructor.name} does not implement write`))
+}
+
+Transport.prototype.close = function () {
+    return Promise.reject(new Error(`${this.constructor.name} does not implement close`))
+}
+
+Transport.prototype.isOpen = function () {
+    return this.opened
+}
+
+/**
+ * The rejection write() gives when the link is not open.
+ */
+
+Transport.prototype.notConnected = function () {
+    return Promise.reject(new Error('No connection'))
+}
+
+Transport.prototype.notifyOpen = function () {
+    if (this.opened) return
+    this.opened = true
+    this.emit('open')
+}
+
+Transport.prototype.notifyData = function (data) {
+    // late bytes from a link already reported closed are dropped
+    if (!this.opened) return
+    this.emit('data', data)
+}
+
+/**
+ * @param {Boolean} lost true when the link went away by itself, which emits disconnect first.
+ */
+
+Transport.prototype.notifyClose = function (lost) {
+    if (!this.opened) return
+    this.opened = false
+    if (lost) {
+        this.emit('disconnect')
+    }
+    this.emit('close')
+}
+
+module.exports = Transport
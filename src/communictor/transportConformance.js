@@ -0,0 +1,272 @@
+/**
+ * Conformance checks for the Transport contract (see transport.js), reusable for
+ * any transport that Board talks through.
+ *
+ * A harness factory gives a fresh, unopened transport and control of its far end:
+ *
+ *   createHarness() -> harness (or a promise of one) with
+ *     transport   the transport under test
+ *     open()      opens the link, returns a promise
+ *     inject(b)   makes the board send the bytes `b`
+ *     drop()      makes the board go away (unplugged, out of range, ...)
+ *     received()  optional, all bytes the board got so far
+ *     fault(e)    optional, makes the link report the non-fatal error `e`
+ *     teardown()  optional, cleans up after a check
+ *
+ *   run(createHarness, { timeout: 1000 }).then(results => console.log(report(results)))
+ *
+ * Every check gets its own harness. `disconnectOnClose: true` accepts a 'disconnect'
+ * before the 'close' of a requested close, which Communicator emits for Board.
+ */
+
+const DEFAULT_OPTIONS = {
+    timeout: 1000,
+    disconnectOnClose: false
+}
+
+function fail (message) {
+    throw new Error(message)
+}
+
+function delay (ms) {
+    return new Promise(resolve => setTimeout(resolve, ms))
+}
+
+function waitFor (emitter, event, timeout) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            emitter.removeListener(event, onEvent)
+            reject(new Error(`no '${event}' within ${timeout}ms`))
+        }, timeout)
+        function onEvent (value) {
+            clearTimeout(timer)
+            resolve(value)
+        }
+        emitter.once(event, onEvent)
+    })
+}
+
+// resolves with the rejection, fails if `promise` resolves
+function expectRejection (promise, message) {
+    return Promise.resolve(promise).then(() => fail(message), error => error)
+}
+
+/**
+ * Records the contract events of `transport` in order, data as byte arrays.
+ */
+function record (transport) {
+    const log = []
+    const bytes = []
+    ;['open', 'close', 'disconnect', 'error'].forEach(event => {
+        transport.on(event, () => log.push(event))
+    })
+    transport.on('data', data => {
+        log.push('data')
+        Array.prototype.push.apply(bytes, Array.from(data))
+    })
+    return { log: log, bytes: bytes }
+}
+
+function count (log, event) {
+    return log.filter(name => name === event).length
+}
+
+function sameBytes (actual, expected) {
+    return actual.length === expected.length && actual.every((byte, i) => byte === expected[i])
+}
+
+function checkIsOpen (transport, expected, when) {
+    if (typeof transport.isOpen === 'function' && transport.isOpen() !== expected) {
+        fail(`isOpen() is ${!expected} ${when}`)
+    }
+}
+
+const checks = [
+    {
+        name: 'rejects writes before open',
+        run (harness) {
+            return expectRejection(harness.transport.write([0xF9]), 'write resolved before open')
+        }
+    },
+    {
+        name: 'emits open once and resolves open',
+        run (harness, options) {
+            const events = record(harness.transport)
+            return harness.open().then(() => {
+                if (count(events.log, 'open') !== 1) {
+                    fail(`expected one 'open', got [${events.log}]`)
+                }
+                checkIsOpen(harness.transport, true, 'after open')
+                return delay(options.timeout / 10)
+            }).then(() => {
+                if (count(events.log, 'open') !== 1) {
+                    fail(`'open' repeated: [${events.log}]`)
+                }
+            })
+        }
+    },
+    {
+        name: 'delivers data in order',
+        run (harness, options) {
+            const events = record(harness.transport)
+            const expected = [0xF9, 0x02, 0x05, 0xE0, 0x10, 0x01]
+            return harness.open().then(() => {
+                harness.inject(expected.slice(0, 3))
+                harness.inject(expected.slice(3))
+                return delay(options.timeout / 4)
+            }).then(() => {
+                if (!sameBytes(events.bytes, expected)) {
+                    fail(`received [${events.bytes}], expected [${expected}]`)
+                }
+                if (events.log.indexOf('data') < events.log.indexOf('open')) {
+                    fail(`'data' before 'open': [${events.log}]`)
+                }
+            })
+        }
+    },
+    {
+        name: 'writes reach the board in order',
+        optional: 'received',
+        run (harness, options) {
+            const transport = harness.transport
+            return harness.open().then(() => {
+                const before = harness.received().length
+                return Promise.all([
+                    transport.write([0xF0, 0x79, 0xF7]),
+                    transport.write([0xF9])
+                ]).then(() => delay(options.timeout / 4)).then(() => {
+                    const got = harness.received().slice(before)
+                    if (!sameBytes(got, [0xF0, 0x79, 0xF7, 0xF9])) {
+                        fail(`board got [${got}]`)
+                    }
+                })
+            })
+        }
+    },
+    {
+        name: 'close emits close once and stops writes',
+        run (harness, options) {
+            const transport = harness.transport
+            let events
+            return harness.open().then(() => {
+                events = record(transport)
+                return transport.close()
+            }).then(() => {
+                if (count(events.log, 'close') !== 1) {
+                    fail(`expected one 'close', got [${events.log}]`)
+                }
+                if (!options.disconnectOnClose && count(events.log, 'disconnect') > 0) {
+                    fail(`'disconnect' on a requested close: [${events.log}]`)
+                }
+                checkIsOpen(transport, false, 'after close')
+                return expectRejection(transport.write([0xF9]), 'write resolved after close')
+            }).then(() => transport.close()).then(() => {
+                if (count(events.log, 'close') !== 1) {
+                    fail(`second close emitted again: [${events.log}]`)
+                }
+            })
+        }
+    },
+    {
+        name: 'lost link emits disconnect then close',
+        run (harness, options) {
+            const transport = harness.transport
+            let events
+            return harness.open().then(() => {
+                events = record(transport)
+                const closed = waitFor(transport, 'close', options.timeout)
+                harness.drop()
+                return closed
+            }).then(() => {
+                const order = events.log.filter(name => name === 'disconnect' || name === 'close')
+                if (order.join() !== 'disconnect,close') {
+                    fail(`expected disconnect then close, got [${events.log}]`)
+                }
+                checkIsOpen(transport, false, 'after the link was lost')
+                try {
+                    harness.inject([0xF9, 0x02, 0x05])
+                } catch (e) {
+                    // nothing left to inject through, which is fine
+                }
+                return delay(options.timeout / 4)
+            }).then(() => {
+                if (events.log.lastIndexOf('data') > events.log.indexOf('close')) {
+                    fail(`'data' after 'close': [${events.log}]`)
+                }
+            })
+        }
+    },
+    {
+        name: 'reports faults as error without closing',
+        optional: 'fault',
+        run (harness, options) {
+            const transport = harness.transport
+            return harness.open().then(() => {
+                const error = new Error('conformance fault')
+                const reported = waitFor(transport, 'error', options.timeout)
+                harness.fault(error)
+                return reported.then(reportedError => {
+                    if (!reportedError || reportedError.message !== error.message) {
+                        fail(`reported ${reportedError}`)
+                    }
+                    checkIsOpen(transport, true, 'after a fault')
+                })
+            })
+        }
+    }
+]
+
+function runCheck (check, createHarness, options) {
+    return Promise.resolve(createHarness()).then(harness => {
+        // every harness is cleaned up, skipped or not
+        const cleanup = result => {
+            const done = harness.teardown ? harness.teardown() : harness.transport.close()
+            return Promise.resolve(done).catch(() => {}).then(() => result)
+        }
+        if (check.optional && typeof harness[check.optional] !== 'function') {
+            return cleanup({ name: check.name, passed: true, skipped: true })
+        }
+        // a fault check emits 'error', which must not throw for lack of a listener
+        harness.transport.on('error', () => {})
+        let timer
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error(`timed out after ${options.timeout * 4}ms`)), options.timeout * 4)
+        })
+        return Promise.race([check.run(harness, options), timeout]).then(
+            () => ({ name: check.name, passed: true }),
+            error => ({ name: check.name, passed: false, error: error })
+        ).then(result => {
+            clearTimeout(timer)
+            return cleanup(result)
+        })
+    })
+}
+
+/**
+ * Runs every check in turn.
+ * @param {function} createHarness See above.
+ * @param {Object} [options] timeout (ms) for each wait, disconnectOnClose.
+ * @return {Promise} resolves to [{ name, passed, skipped, error }]
+ */
+function run (createHarness, options) {
+    const settings = Object.assign({}, DEFAULT_OPTIONS, options)
+    const results = []
+    return checks.reduce((p, check) => p.then(() => {
+        return runCheck(check, createHarness, settings).then(result => {
+            results.push(result)
+        })
+    }), Promise.resolve()).then(() => results)
+}
+
+function report (results) {
+    return results.map(result => {
+        const status = result.skipped ? 'skip' : (result.passed ? 'ok  ' : 'FAIL')
+        return `${status} ${result.name}${result.error ? `: ${result.error.message}` : ''}`
+    }).join('\n')
+}
+
+module.exports = {
+    run: run,
+    report: report,
+    checks: checks
+}
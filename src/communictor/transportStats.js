@@ -0,0 +1,83 @@
+/**
+ * Link counters for one Communicator. Rates cover the current sampling window,
+ * which sample() closes; without periodic sampling it runs from the last reset.
+ */
+class TransportStats {
+    constructor () {
+        this.reset()
+    }
+
+    reset () {
+        const now = Date.now()
+        this.since = now
+        this.bytesSent = 0
+        this.bytesReceived = 0
+        this.messagesSent = 0
+        this.messagesReceived = 0
+        this.failedWrites = 0
+        this.discardedBytes = 0
+        this.latency = { last: null, total: 0, count: 0, max: null }
+        this.windowStart = now
+        this.windowSent = 0
+        this.windowReceived = 0
+    }
+
+    recordSent (length, latency) {
+        this.bytesSent += length
+        this.messagesSent++
+        this.windowSent++
+        this.latency.last = latency
+        this.latency.total += latency
+        this.latency.count++
+        this.latency.max = this.latency.max === null ? latency : Math.max(this.latency.max, latency)
+    }
+
+    recordFailed () {
+        this.failedWrites++
+    }
+
+    recordReceived (length) {
+        this.bytesReceived += length
+        this.messagesReceived++
+        this.windowReceived++
+    }
+
+    // bytes the Board parser threw away while resynchronising
+    recordDiscarded (length) {
+        this.discardedBytes += length
+    }
+
+    snapshot () {
+        const now = Date.now()
+        const seconds = Math.max(now - this.windowStart, 1) / 1000
+        return {
+            since: this.since,
+            bytesSent: this.bytesSent,
+            bytesReceived: this.bytesReceived,
+            messagesSent: this.messagesSent,
+            messagesReceived: this.messagesReceived,
+            sentPerSecond: this.windowSent / seconds,
+            receivedPerSecond: this.windowReceived / seconds,
+            writeLatency: {
+                last: this.latency.last,
+                average: this.latency.count > 0 ? this.latency.total / this.latency.count : null,
+                max: this.latency.max
+            },
+            failedWrites: this.failedWrites,
+            discardedBytes: this.discardedBytes
+        }
+    }
+
+    /**
+     * Snapshot that closes the current rate window.
+     */
+    sample () {
+        const stats = this.snapshot()
+        this.windowStart = Date.now()
+        this.windowSent = 0
+        this.windowReceived = 0
+        return stats
+    }
+}
+
+export default TransportStats
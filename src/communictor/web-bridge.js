@@ -0,0 +1,27 @@
+import iosWebBridge from './ios-web-bridge'
+import androidWebBridge from './android-web-bridge'
+
+/**
+ * Picks the native host bridge the page runs in. Both hosts keep the
+ * `setupWKWebViewJavascriptBridge(callback)` entry point, so callers stay host agnostic.
+ */
+const WebBridge = () => {
+    return {
+        getHost: function() {
+            if (androidWebBridge.isAvailable()) {
+                return 'android'
+            }
+            if (window.WKWebViewJavascriptBridge || (window.webkit && window.webkit.messageHandlers)) {
+                return 'ios'
+            }
+            return null
+        },
+        setupWKWebViewJavascriptBridge: function(callback) {
+            if (androidWebBridge.isAvailable()) {
+                return androidWebBridge.setupWKWebViewJavascriptBridge(callback)
+            }
+            return iosWebBridge.setupWKWebViewJavascriptBridge(callback)
+        }
+    }
+}
+export default WebBridge()
@@ -0,0 +1,148 @@
+import BleWriteQueue from './bleWriteQueue'
+
+// Microduino BLE UART: one service with a single notify/write characteristic
+const BLE_UART_SERVICE = '0000fff0-0000-1000-8000-00805f9b34fb'
+const BLE_UART_CHARACTERISTIC = '0000fff6-0000-1000-8000-00805f9b34fb'
+const BLE_NAME_PREFIX = 'Microduino'
+
+function toDevice (device) {
+    return { commName: device.name || device.id, commType: 'web_ble', id: device.id, device: device }
+}
+
+export class WebBleComm {
+    constructor () {
+        this.device = null
+        this.characteristic = null
+        this.msgReceiver = null
+        this.onValueChanged = this.onValueChanged.bind(this)
+        this.onDisconnected = this.onDisconnected.bind(this)
+        this.writeQueue = new BleWriteQueue(chunk => this.writeChunk(chunk))
+    }
+
+    setMtu (mtu) {
+        this.writeQueue.setMtu(mtu)
+    }
+
+    isSupported () {
+        return typeof navigator !== 'undefined' && !!navigator.bluetooth
+    }
+
+    isConnected () {
+        return this.characteristic !== null
+    }
+
+    setReceiver (receiver) {
+        this.msgReceiver = receiver
+    }
+
+    /**
+     * Shows the browser device chooser. Must be called from a user gesture.
+     */
+    requestDevice () {
+        if (!this.isSupported()) {
+            return Promise.reject(new Error('Web Bluetooth is not supported'))
+        }
+        return navigator.bluetooth.requestDevice({
+            filters: [{ services: [BLE_UART_SERVICE] }, { namePrefix: BLE_NAME_PREFIX }],
+            optionalServices: [BLE_UART_SERVICE]
+        }).then(toDevice)
+    }
+
+    /**
+     * Devices the user already granted to this origin, where the browser supports it.
+     */
+    getDevices () {
+        if (!this.isSupported() || !navigator.bluetooth.getDevices) {
+            return Promise.resolve([])
+        }
+        return navigator.bluetooth.getDevices().then(devices => devices.map(toDevice))
+    }
+
+    connect (device) {
+        if (!this.isSupported()) {
+            return Promise.reject(new Error('Web Bluetooth is not supported'))
+        }
+        const bleDevice = device.device
+        bleDevice.addEventListener('gattserverdisconnected', this.onDisconnected)
+        return bleDevice.gatt.connect()
+            .then(server => server.getPrimaryService(BLE_UART_SERVICE))
+            .then(service => service.getCharacteristic(BLE_UART_CHARACTERISTIC))
+            .then(characteristic => characteristic.startNotifications())
+            .then(characteristic => {
+                characteristic.addEventListener('characteristicvaluechanged', this.onValueChanged)
+                this.device = bleDevice
+                this.characteristic = characteristic
+                return 'success'
+            })
+            .catch(error => {
+                bleDevice.removeEventListener('gattserverdisconnected', this.onDisconnected)
+                if (bleDevice.gatt.connected) {
+                    bleDevice.gatt.disconnect()
+                }
+                throw error
+            })
+    }
+
+    onValueChanged (event) {
+        const value = event.target.value
+        if (this.msgReceiver) {
+            this.msgReceiver(new Uint8Array(value.buffer, value.byteOffset, value.byteLength))
+        }
+    }
+
+    onDisconnected () {
+        const receiver = this.msgReceiver
+        this.release()
+        if (receiver) {
+            receiver(null, true)
+        }
+    }
+
+    writeChunk (chunk) {
+        if (!this.characteristic) {
+            return Promise.reject(new Error('No connection'))
+        }
+        if (this.characteristic.writeValueWithoutResponse) {
+            return this.characteristic.writeValueWithoutResponse(chunk)
+        }
+        return this.characteristic.writeValue(chunk)
+    }
+
+    sendMsgPromise (data) {
+        if (!this.characteristic) {
+            return Promise.reject(new Error('No connection'))
+        }
+        return this.writeQueue.write(data)
+    }
+
+    release () {
+        if (this.characteristic) {
+            this.characteristic.removeEventListener('characteristicvaluechanged', this.onValueChanged)
+        }
+        if (this.device) {
+            this.device.removeEventListener('gattserverdisconnected', this.onDisconnected)
+        }
+        const device = this.device
+        this.device = null
+        this.characteristic = null
+        this.writeQueue.clear()
+        return device
+    }
+
+    disconnect () {
+        const characteristic = this.characteristic
+        const device = this.release()
+        if (!device) {
+            return Promise.resolve()
+        }
+        return characteristic.stopNotifications()
+            .catch(() => {})
+            .then(() => {
+                if (device.gatt.connected) {
+                    device.gatt.disconnect()
+                }
+            })
+    }
+}
+
+export default new WebBleComm()
@@ -0,0 +1,139 @@
+const DEFAULT_BAUD_RATE = 57600
+
+function hex (value) {
+    return `0000${value.toString(16).toUpperCase()}`.slice(-4)
+}
+
+function toDevice (port) {
+    const info = port.getInfo ? port.getInfo() : {}
+    let commName = 'Serial port'
+    if (info.usbVendorId !== undefined) {
+        commName = `USB ${hex(info.usbVendorId)}:${hex(info.usbProductId)}`
+    }
+    return { commName: commName, commType: 'web_serial', port: port }
+}
+
+export class WebSerialComm {
+    constructor () {
+        this.port = null
+        this.reader = null
+        // held while the port is open, so concurrent writes queue on it
+        this.writer = null
+        this.msgReceiver = null
+        // registered on navigator.serial only while a port is open
+        this.onPortDisconnect = event => {
+            if (event.target !== this.port) return
+            this.unwatchDisconnect()
+            if (this.msgReceiver) {
+                this.msgReceiver(null, true)
+            }
+        }
+    }
+
+    watchDisconnect () {
+        navigator.serial.addEventListener('disconnect', this.onPortDisconnect)
+    }
+
+    unwatchDisconnect () {
+        if (this.isSupported()) {
+            navigator.serial.removeEventListener('disconnect', this.onPortDisconnect)
+        }
+    }
+
+    isSupported () {
+        return typeof navigator !== 'undefined' && !!navigator.serial
+    }
+
+    isConnected () {
+        return this.port !== null
+    }
+
+    setReceiver (receiver) {
+        this.msgReceiver = receiver
+    }
+
+    /**
+     * Shows the browser port picker. Must be called from a user gesture.
+     * @param {Array} filters Optional usbVendorId/usbProductId filters.
+     */
+    requestDevice (filters) {
+        if (!this.isSupported()) {
+            return Promise.reject(new Error('Web Serial is not supported'))
+        }
+        return navigator.serial.requestPort({ filters: filters || [] }).then(toDevice)
+    }
+
+    /**
+     * Ports the user already granted to this origin.
+     */
+    getDevices () {
+        if (!this.isSupported()) {
+            return Promise.resolve([])
+        }
+        return navigator.serial.getPorts().then(ports => ports.map(toDevice))
+    }
+
+    connect (device, options) {
+        if (!this.isSupported()) {
+            return Promise.reject(new Error('Web Serial is not supported'))
+        }
+        const settings = Object.assign({ baudRate: DEFAULT_BAUD_RATE }, options)
+        const port = device.port
+        return port.open({ baudRate: settings.baudRate, bufferSize: settings.bufferSize }).then(() => {
+            this.port = port
+            this.writer = port.writable.getWriter()
+            this.watchDisconnect()
+            this.readLoop(port)
+            return 'success'
+        })
+    }
+
+    readLoop (port) {
+        const reader = port.readable.getReader()
+        this.reader = reader
+        const pump = () => reader.read().then(result => {
+            if (result.done) return
+            if (this.msgReceiver && result.value) {
+                this.msgReceiver(result.value)
+            }
+            return pump()
+        })
+        pump().catch(error => {
+            console.log('web serial read error', error)
+            if (this.port === port && this.msgReceiver) {
+                this.msgReceiver(null, true)
+            }
+        })
+    }
+
+    sendMsgPromise (data) {
+        if (!this.port || !this.writer) {
+            return Promise.reject(new Error('No connection'))
+        }
+        return this.writer.write(Uint8Array.from(data))
+    }
+
+    disconnect () {
+        const port = this.port
+        const reader = this.reader
+        const writer = this.writer
+        this.port = null
+        this.reader = null
+        this.writer = null
+        this.unwatchDisconnect()
+        if (!port) {
+            return Promise.resolve()
+        }
+        if (writer) {
+            writer.releaseLock()
+        }
+        const cancel = reader ? reader.cancel().then(() => reader.releaseLock()) : Promise.resolve()
+        return cancel.catch(() => {})
+            .then(() => port.close())
+            .catch(error => {
+                console.log('web serial close error', error)
+            })
+    }
+}
+
+export default new WebSerialComm()
@@ -0,0 +1,201 @@
+const DEFAULT_RELAY_PORT = 8989
+const RELAY_TIMEOUT = 3000
+
+function defaultRelayUrl () {
+    const host = (typeof location !== 'undefined' && location.hostname) || 'localhost'
+    return `ws://${host}:${DEFAULT_RELAY_PORT}`
+}
+
+function openSocket (url) {
+    return new Promise((resolve, reject) => {
+        const socket = new WebSocket(url)
+        socket.binaryType = 'arraybuffer'
+        const timer = setTimeout(() => {
+            socket.close()
+            reject(new Error(`Relay ${url} timeout`))
+        }, RELAY_TIMEOUT)
+        socket.onopen = () => {
+            clearTimeout(timer)
+            resolve(socket)
+        }
+        socket.onerror = () => {
+            clearTimeout(timer)
+            reject(new Error(`Relay ${url} unreachable`))
+        }
+    })
+}
+
+/**
+ * A JSON control message from the relay, or null when the frame is not one.
+ */
+
+function parseControl (data) {
+    let message
+    try {
+        message = JSON.parse(data)
+    } catch (error) {
+        return null
+    }
+    return message && typeof message === 'object' ? message : null
+}
+
+function protocolError (data) {
+    return new Error(`Relay sent an invalid control message: ${String(data).slice(0, 64)}`)
+}
+
+// resolves with the first control message of `type`, rejects on a relay error
+function waitFor (socket, type) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            socket.removeEventListener('message', onMessage)
+            reject(new Error(`Relay ${type} timeout`))
+        }, RELAY_TIMEOUT)
+        function onMessage (event) {
+            if (typeof event.data !== 'string') return
+            const message = parseControl(event.data)
+            if (message && message.type !== type && message.type !== 'error') return
+            clearTimeout(timer)
+            socket.removeEventListener('message', onMessage)
+            if (!message) {
+                reject(protocolError(event.data))
+            } else if (message.type === 'error') {
+                reject(new Error(message.message))
+            } else {
+                resolve(message)
+            }
+        }
+        socket.addEventListener('message', onMessage)
+    })
+}
+
+/**
+ * Talks Firmata through the Node relay in src/node/relay.js, which owns the
+ * serial or TCP device on the machine the board is plugged into.
+ */
+export class WebSocketComm {
+    constructor () {
+        this.relayUrl = defaultRelayUrl()
+        this.socket = null
+        this.msgReceiver = null
+        this.errorReceiver = null
+    }
+
+    isSupported () {
+        return typeof WebSocket !== 'undefined'
+    }
+
+    isConnected () {
+        return this.socket !== null
+    }
+
+    setRelayUrl (url) {
+        this.relayUrl = url
+    }
+
+    setReceiver (receiver) {
+        this.msgReceiver = receiver
+    }
+
+    setErrorReceiver (receiver) {
+        this.errorReceiver = receiver
+    }
+
+    /**
+     * Asks the relay for its ports. An unreachable relay just has no devices.
+     */
+    getDevices () {
+        if (!this.isSupported()) {
+            return Promise.resolve([])
+        }
+        const url = this.relayUrl
+        return openSocket(url).then(socket => {
+            const ports = waitFor(socket, 'ports')
+            socket.send(JSON.stringify({ type: 'list' }))
+            return ports.then(message => {
+                socket.close()
+                return message.ports.map(port => Object.assign({
+                    commName: port.name,
+                    commType: 'websocket',
+                    url: url
+                }, port))
+            }, error => {
+                socket.close()
+                throw error
+            })
+        }).catch(error => {
+            console.log('relay list error', error)
+            return []
+        })
+    }
+
+    connect (device, options) {
+        if (!this.isSupported()) {
+            return Promise.reject(new Error('WebSocket is not supported'))
+        }
+        const target = device.path ? { path: device.path } : { host: device.host, port: device.port }
+        return openSocket(device.url || this.relayUrl).then(socket => {
+            const opened = waitFor(socket, 'opened')
+            socket.send(JSON.stringify({ type: 'open', device: target, options: options }))
+            return opened.then(() => {
+                this.socket = socket
+                socket.onmessage = event => this.onMessage(event)
+                socket.onclose = () => this.onClose(socket)
+                return 'success'
+            }, error => {
+                socket.close()
+                throw error
+            })
+        })
+    }
+
+    onMessage (event) {
+        if (!this.msgReceiver) return
+        if (typeof event.data !== 'string') {
+            this.msgReceiver(new Uint8Array(event.data))
+            return
+        }
+        const message = parseControl(event.data)
+        if (!message) {
+            const error = protocolError(event.data)
+            console.log('relay protocol error', error.message)
+            if (this.errorReceiver) {
+                this.errorReceiver(error)
+            }
+        } else if (message.type === 'disconnect') {
+            this.msgReceiver(null, true)
+        } else if (message.type === 'error') {
+            console.log('relay error', message.message)
+        }
+    }
+
+    onClose (socket) {
+        if (this.socket !== socket) return
+        this.socket = null
+        if (this.msgReceiver) {
+            this.msgReceiver(null, true)
+        }
+    }
+
+    sendMsgPromise (data) {
+        if (!this.socket || this.socket.readyState !== WebSocket.OPEN) {
+            return Promise.reject(new Error('No connection'))
+        }
+        this.socket.send(Uint8Array.from(data))
+        return Promise.resolve()
+    }
+
+    disconnect () {
+        const socket = this.socket
+        this.socket = null
+        if (!socket) {
+            return Promise.resolve()
+        }
+        if (socket.readyState === WebSocket.OPEN) {
+            socket.send(JSON.stringify({ type: 'close' }))
+        }
+        socket.close()
+        return Promise.resolve()
+    }
+}
+
+export default new WebSocketComm()
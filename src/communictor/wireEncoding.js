@@ -0,0 +1,73 @@
+// encodings offered to native when connecting, preferred first
+export const WIRE_ENCODINGS = ['base64', 'hex']
+
+const BASE64_PATTERN = /^(?:[A-Za-z0-9+/]{4})*(?:[A-Za-z0-9+/]{2}==|[A-Za-z0-9+/]{3}=)?$/
+const HEX_PATTERN = /^(?:[0-9a-fA-F]{2})*$/
+
+function checkEncoding (encoding) {
+    if (WIRE_ENCODINGS.indexOf(encoding) === -1) {
+        throw new TypeError(`Unknown wire encoding ${encoding}`)
+    }
+}
+
+function toByteArray (values) {
+    const bytes = new Uint8Array(values.length)
+    for (let i = 0; i < values.length; i++) {
+        const value = values[i]
+        if (!Number.isInteger(value) || value < 0 || value > 0xFF) {
+            throw new TypeError(`Payload byte ${i} is not a byte: ${JSON.stringify(value)}`)
+        }
+        bytes[i] = value
+    }
+    return bytes
+}
+
+/**
+ * Encodes bytes as a string for the JSON bridge.
+ * @param {Uint8Array|Array} bytes
+ * @param {string} encoding 'base64' or 'hex'
+ * @return {string}
+ */
+export function encode (bytes, encoding) {
+    checkEncoding(encoding)
+    return Buffer.from(bytes).toString(encoding)
+}
+
+/**
+ * Decodes a payload from native into bytes.
+ *
+ * With an encoding the payload must be a string in it. Without one the payload is
+ * from a shell that predates negotiation and may be a plain array of bytes or a
+ * JSON serialised Buffer ({ type: 'Buffer', data }) or typed array ({ 0: .., 1: .. }).
+ * Throws a TypeError for payloads of the wrong type and an Error for corrupt ones.
+ * @return {Uint8Array}
+ */
+export function decode (payload, encoding) {
+    if (encoding) {
+        checkEncoding(encoding)
+        if (typeof payload !== 'string') {
+            throw new TypeError(`Expected a ${encoding} string, got ${typeof payload}`)
+        }
+        const pattern = encoding === 'base64' ? BASE64_PATTERN : HEX_PATTERN
+        if (!pattern.test(payload)) {
+            throw new Error(`Corrupt ${encoding} payload: ${payload.slice(0, 32)}`)
+        }
+        return new Uint8Array(Buffer.from(payload, encoding))
+    }
+    if (payload instanceof Uint8Array) {
+        return payload
+    }
+    if (Array.isArray(payload)) {
+        return toByteArray(payload)
+    }
+    if (payload && typeof payload === 'object') {
+        if (payload.type === 'Buffer' && Array.isArray(payload.data)) {
+            return toByteArray(payload.data)
+        }
+        const keys = Object.keys(payload)
+        if (keys.every((key, i) => key === String(i))) {
+            return toByteArray(keys.map(key => payload[key]))
+        }
+    }
+    throw new TypeError(`Unsupported payload type ${payload === null ? 'null' : typeof payload}`)
+}
@@ -0,0 +1,73 @@
+const Board = require('../communictor/firmata')
+const SerialTransport = require('./serialTransport')
+const TcpTransport = require('./tcpTransport')
+const FirmataDecoder = require('../communictor/firmataDecoder')
+const firmataEncoder = require('../communictor/firmataEncoder')
+
+Board.com = SerialTransport
+
+function findPort () {
+    return new Promise((resolve, reject) => {
+        Board.requestPort((error, port) => {
+            if (error) {
+                reject(error)
+            } else {
+                resolve(port.path || port.comName)
+            }
+        })
+    })
+}
+
+function whenReady (board, name) {
+    return new Promise((resolve, reject) => {
+        board.once('ready', () => resolve(board))
+        board.once('timeout', () => reject(new Error(`${name}: no firmware response`)))
+        board.once('versionExpired', compatibility => {
+            reject(new Error(`${name}: unsupported firmware ${compatibility.name}, needs ${compatibility.required}`))
+        })
+    })
+}
+
+/**
+ * Opens a serial port and resolves with a Board once its handshake is done.
+ * @param {String} [path] The serial port path. The first acceptable port is used when omitted.
+ * @param {Object} [options] Board options; options.serialport.baudRate sets the port speed.
+ * @return {Promise} resolves to the ready Board, rejects on timeout or an unsupported firmware.
+ */
+
+function createBoard (path, options) {
+    const p = path ? Promise.resolve(path) : findPort()
+    return p.then(portPath => {
+        const transport = new SerialTransport(portPath)
+        const board = new Board(transport, options)
+        const ready = whenReady(board, portPath)
+        return transport.open(board.settings.serialport).then(() => ready)
+    })
+}
+
+/**
+ * Connects to a WiFi Firmata board and resolves with a Board once its handshake is done.
+ * The transport keeps reconnecting if the link drops, see TcpTransport.
+ * @param {String} host
+ * @param {Number} [port] Defaults to 3030, the WiFi Firmata port.
+ * @param {Object} [options] Board options; options.tcp is passed to TcpTransport.
+ * @return {Promise} resolves to the ready Board, rejects on timeout or an unsupported firmware.
+ */
+
+function createTcpBoard (host, port, options) {
+    const settings = options || {}
+    const transport = new TcpTransport(host, port || 3030, settings.tcp)
+    const board = new Board(transport, settings)
+    const ready = whenReady(board, `${host}:${port || 3030}`)
+    return transport.open().then(() => ready)
+}
+
+module.exports = {
+    Board: Board,
+    SerialTransport: SerialTransport,
+    TcpTransport: TcpTransport,
+    FirmataDecoder: FirmataDecoder,
+    firmataEncoder: firmataEncoder,
+    createBoard: createBoard,
+    createTcpBoard: createTcpBoard
+}
@@ -0,0 +1,234 @@
+/**
+ * WebSocket relay: lets a browser drive a board plugged into this machine.
+ *
+ * Binary frames carry raw Firmata bytes in both directions. Text frames carry JSON
+ * control messages:
+ *
+ *   client -> relay  { type: 'list' }
+ *                    { type: 'open', device: { path } | { host, port }, options: { baudRate } }
+ *                    { type: 'close' }
+ *   relay -> client  { type: 'ports', ports: [{ name, path } | { name, host, port }] }
+ *                    { type: 'opened' } { type: 'closed' } { type: 'disconnect' }
+ *                    { type: 'error', message }
+ *
+ * Only the devices listPorts() offers can be opened: the acceptable serial ports and
+ * the configured TCP devices. The relay listens on 127.0.0.1 unless given a host.
+ *
+ * Usage: node src/node/relay.js [--port 8989] [--host 0.0.0.0] [--tcp host:port ...]
+ */
+
+const WebSocket = require('ws')
+
+const SerialTransport = require('./serialTransport')
+const TcpTransport = require('./tcpTransport')
+const Board = require('../communictor/firmata')
+
+const DEFAULT_PORT = 8989
+const DEFAULT_HOST = '127.0.0.1'
+
+function deviceKey (device) {
+    return device.path || `${device.host}:${device.port}`
+}
+
+/**
+ * TCP Firmata device (WiFi Firmata, ser2net, ...). The browser decides about
+ * reconnecting, so the relay just reports the disconnect.
+ */
+
+function openTcp (device) {
+    const transport = new TcpTransport(device.host, device.port, { reconnect: false })
+    return transport.open().then(() => transport)
+}
+
+function openSerial (device, options) {
+    const transport = new SerialTransport(device.path)
+    return transport.open(options).then(() => transport)
+}
+
+/**
+ * @param {Object} options port: the WebSocket port to listen on,
+ *                         host: the address to listen on, 127.0.0.1 by default; '0.0.0.0' serves the LAN,
+ *                         tcp: [{ host, port }] network Firmata devices to offer besides serial ports.
+ */
+
+function Relay (options) {
+    this.port = options.port || DEFAULT_PORT
+    this.host = options.host || DEFAULT_HOST
+    this.tcpDevices = options.tcp || []
+    this.inUse = new Set()
+    this.server = null
+}
+
+Relay.prototype.listPorts = function () {
+    const tcp = this.tcpDevices.map(device => ({
+        name: `${device.host}:${device.port}`,
+        host: device.host,
+        port: device.port
+    }))
+    return SerialTransport.list().then(ports => ports
+        .filter(port => Board.isAcceptablePort(port))
+        .map(port => ({ name: port.manufacturer ? `${port.manufacturer} ${port.path}` : port.path, path: port.path }))
+        .concat(tcp), () => tcp)
+}
+
+/**
+ * The device listPorts() offers under the key of `device`, or null.
+ */
+
+Relay.prototype.findDevice = function (device) {
+    const wanted = deviceKey(device)
+    return this.listPorts().then(ports => ports.find(port => deviceKey(port) === wanted) || null)
+}
+
+Relay.prototype.listen = function () {
+    this.server = new WebSocket.Server({ host: this.host, port: this.port })
+    this.server.on('connection', socket => this.handleClient(socket))
+    console.log(`Firmata relay listening on ws://${this.host}:${this.port}`)
+    return this
+}
+
+Relay.prototype.close = function () {
+    if (this.server) {
+        this.server.close()
+        this.server = null
+    }
+}
+
+Relay.prototype.handleClient = function (socket) {
+    let transport = null
+    // the open in progress, until its device is open or failed
+    let opening = null
+    let key = null
+
+    const send = message => {
+        if (socket.readyState === WebSocket.OPEN) {
+            socket.send(JSON.stringify(message))
+        }
+    }
+
+    const release = () => {
+        const current = transport
+        transport = null
+        if (opening) {
+            // the open in progress closes its device and frees it once it settles
+            opening = null
+            key = null
+            return Promise.resolve()
+        }
+        if (key) {
+            this.inUse.delete(key)
+            key = null
+        }
+        return current ? current.close().catch(() => {}) : Promise.resolve()
+    }
+
+    const open = (device, options) => {
+        if (transport) {
+            send({ type: 'error', message: 'A device is already open on this connection' })
+            return
+        }
+        if (opening) {
+            send({ type: 'error', message: 'A device is already opening on this connection' })
+            return
+        }
+        if (!device || (!device.path && !device.host)) {
+            send({ type: 'error', message: 'No device given' })
+            return
+        }
+        const wanted = deviceKey(device)
+        if (this.inUse.has(wanted)) {
+            send({ type: 'error', message: `${wanted} is busy` })
+            return
+        }
+        this.inUse.add(wanted)
+        key = wanted
+        const attempt = this.findDevice(device).then(offered => {
+            if (!offered) {
+                throw new Error(`${wanted} is not offered by this relay`)
+            }
+            return offered.path ? openSerial(offered, options) : openTcp(offered)
+        })
+        opening = attempt
+        attempt.then(opened => {
+            if (opening !== attempt || socket.readyState !== WebSocket.OPEN) {
+                // closed, or the client went away, while the device was opening
+                this.inUse.delete(wanted)
+                opened.close().catch(() => {})
+                return
+            }
+            opening = null
+            transport = opened
+            transport.on('data', data => {
+                if (socket.readyState === WebSocket.OPEN) {
+                    socket.send(data)
+                }
+            })
+            transport.on('error', error => send({ type: 'error', message: error.message }))
+            transport.on('disconnect', () => {
+                release()
+                send({ type: 'disconnect' })
+            })
+            send({ type: 'opened' })
+        }, error => {
+            this.inUse.delete(wanted)
+            if (opening === attempt) {
+                opening = null
+                key = null
+            }
+            send({ type: 'error', message: error.message })
+        })
+    }
+
+    socket.on('message', (message, isBinary) => {
+        if (isBinary) {
+            if (transport) {
+                transport.write(message).catch(error => send({ type: 'error', message: error.message }))
+            }
+            return
+        }
+        let control
+        try {
+            control = JSON.parse(message.toString())
+        } catch (error) {
+            control = null
+        }
+        if (!control || typeof control !== 'object') {
+            send({ type: 'error', message: 'Invalid control message' })
+            return
+        }
+        if (control.type === 'list') {
+            this.listPorts().then(ports => send({ type: 'ports', ports: ports }))
+        } else if (control.type === 'open') {
+            open(control.device, control.options)
+        } else if (control.type === 'close') {
+            release().then(() => send({ type: 'closed' }))
+        } else {
+            send({ type: 'error', message: `Unknown control message ${control.type}` })
+        }
+    })
+
+    socket.on('close', () => {
+        release()
+    })
+}
+
+function parseArgs (argv) {
+    const options = { tcp: [] }
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--port') {
+            options.port = parseInt(argv[++i], 10)
+        } else if (argv[i] === '--host') {
+            options.host = argv[++i]
+        } else if (argv[i] === '--tcp') {
+            const parts = argv[++i].split(':')
+            options.tcp.push({ host: parts[0], port: parseInt(parts[1], 10) })
+        }
+    }
+    return options
+}
+
+if (require.main === module) {
+    new Relay(parseArgs(process.argv.slice(2))).listen()
+}
+
+module.exports = Relay
@@ -0,0 +1,109 @@
+const { SerialPort } = require('serialport')
+
+const Transport = require('../communictor/transport')
+
+/**
+ * @class SerialTransport connects a Board to a local serial port from Node.
+ * @augments Transport
+ * @param {String} path The serial port path, e.g. /dev/ttyUSB0 or COM3.
+ */
+
+function SerialTransport (path) {
+    Transport.call(this)
+    this.path = path
+    this.port = null
+}
+
+SerialTransport.prototype = Object.create(Transport.prototype, {
+    constructor: {
+        value: SerialTransport
+    }
+})
+
+/**
+ * Opens the port.
+ * @param {object} options Board settings.serialport: baudRate and bufferSize.
+ */
+
+SerialTransport.prototype.open = function (options) {
+    const settings = Object.assign({ baudRate: 57600 }, options)
+    if (this.port) {
+        return Promise.reject(new Error(`${this.path} is already open`))
+    }
+
+    const portOptions = { path: this.path, baudRate: settings.baudRate, autoOpen: false }
+    // serialport takes an undefined highWaterMark as the read buffer size
+    if (settings.bufferSize) {
+        portOptions.highWaterMark = settings.bufferSize
+    }
+    const port = new SerialPort(portOptions)
+
+    port.on('data', data => {
+        this.notifyData(data)
+    })
+
+    port.on('error', error => {
+        this.emit('error', error)
+    })
+
+    port.on('close', error => {
+        this.port = null
+        // unplugged boards close with a `disconnected` error
+        this.notifyClose(!!(error && error.disconnected))
+    })
+
+    return new Promise((resolve, reject) => {
+        port.open(error => {
+            if (error) {
+                reject(error)
+                return
+            }
+            this.port = port
+            this.notifyOpen()
+            resolve()
+        })
+    })
+}
+
+SerialTransport.prototype.write = function (data) {
+    if (!this.port) {
+        return this.notConnected()
+    }
+    const port = this.port
+    return new Promise((resolve, reject) => {
+        port.write(data, error => {
+            if (error) {
+                reject(error)
+                return
+            }
+            port.drain(resolve)
+        })
+    })
+}
+
+SerialTransport.prototype.close = function () {
+    if (!this.port) {
+        return Promise.resolve()
+    }
+    const port = this.port
+    return new Promise((resolve, reject) => {
+        port.close(error => {
+            if (error) {
+                reject(error)
+                return
+            }
+            resolve()
+        })
+    })
+}
+
+/**
+ * Lists the serial ports on this machine, as reported by serialport.
+ * @return {Promise} resolves to an array of { path, manufacturer, ... } objects
+ */
+
+SerialTransport.list = function () {
+    return SerialPort.list()
+}
+
+module.exports = SerialTransport
@@ -0,0 +1,162 @@
+/// / Built-in Dependencies
+const net = require('net')
+
+const Transport = require('../communictor/transport')
+
+const DEFAULT_OPTIONS = {
+    connectTimeout: 5000,
+    // TCP keepalive probes, so a board that lost WiFi is noticed without traffic
+    keepAlive: true,
+    keepAliveDelay: 5000,
+    reconnect: true,
+    reconnectDelay: 1000,
+    maxReconnectDelay: 10000,
+    maxReconnectAttempts: Infinity
+}
+
+// a lost link; the close that follows reports it as a disconnect
+const LINK_ERRORS = ['ECONNRESET', 'ETIMEDOUT', 'EPIPE', 'EHOSTUNREACH', 'ENETUNREACH']
+
+/**
+ * @class TcpTransport connects a Board to a TCP Firmata endpoint, such as an
+ * ESP module running WiFi Firmata (default port 3030).
+ * When the link drops it emits disconnect and close, then keeps reconnecting with
+ * a growing delay, emitting reconnecting { attempt, delay } and open again once it
+ * is back (Board redoes its handshake on open), or reconnect-failed after the last attempt.
+ * @augments Transport
+ * @param {String} host
+ * @param {Number} port
+ * @param {Object} [options] See DEFAULT_OPTIONS.
+ */
+
+function TcpTransport (host, port, options) {
+    Transport.call(this)
+    this.host = host
+    this.port = port
+    this.options = Object.assign({}, DEFAULT_OPTIONS, options)
+    this.socket = null
+    this.closing = false
+    this.reconnectTimer = null
+}
+
+TcpTransport.prototype = Object.create(Transport.prototype, {
+    constructor: {
+        value: TcpTransport
+    }
+})
+
+TcpTransport.prototype.connectSocket = function () {
+    const options = this.options
+    return new Promise((resolve, reject) => {
+        const socket = net.connect(this.port, this.host)
+        const fail = error => {
+            socket.destroy()
+            reject(error)
+        }
+        socket.setTimeout(options.connectTimeout, () => fail(new Error(`${this.host}:${this.port} connect timeout`)))
+        socket.once('error', fail)
+        socket.once('connect', () => {
+            socket.setTimeout(0)
+            socket.removeListener('error', fail)
+            socket.setNoDelay(true)
+            socket.setKeepAlive(options.keepAlive, options.keepAliveDelay)
+            resolve(socket)
+        })
+    })
+}
+
+TcpTransport.prototype.attach = function (socket) {
+    this.socket = socket
+    socket.on('data', data => this.notifyData(data))
+    socket.on('error', error => {
+        if (LINK_ERRORS.indexOf(error.code) === -1) {
+            this.emit('error', error)
+        }
+    })
+    socket.on('close', () => {
+        if (this.socket !== socket) return
+        this.socket = null
+        this.notifyClose(!this.closing)
+        if (!this.closing && this.options.reconnect) {
+            this.reconnect(1)
+        }
+    })
+    this.notifyOpen()
+}
+
+/**
+ * Connects to the endpoint.
+ */
+
+TcpTransport.prototype.open = function () {
+    if (this.socket) {
+        return Promise.reject(new Error(`${this.host}:${this.port} is already open`))
+    }
+    this.closing = false
+    return this.connectSocket().then(socket => {
+        if (this.closing) {
+            // closed while connecting
+            socket.destroy()
+            return
+        }
+        this.attach(socket)
+    })
+}
+
+TcpTransport.prototype.reconnect = function (attempt) {
+    const options = this.options
+    if (attempt > options.maxReconnectAttempts) {
+        this.reconnectTimer = null
+        this.emit('reconnect-failed', { attempts: options.maxReconnectAttempts })
+        return
+    }
+    const delay = Math.min(options.reconnectDelay * Math.pow(2, attempt - 1), options.maxReconnectDelay)
+    this.emit('reconnecting', { attempt: attempt, delay: delay })
+    this.reconnectTimer = setTimeout(() => {
+        this.reconnectTimer = null
+        this.connectSocket().then(socket => {
+            if (this.closing) {
+                socket.destroy()
+                return
+            }
+            this.attach(socket)
+        }, error => {
+            if (this.closing) return
+            console.log('tcp reconnect attempt failed', attempt, error.message)
+            this.reconnect(attempt + 1)
+        })
+    }, delay)
+}
+
+TcpTransport.prototype.write = function (data) {
+    if (!this.socket) {
+        return this.notConnected()
+    }
+    const socket = this.socket
+    return new Promise((resolve, reject) => {
+        socket.write(Buffer.from(data), error => (error ? reject(error) : resolve()))
+    })
+}
+
+/**
+ * Closes the connection and stops reconnecting.
+ */
+
+TcpTransport.prototype.close = function () {
+    this.closing = true
+    if (this.reconnectTimer) {
+        clearTimeout(this.reconnectTimer)
+        this.reconnectTimer = null
+    }
+    if (!this.socket) {
+        return Promise.resolve()
+    }
+    const socket = this.socket
+    return new Promise(resolve => {
+        socket.once('close', () => resolve())
+        // don't wait for the board to close its side
+        socket.end(() => socket.destroy())
+    })
+}
+
+module.exports = TcpTransport
@@ -0,0 +1,99 @@
+const test = require('node:test')
+const assert = require('node:assert')
+
+const Board = require('../src/communictor/firmata')
+const LoopbackTransport = require('../src/communictor/loopbackTransport')
+
+const ACCELSTEPPER = 0x62
+const ACCELSTEPPER_CONFIG = 0x00
+const ACCELSTEPPER_STEP = 0x02
+const ACCELSTEPPER_TO = 0x03
+const ACCELSTEPPER_REPORT_POSITION = 0x06
+const ACCELSTEPPER_MOVE_COMPLETE = 0x0A
+
+function readyBoard () {
+    const transport = new LoopbackTransport().useFirmware()
+    const board = new Board(transport)
+    return new Promise(resolve => {
+        board.on('ready', () => resolve({ board, transport }))
+        transport.open()
+    })
+}
+
+// an AccelStepperFirmata reply carrying a position
+function positionReply (command, deviceNum, position) {
+    const bytes = [position & 0x7F, (position >> 7) & 0x7F, (position >> 14) & 0x7F, (position >> 21) & 0x7F, (position >> 28) & 0x07]
+    return [0xF0, ACCELSTEPPER, command, deviceNum].concat(bytes, [0xF7])
+}
+
+function driver (board, options) {
+    return Object.assign({
+        deviceNum: 0,
+        type: board.STEPPER.TYPE.DRIVER,
+        stepPin: 2,
+        directionPin: 3,
+        positionInterval: 0
+    }, options)
+}
+
+test('moveTo resolves with the position the motor stopped at', async () => {
+    const { board, transport } = await readyBoard()
+    transport.respond([0xF0, ACCELSTEPPER, ACCELSTEPPER_TO], message =>
+        positionReply(ACCELSTEPPER_MOVE_COMPLETE, message[3], 200))
+    const stepper = board.stepper(driver(board, { speed: 400 }))
+    assert.strictEqual(await stepper.moveTo(200), 200)
+    assert.strictEqual(stepper.position, 200)
+    assert.strictEqual(stepper.moving, false)
+    transport.unplug()
+})
+
+test('a failed setup rejects the moves waiting and the later ones', async () => {
+    const { board, transport } = await readyBoard()
+    const write = transport.write.bind(transport)
+    transport.write = data => (data[1] === ACCELSTEPPER && data[2] === ACCELSTEPPER_CONFIG
+        ? Promise.reject(new Error('config lost'))
+        : write(data))
+    const stepper = board.stepper(driver(board))
+    await assert.rejects(stepper.moveTo(100), /config lost/)
+    await assert.rejects(stepper.move(10), /config lost/)
+    assert.ok(!transport.messages.some(message => message[2] === ACCELSTEPPER_STEP), 'no step written after the failure')
+    transport.unplug()
+})
+
+test('a config the encoder refuses rejects the moves', async () => {
+    const { board, transport } = await readyBoard()
+    const stepper = board.stepper({ deviceNum: 1, type: board.STEPPER.TYPE.DRIVER })
+    await assert.rejects(stepper.moveTo(100))
+    await assert.rejects(stepper.moveTo(100))
+    transport.unplug()
+})
+
+test('a move without progress times out', async () => {
+    const { board, transport } = await readyBoard()
+    const stepper = board.stepper(driver(board, { moveTimeout: 50 }))
+    await assert.rejects(stepper.moveTo(100), /did not move for 50ms/)
+    assert.strictEqual(stepper.moving, false)
+    transport.unplug()
+})
+
+test('position reports keep a long move alive', async () => {
+    const { board, transport } = await readyBoard()
+    const stepper = board.stepper(driver(board, { moveTimeout: 60 }))
+    const moved = stepper.moveTo(120)
+    for (let position = 40; position <= 120; position += 40) {
+        await new Promise(resolve => setTimeout(resolve, 40))
+        transport.reply(positionReply(ACCELSTEPPER_REPORT_POSITION, 0, position))
+    }
+    transport.reply(positionReply(ACCELSTEPPER_MOVE_COMPLETE, 0, 120))
+    assert.strictEqual(await moved, 120)
+    transport.unplug()
+})
+
+test('a disconnect rejects the running move', async () => {
+    const { board, transport } = await readyBoard()
+    const stepper = board.stepper(driver(board))
+    const moved = stepper.moveTo(100)
+    await new Promise(resolve => setTimeout(resolve, 20))
+    transport.unplug()
+    await assert.rejects(moved, /Disconnected/)
+})
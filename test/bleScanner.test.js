@@ -0,0 +1,155 @@
+require('babel-register')
+const test = require('node:test')
+const assert = require('node:assert')
+
+// the native bridges look for their host on window
+global.window = global
+
+// the iOS shell's side of the bridge; a shell that predates scanning never answers bleStartScan
+const handlers = {}
+const calls = []
+const shell = { scans: true }
+const bridge = {
+    registerHandler: (name, handler) => { handlers[name] = handler },
+    callHandler (name, data, callback) {
+        calls.push({ name, data })
+        if (name === 'bleStartScan' && shell.scans && callback) {
+            callback('success')
+        }
+    }
+}
+global.WKWebViewJavascriptBridge = bridge
+
+const bleScanner = require('../src/communictor/bleScanner').default
+
+const SERVICE = '0000ffe0-0000-1000-8000-00805f9b34fb'
+
+function advertise (advert) {
+    handlers.bleScanResult(advert)
+}
+
+function ids () {
+    return bleScanner.getDevices().map(device => device.id)
+}
+
+// lets the promise chains started by the fake timers run
+function flush () {
+    return new Promise(resolve => setImmediate(resolve))
+}
+
+test('only advertisements matching the filters are listed', () => {
+    calls.length = 0
+    bleScanner.start({ namePrefix: 'AppBuggy', services: [SERVICE.toUpperCase()] })
+    assert.deepStrictEqual(calls, [{
+        name: 'bleStartScan',
+        data: { name: null, namePrefix: 'AppBuggy', services: [SERVICE.toUpperCase()] }
+    }])
+    advertise({ id: 'a', name: 'AppBuggy_1', rssi: -60, services: [SERVICE] })
+    advertise({ id: 'b', name: 'Headphones', rssi: -40, services: [SERVICE] })
+    advertise({ id: 'c', name: 'AppBuggy_2', rssi: -50, services: ['180d'] })
+    // no service list: the shell filtered natively
+    advertise({ id: 'd', name: 'AppBuggy_3', rssi: -70 })
+    advertise({ id: 'e', rssi: -30, services: [SERVICE] })
+    assert.deepStrictEqual(ids(), ['a', 'd'])
+    bleScanner.stop()
+
+    bleScanner.start({ name: 'AppBuggy_1' })
+    advertise({ id: 'a', name: 'AppBuggy_1', rssi: -60 })
+    advertise({ id: 'f', name: 'AppBuggy_10', rssi: -60 })
+    assert.deepStrictEqual(ids(), ['a'])
+    bleScanner.stop()
+})
+
+test('a board seen again is updated in place, strongest signal first', () => {
+    bleScanner.start()
+    const updates = []
+    const onUpdate = devices => updates.push(devices.map(device => device.id))
+    bleScanner.on('update', onUpdate)
+    advertise({ id: 'a', name: 'AppBuggy_1', rssi: -80 })
+    advertise({ id: 'b', name: 'AppBuggy_2' })
+    advertise({ id: 'c', name: 'AppBuggy_3', rssi: -60 })
+    advertise({ id: 'a', name: 'AppBuggy_1', rssi: -40 })
+    // nothing to list without an id
+    advertise({ name: 'AppBuggy_4', rssi: -20 })
+    advertise(null)
+    bleScanner.removeListener('update', onUpdate)
+
+    assert.deepStrictEqual(updates, [['a'], ['a', 'b'], ['c', 'a', 'b'], ['a', 'c', 'b']])
+    assert.deepStrictEqual(bleScanner.find('a'), {
+        id: 'a',
+        name: 'AppBuggy_1',
+        commName: 'AppBuggy_1',
+        commType: 'ble_mobile',
+        rssi: -40,
+        lastSeen: bleScanner.find('a').lastSeen
+    })
+    assert.strictEqual(bleScanner.find('b').rssi, null)
+    bleScanner.stop()
+
+    // advertisements after the scan ended are ignored
+    advertise({ id: 'g', name: 'AppBuggy_7', rssi: -10 })
+    assert.strictEqual(bleScanner.find('g'), null)
+})
+
+test('a board not heard from for a while drops off the list', t => {
+    const time = { now: 1000000 }
+    t.mock.method(Date, 'now', () => time.now)
+    bleScanner.start()
+    advertise({ id: 'a', rssi: -50 })
+    time.now += 5000
+    advertise({ id: 'b', rssi: -60 })
+    time.now += 6000
+    assert.deepStrictEqual(ids(), ['b'])
+    bleScanner.stop()
+})
+
+test('scan stops after its duration and resolves with what it found', async t => {
+    t.mock.timers.enable({ apis: ['setTimeout'] })
+    calls.length = 0
+    let stopped = null
+    bleScanner.once('stop', devices => { stopped = devices })
+    let result
+    bleScanner.scan({ namePrefix: 'AppBuggy' }, 2000).then(devices => { result = devices })
+    advertise({ id: 'a', name: 'AppBuggy_1', rssi: -50 })
+    t.mock.timers.tick(1999)
+    await flush()
+    assert.strictEqual(result, undefined)
+    assert.strictEqual(bleScanner.isScanning(), true)
+
+    t.mock.timers.tick(1)
+    await flush()
+    assert.deepStrictEqual(result.map(device => device.id), ['a'])
+    assert.deepStrictEqual(stopped, result)
+    assert.strictEqual(bleScanner.isScanning(), false)
+    assert.deepStrictEqual(calls.map(call => call.name), ['bleStartScan', 'bleStopScan'])
+})
+
+test('scan resolves with null when the shell cannot scan', async t => {
+    t.mock.timers.enable({ apis: ['setTimeout'] })
+    shell.scans = false
+    try {
+        let result
+        bleScanner.scan({}, 1000).then(devices => { result = devices })
+        t.mock.timers.tick(1000)
+        await flush()
+        assert.strictEqual(result, null)
+
+        // a result proves the shell scans even if its acknowledgement got lost
+        bleScanner.scan({}, 1000).then(devices => { result = devices })
+        advertise({ id: 'a', rssi: -50 })
+        t.mock.timers.tick(1000)
+        await flush()
+        assert.deepStrictEqual(result.map(device => device.id), ['a'])
+    } finally {
+        shell.scans = true
+    }
+
+    // outside a native shell there is nothing to scan with
+    delete global.WKWebViewJavascriptBridge
+    try {
+        assert.strictEqual(await bleScanner.scan({}, 1000), null)
+        assert.strictEqual(bleScanner.isScanning(), false)
+    } finally {
+        global.WKWebViewJavascriptBridge = bridge
+    }
+})
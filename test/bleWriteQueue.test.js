@@ -0,0 +1,122 @@
+require('babel-register')
+const test = require('node:test')
+const assert = require('node:assert')
+
+const BleWriteQueue = require('../src/communictor/bleWriteQueue').default
+
+/**
+ * A characteristic whose writes are acknowledged by the test: each chunk
+ * written waits in `pending` until ack() or fail().
+ */
+
+function fakeCharacteristic () {
+    const link = { written: [], pending: [], inFlightMax: 0 }
+    link.writeChunk = chunk => new Promise((resolve, reject) => {
+        link.written.push(Array.from(chunk))
+        link.pending.push({ resolve, reject })
+        link.inFlightMax = Math.max(link.inFlightMax, link.pending.length)
+    })
+    link.ack = () => link.pending.shift().resolve()
+    link.fail = error => link.pending.shift().reject(error)
+    return link
+}
+
+function tick () {
+    return new Promise(resolve => setImmediate(resolve))
+}
+
+function range (length) {
+    return Array.from({ length }, (value, i) => i)
+}
+
+test('splits a message into chunks of the MTU', async () => {
+    const written = []
+    const queue = new BleWriteQueue(chunk => {
+        written.push(Array.from(chunk))
+        return Promise.resolve()
+    }, { mtu: 4 })
+    await queue.write(range(10))
+    assert.deepStrictEqual(written, [[0, 1, 2, 3], [4, 5, 6, 7], [8, 9]])
+
+    queue.setMtu(20)
+    queue.setMtu(0)
+    await queue.write(range(20))
+    assert.strictEqual(written.length, 4)
+    assert.strictEqual(written[3].length, 20)
+})
+
+test('writes the next chunk only once the one before is acknowledged', async () => {
+    const link = fakeCharacteristic()
+    const queue = new BleWriteQueue(link.writeChunk, { mtu: 2 })
+    let firstDone = false
+    let secondDone = false
+    queue.write([1, 2, 3]).then(() => { firstDone = true })
+    queue.write([4]).then(() => { secondDone = true })
+    await tick()
+    assert.deepStrictEqual(link.written, [[1, 2]])
+
+    link.ack()
+    await tick()
+    assert.deepStrictEqual(link.written, [[1, 2], [3]])
+    assert.strictEqual(firstDone, false)
+
+    link.ack()
+    await tick()
+    assert.strictEqual(firstDone, true)
+    assert.deepStrictEqual(link.written, [[1, 2], [3], [4]])
+
+    link.ack()
+    await tick()
+    assert.strictEqual(secondDone, true)
+    assert.strictEqual(link.inFlightMax, 1)
+})
+
+test('holds writes back above the high water mark until the queue drains', async () => {
+    const link = fakeCharacteristic()
+    const queue = new BleWriteQueue(link.writeChunk, { mtu: 4, highWaterMark: 4 })
+    queue.write(range(4))
+    await tick()
+    let accepted = false
+    queue.write([9]).then(() => { accepted = true })
+    await tick()
+    assert.strictEqual(queue.waiters.length, 1)
+
+    link.ack()
+    await tick()
+    assert.deepStrictEqual(link.written, [[0, 1, 2, 3], [9]])
+    link.ack()
+    await tick()
+    assert.strictEqual(accepted, true)
+})
+
+test('a failed chunk rejects its message, the ones queued and the waiting callers', async () => {
+    const link = fakeCharacteristic()
+    const queue = new BleWriteQueue(link.writeChunk, { mtu: 4, highWaterMark: 4 })
+    const writes = [queue.write(range(6)), queue.write([7, 8])]
+    await tick()
+    // over the high water mark now, so this caller waits for room
+    writes.push(queue.write([9]))
+    await tick()
+    assert.strictEqual(queue.waiters.length, 1)
+    const lost = new Error('GATT operation failed')
+    link.fail(lost)
+    const results = await Promise.allSettled(writes)
+    assert.deepStrictEqual(results.map(result => result.reason), [lost, lost, lost])
+    assert.strictEqual(queue.queuedBytes, 0)
+    assert.deepStrictEqual(link.written, [[0, 1, 2, 3]])
+})
+
+test('a chunk that is never acknowledged times out', async () => {
+    const queue = new BleWriteQueue(() => new Promise(() => {}), { ackTimeout: 30 })
+    await assert.rejects(queue.write([1, 2, 3]), /BLE write not acknowledged/)
+})
+
+test('clear rejects what is queued with No connection', async () => {
+    const link = fakeCharacteristic()
+    const queue = new BleWriteQueue(link.writeChunk, { mtu: 2 })
+    const write = queue.write([1, 2, 3, 4])
+    await tick()
+    queue.clear()
+    await assert.rejects(write, /No connection/)
+    assert.strictEqual(queue.chunks.length, 0)
+})
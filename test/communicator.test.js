@@ -0,0 +1,172 @@
+require('babel-register')
+const test = require('node:test')
+const assert = require('node:assert')
+
+// the native bridges look for their host on window
+global.window = global
+
+const { Communicator } = require('../src/communictor/communicator')
+const Board = require('../src/communictor/firmata')
+const LoopbackTransport = require('../src/communictor/loopbackTransport')
+
+function once (emitter, event) {
+    return new Promise(resolve => emitter.once(event, resolve))
+}
+
+test('a handshake that times out fails the connection', async () => {
+    const communicator = new Communicator('timeout')
+    const transport = new LoopbackTransport()
+    const board = new Board(communicator, { reportVersionTimeout: 50 })
+    const timedOut = once(board, 'timeout')
+    await communicator.connect(transport.getDevices()[0])
+    await timedOut
+    assert.strictEqual(communicator.getState(), 'failed')
+    await communicator.disconnect()
+    assert.strictEqual(communicator.getState(), 'idle')
+})
+
+test('a late handshake on the same link still gets ready', async () => {
+    const communicator = new Communicator('late')
+    const transport = new LoopbackTransport()
+    const board = new Board(communicator, { reportVersionTimeout: 50 })
+    const timedOut = once(board, 'timeout')
+    await communicator.connect(transport.getDevices()[0])
+    await timedOut
+    const ready = once(board, 'ready')
+    transport.useFirmware()
+    transport.reply([0xF9, 2, 5])
+    transport.reply(LoopbackTransport.firmwareReply('AppBuggy_V1.3', 2, 5))
+    await ready
+    assert.strictEqual(communicator.getState(), 'ready')
+    await communicator.disconnect()
+})
+
+test('connecting after a refused firmware closes the refused link', async () => {
+    const communicator = new Communicator('expired')
+    const expired = new LoopbackTransport().useFirmware({ name: 'AppBuggy_V1.2' })
+    const board = new Board(communicator)
+    const refused = once(board, 'versionExpired')
+    await communicator.connect(expired.getDevices()[0])
+    await refused
+    assert.strictEqual(communicator.getState(), 'failed')
+    assert.strictEqual(expired.isConnected(), true)
+
+    const supported = new LoopbackTransport().useFirmware()
+    const ready = once(board, 'ready')
+    await communicator.connect(supported.getDevices()[0])
+    assert.strictEqual(expired.isConnected(), false)
+    await ready
+    assert.strictEqual(communicator.getState(), 'ready')
+    await communicator.disconnect()
+})
+
+test('only a comm with a BLE write queue paces writes', () => {
+    const communicator = new Communicator('paced')
+    assert.strictEqual(communicator.pacesWrites(), false)
+    communicator.setCommunicator(new LoopbackTransport())
+    assert.strictEqual(communicator.pacesWrites(), false)
+    communicator.setCommunicator({ writeQueue: {} })
+    assert.strictEqual(communicator.pacesWrites(), true)
+})
+
+// lets the promise chains started by the fake timers run
+function flush () {
+    return new Promise(resolve => setImmediate(resolve))
+}
+
+/**
+ * A Communicator connected over a loopback link, with `policy` set, the fake
+ * timers enabled and its reconnect events recorded in `events`.
+ */
+
+async function droppable (t, policy) {
+    const communicator = new Communicator('reconnect')
+    const transport = new LoopbackTransport()
+    await communicator.connect(transport.getDevices()[0])
+    communicator.setReconnectPolicy(Object.assign({ enabled: true }, policy))
+    t.mock.timers.enable({ apis: ['setTimeout'] })
+
+    const events = []
+    ;['reconnecting', 'reconnected', 'reconnect-failed', 'reconnect-cancelled'].forEach(event => {
+        communicator.on(event, progress => events.push(progress === undefined ? [event] : [event, progress]))
+    })
+    const attempts = { made: 0, failing: true }
+    const connect = transport.connect
+    transport.connect = function () {
+        attempts.made++
+        return attempts.failing ? Promise.reject(new Error('out of range')) : connect.call(this)
+    }
+    return { communicator, transport, events, attempts }
+}
+
+test('reconnect delays grow by the factor up to maxDelay, then it gives up', async t => {
+    const { communicator, transport, events, attempts } = await droppable(t,
+        { initialDelay: 100, factor: 2, maxDelay: 300, maxAttempts: 4 })
+    transport.unplug()
+    await flush()
+    assert.strictEqual(communicator.isReconnecting(), true)
+
+    t.mock.timers.tick(99)
+    await flush()
+    assert.strictEqual(attempts.made, 0)
+    t.mock.timers.tick(1)
+    await flush()
+    assert.strictEqual(attempts.made, 1)
+    for (const delay of [200, 300, 300]) {
+        t.mock.timers.tick(delay)
+        await flush()
+    }
+    assert.strictEqual(attempts.made, 4)
+    assert.deepStrictEqual(events, [
+        ['reconnecting', { attempt: 1, maxAttempts: 4, delay: 100 }],
+        ['reconnecting', { attempt: 2, maxAttempts: 4, delay: 200 }],
+        ['reconnecting', { attempt: 3, maxAttempts: 4, delay: 300 }],
+        ['reconnecting', { attempt: 4, maxAttempts: 4, delay: 300 }],
+        ['reconnect-failed', { attempts: 4 }]
+    ])
+    assert.strictEqual(communicator.isReconnecting(), false)
+    assert.strictEqual(communicator.isOpen(), false)
+})
+
+test('an attempt that connects ends the reconnect', async t => {
+    const { communicator, transport, events, attempts } = await droppable(t, { initialDelay: 100 })
+    transport.unplug()
+    t.mock.timers.tick(100)
+    await flush()
+    attempts.failing = false
+    t.mock.timers.tick(200)
+    await flush()
+    assert.deepStrictEqual(events.map(event => event[0]), ['reconnecting', 'reconnecting', 'reconnected'])
+    assert.deepStrictEqual(events[2][1], { attempt: 2 })
+    assert.strictEqual(communicator.isReconnecting(), false)
+    assert.strictEqual(communicator.isOpen(), true)
+    t.mock.timers.reset()
+    await communicator.disconnect()
+})
+
+test('cancelReconnect stops the attempts still to come', async t => {
+    const { communicator, transport, events, attempts } = await droppable(t, { initialDelay: 100 })
+    transport.unplug()
+    t.mock.timers.tick(100)
+    await flush()
+    communicator.cancelReconnect()
+    t.mock.timers.tick(60000)
+    await flush()
+    assert.strictEqual(attempts.made, 1)
+    assert.deepStrictEqual(events.map(event => event[0]), ['reconnecting', 'reconnecting', 'reconnect-cancelled'])
+    assert.strictEqual(communicator.isReconnecting(), false)
+
+    // with nothing pending there is nothing to cancel
+    communicator.cancelReconnect()
+    assert.strictEqual(events.length, 3)
+})
+
+test('a disconnect the user asked for does not reconnect', async t => {
+    const { communicator, events, attempts } = await droppable(t, { initialDelay: 100 })
+    await communicator.disconnect()
+    t.mock.timers.tick(60000)
+    await flush()
+    assert.strictEqual(attempts.made, 0)
+    assert.deepStrictEqual(events, [])
+    assert.strictEqual(communicator.isReconnecting(), false)
+})
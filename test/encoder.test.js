@@ -0,0 +1,113 @@
+const test = require('node:test')
+const assert = require('node:assert')
+
+const Board = require('../src/communictor/firmata')
+const LoopbackTransport = require('../src/communictor/loopbackTransport')
+
+const ENCODER_DATA = 0x61
+
+function readyBoard () {
+    const transport = new LoopbackTransport().useFirmware()
+    const board = new Board(transport)
+    return new Promise(resolve => {
+        board.on('ready', () => resolve({ board, transport }))
+        transport.open()
+    })
+}
+
+// the 5 bytes reporting one encoder: number and sign, then the magnitude 7 bits at a time
+function position (encoderNum, value) {
+    const magnitude = Math.abs(value)
+    return [(value < 0 ? 0x40 : 0) | encoderNum,
+        magnitude & 0x7F, (magnitude >> 7) & 0x7F, (magnitude >> 14) & 0x7F, (magnitude >> 21) & 0x7F]
+}
+
+function encoderReply (...positions) {
+    return [0xF0, ENCODER_DATA].concat(...positions, [0xF7])
+}
+
+// replies reach the board on a timer
+function settle () {
+    return new Promise(resolve => setTimeout(resolve, 10))
+}
+
+// the readings the board emits for a reply
+async function readings (board, transport, bytes) {
+    const emitted = []
+    const collect = reading => emitted.push(reading)
+    board.on('encoder', collect)
+    transport.reply(bytes)
+    await settle()
+    board.removeListener('encoder', collect)
+    return emitted
+}
+
+test('positions decode with the sign in bit 6 of the encoder byte', async () => {
+    const { board, transport } = await readyBoard()
+    const replies = [
+        [0xF0, ENCODER_DATA, 0x02, 0x0C, 0x00, 0x00, 0x00, 0xF7],
+        [0xF0, ENCODER_DATA, 0x42, 0x0C, 0x00, 0x00, 0x00, 0xF7],
+        encoderReply(position(3, 0x0ABCDEF)),
+        encoderReply(position(3, -0x0ABCDEF)),
+        encoderReply(position(4, 0))
+    ]
+    const positions = []
+    for (const reply of replies) {
+        (await readings(board, transport, reply)).forEach(reading => positions.push([reading.encoder, reading.position]))
+    }
+    assert.deepStrictEqual(positions, [[2, 12], [2, -12], [3, 0x0ABCDEF], [3, -0x0ABCDEF], [4, 0]])
+})
+
+test('one reply can report several encoders, each on its own event', async () => {
+    const { board, transport } = await readyBoard()
+    const perEncoder = []
+    board.on('encoder-0', reading => perEncoder.push(['encoder-0', reading.position]))
+    board.on('encoder-1', reading => perEncoder.push(['encoder-1', reading.position]))
+    const emitted = await readings(board, transport, encoderReply(position(0, 150), position(1, -7)))
+    assert.deepStrictEqual(emitted.map(reading => [reading.encoder, reading.position]), [[0, 150], [1, -7]])
+    assert.deepStrictEqual(perEncoder, [['encoder-0', 150], ['encoder-1', -7]])
+
+    // readEncoder takes its own encoder out of a reply for all of them
+    transport.respond([0xF0, ENCODER_DATA, 0x01], encoderReply(position(0, 151), position(1, -9)))
+    assert.strictEqual((await board.readEncoder(1)).position, -9)
+})
+
+test('without a scale only the position is known', async () => {
+    const { board, transport } = await readyBoard()
+    await board.encoderAttach(0, 2, 3)
+    await readings(board, transport, encoderReply(position(0, 10)))
+    const [reading] = await readings(board, transport, encoderReply(position(0, 20)))
+    assert.deepStrictEqual(reading, { encoder: 0, position: 20, revolutions: null, distance: null, rpm: null })
+})
+
+test('rpm is taken over the time between two reports', async t => {
+    let now = 1000000
+    t.mock.method(Date, 'now', () => now)
+    const { board, transport } = await readyBoard()
+    await board.encoderAttach(0, 2, 3, { countsPerRevolution: 360, distancePerRevolution: 20 })
+
+    const [first] = await readings(board, transport, encoderReply(position(0, 90)))
+    assert.deepStrictEqual(first, { encoder: 0, position: 90, revolutions: 0.25, distance: 5, rpm: null })
+
+    // two turns in half a second
+    now += 500
+    const [second] = await readings(board, transport, encoderReply(position(0, 810)))
+    assert.strictEqual(second.revolutions, 2.25)
+    assert.strictEqual(second.distance, 45)
+    assert.strictEqual(second.rpm, 240)
+
+    // turning back, one turn in two seconds
+    now += 2000
+    const [third] = await readings(board, transport, encoderReply(position(0, 450)))
+    assert.strictEqual(third.rpm, -30)
+
+    // no time has passed, so no speed
+    const [fourth] = await readings(board, transport, encoderReply(position(0, 460)))
+    assert.strictEqual(fourth.rpm, null)
+
+    // nor across a reset to 0
+    await board.encoderReset(0)
+    now += 1000
+    const [fifth] = await readings(board, transport, encoderReply(position(0, 0)))
+    assert.strictEqual(fifth.rpm, null)
+})
@@ -0,0 +1,67 @@
+require('babel-register')
+const test = require('node:test')
+const assert = require('node:assert')
+
+// the native bridges look for their host on window
+global.window = global
+
+// the iOS shell's side of the bridge: the handlers the page registers and the calls it makes
+const handlers = {}
+const calls = []
+global.WKWebViewJavascriptBridge = {
+    registerHandler: (name, handler) => { handlers[name] = handler },
+    callHandler: (name, data) => calls.push({ name, data })
+}
+
+const FirmataBridge = require('../src/communictor/FirmataBridge').default
+const LoopbackTransport = require('../src/communictor/loopbackTransport')
+
+function called (name) {
+    return calls.filter(call => call.name === name).map(call => call.data)
+}
+
+function waitForCall (name) {
+    return new Promise((resolve, reject) => {
+        const started = Date.now()
+        const poll = setInterval(() => {
+            const found = called(name)
+            if (found.length > 0) {
+                clearInterval(poll)
+                resolve(found)
+            } else if (Date.now() - started > 2000) {
+                clearInterval(poll)
+                reject(new Error(`no ${name} call`))
+            }
+        }, 10)
+    })
+}
+
+test('a drop on a second device reconnects that device and reports its id', async () => {
+    const bridge = new FirmataBridge()
+    const defaultEntry = bridge.devices.get()
+    let defaultLost = 0
+    defaultEntry.communicator.connectionLost = () => { defaultLost++ }
+
+    const transport = new LoopbackTransport().useFirmware()
+    const device = Object.assign({ id: 'second' }, transport.getDevices()[0])
+    const entry = await bridge.devices.connect(device)
+
+    handlers.setReconnectPolicy({ deviceId: 'second', enabled: true, initialDelay: 10 })
+    assert.strictEqual(entry.communicator.reconnectPolicy.enabled, true)
+    assert.strictEqual(entry.communicator.reconnectPolicy.deviceId, undefined)
+    assert.strictEqual(defaultEntry.communicator.reconnectPolicy.enabled, false)
+
+    handlers.deviceDisConnect({ deviceId: 'second' })
+    const reconnected = await waitForCall('reconnected')
+    assert.deepStrictEqual(reconnected, [{ deviceId: 'second', attempt: 1 }])
+    assert.deepStrictEqual(called('reconnecting').map(progress => progress.deviceId), ['second'])
+    assert.strictEqual(defaultLost, 0)
+
+    entry.communicator.emit('wire-error', new Error('bad base64'))
+    assert.deepStrictEqual(called('wireError'), [{ deviceId: 'second', message: 'bad base64' }])
+
+    handlers.deviceDisConnect({ deviceId: 'second', userInitiated: true })
+    await new Promise(resolve => setTimeout(resolve, 20))
+    assert.strictEqual(bridge.devices.get('second'), undefined)
+    assert.strictEqual(defaultLost, 0)
+})
@@ -0,0 +1,120 @@
+const test = require('node:test')
+const assert = require('node:assert')
+
+const FirmataDecoder = require('../src/communictor/firmataDecoder')
+
+/**
+ * Feeds `chunks` to a decoder and collects what it emits, messages as byte arrays.
+ */
+
+function decode (chunks, options) {
+    const decoder = new FirmataDecoder(options)
+    const events = { messages: [], garbage: [], resync: [], log: [] }
+    decoder.on('message', message => {
+        events.messages.push(Array.from(message.bytes))
+        events.log.push('message')
+    })
+    decoder.on('garbage', garbage => {
+        events.garbage.push(garbage)
+        events.log.push(`garbage ${garbage.reason}`)
+    })
+    decoder.on('resync', resync => {
+        events.resync.push(resync.discarded)
+        events.log.push('resync')
+    })
+    chunks.forEach(chunk => decoder.write(chunk))
+    events.decoder = decoder
+    return events
+}
+
+const REPORT_VERSION = [0xF9, 0x02, 0x05]
+const FIRMWARE = [0xF0, 0x79, 0x02, 0x05, 0x41, 0x00, 0x42, 0x00, 0xF7]
+const ANALOG = [0xE3, 0x48, 0x01]
+
+test('decodes midi and sysex messages with their fields', () => {
+    const decoder = new FirmataDecoder()
+    const messages = []
+    decoder.on('message', message => messages.push(message))
+    decoder.write(REPORT_VERSION.concat(FIRMWARE, ANALOG))
+    assert.deepStrictEqual(messages.map(message => [message.type, message.command, message.channel]), [
+        ['midi', 0xF9, undefined],
+        ['sysex', 0x79, undefined],
+        ['midi', 0xE0, 3]
+    ])
+})
+
+test('messages split across chunks anywhere decode the same', () => {
+    const stream = REPORT_VERSION.concat(FIRMWARE, ANALOG)
+    const whole = decode([stream]).messages
+    const bytewise = decode(stream.map(byte => [byte])).messages
+    assert.deepStrictEqual(bytewise, whole)
+    for (let split = 1; split < stream.length; split++) {
+        const halves = decode([stream.slice(0, split), Uint8Array.from(stream.slice(split))])
+        assert.deepStrictEqual(halves.messages, whole, `split at ${split}`)
+        assert.deepStrictEqual(halves.garbage, [])
+    }
+})
+
+test('a sysex longer than maxSysexLength is dropped up to its END_SYSEX', () => {
+    const long = [0xF0, 0x71].concat(new Array(20).fill(0x41), [0xF7])
+    const events = decode([long.slice(0, 7), long.slice(7), ANALOG], { maxSysexLength: 8 })
+    assert.deepStrictEqual(events.messages, [ANALOG])
+    assert.deepStrictEqual(events.garbage.map(garbage => garbage.reason), ['overflow', 'overflow', 'overflow'])
+    const dropped = events.garbage.reduce((sum, garbage) => sum + garbage.bytes, 0)
+    assert.strictEqual(dropped, long.length)
+    assert.deepStrictEqual(events.resync, [long.length])
+})
+
+test('a sysex that fits maxSysexLength exactly is kept', () => {
+    const events = decode([FIRMWARE], { maxSysexLength: FIRMWARE.length })
+    assert.deepStrictEqual(events.messages, [FIRMWARE])
+})
+
+test('a status byte interrupts the message before it', () => {
+    const events = decode([[0x90, 0x01], ANALOG, [0xF0, 0x79, 0x02], REPORT_VERSION])
+    assert.deepStrictEqual(events.messages, [ANALOG, REPORT_VERSION])
+    assert.deepStrictEqual(events.garbage, [
+        { bytes: 2, reason: 'interrupted' },
+        { bytes: 3, reason: 'interrupted' }
+    ])
+})
+
+test('a stray END_SYSEX inside a midi message drops the message', () => {
+    const events = decode([[0x90, 0x01, 0xF7, 0x01], ANALOG])
+    assert.deepStrictEqual(events.messages, [ANALOG])
+    assert.deepStrictEqual(events.garbage, [
+        { bytes: 2, reason: 'interrupted' },
+        { bytes: 1, reason: 'leading' },
+        { bytes: 1, reason: 'leading' }
+    ])
+    assert.deepStrictEqual(events.log.slice(-2), ['resync', 'message'])
+    assert.deepStrictEqual(events.resync, [4])
+})
+
+test('unknown status bytes and leading data bytes are garbage', () => {
+    const events = decode([[0x12, 0x34, 0xA5], REPORT_VERSION])
+    assert.deepStrictEqual(events.messages, [REPORT_VERSION])
+    assert.deepStrictEqual(events.garbage, [
+        { bytes: 2, reason: 'leading' },
+        { bytes: 1, reason: 'unknown' }
+    ])
+})
+
+test('resync reports the bytes dropped since the last message, once', () => {
+    const events = decode([[0x01, 0x02], REPORT_VERSION, ANALOG, [0x03], [0xF7], ANALOG])
+    assert.deepStrictEqual(events.resync, [2, 2])
+    assert.deepStrictEqual(events.log, [
+        'garbage leading', 'resync', 'message', 'message',
+        'garbage leading', 'garbage leading', 'resync', 'message'
+    ])
+    assert.strictEqual(events.decoder.messages, 3)
+    assert.strictEqual(events.decoder.discarded, 4)
+})
+
+test('reset forgets a partial message', () => {
+    const events = decode([[0xF0, 0x79, 0x02]])
+    events.decoder.reset()
+    events.decoder.write([0x05, 0xF7].concat(ANALOG))
+    assert.deepStrictEqual(events.messages, [ANALOG])
+    assert.deepStrictEqual(events.garbage.map(garbage => garbage.reason), ['leading', 'leading'])
+})
@@ -0,0 +1,344 @@
+const test = require('node:test')
+const assert = require('node:assert')
+
+const encode = require('../src/communictor/firmataEncoder')
+
+/**
+ * The bytes each encoder function gives, as [arguments, bytes] pairs, worked
+ * out from the Firmata protocol and the Microduino module docs rather than
+ * from the encoder.
+ */
+
+const GOLDENS = {
+    // 7 bit packing
+    pack14: [
+        [[300], [0x2C, 0x02]],
+        [[0x3FFF], [0x7F, 0x7F]]
+    ],
+    to7BitArray: [
+        [[[0xFF, 0x01, 0x80]], [0x7F, 0x03, 0x00, 0x04]],
+        [[new Array(7).fill(0xFF)], new Array(8).fill(0x7F)],
+        [[[]], []]
+    ],
+    encode32BitSignedInteger: [
+        [[1000], [0x68, 0x07, 0x00, 0x00, 0x00]],
+        [[-1000], [0x68, 0x07, 0x00, 0x00, 0x08]],
+        [[0x7FFFFFFF], [0x7F, 0x7F, 0x7F, 0x7F, 0x07]]
+    ],
+    encodeCustomFloat: [
+        [[0], [0x00, 0x00, 0x00, 0x00]],
+        [[400], [0x04, 0x00, 0x00, 0x34]],
+        [[2.5], [0x19, 0x00, 0x00, 0x28]],
+        [[-2.5], [0x19, 0x00, 0x00, 0x68]],
+        [[0.5], [0x05, 0x00, 0x00, 0x28]]
+    ],
+    sysex: [
+        [[[0x79]], [0xF0, 0x79, 0xF7]]
+    ],
+
+    // Firmata core
+    reportVersion: [
+        [[], [0xF9]]
+    ],
+    queryFirmware: [
+        [[], [0xF0, 0x79, 0xF7]]
+    ],
+    capabilityQuery: [
+        [[], [0xF0, 0x6B, 0xF7]]
+    ],
+    analogMappingQuery: [
+        [[], [0xF0, 0x69, 0xF7]]
+    ],
+    pinStateQuery: [
+        [[13], [0xF0, 0x6D, 0x0D, 0xF7]]
+    ],
+    pinMode: [
+        [[13, 1], [0xF4, 0x0D, 0x01]]
+    ],
+    digitalMessage: [
+        [[1, 0x20], [0x91, 0x20, 0x00]],
+        [[0, 0xFF], [0x90, 0x7F, 0x01]]
+    ],
+    analogMessage: [
+        [[3, 200], [0xE3, 0x48, 0x01]]
+    ],
+    extendedAnalog: [
+        [[20, 200], [0xF0, 0x6F, 0x14, 0x48, 0x01, 0xF7]],
+        [[20, 0x4001], [0xF0, 0x6F, 0x14, 0x01, 0x00, 0x01, 0xF7]]
+    ],
+    reportAnalog: [
+        [[2, 1], [0xC2, 0x01]]
+    ],
+    reportDigital: [
+        [[1, 1], [0xD1, 0x01]]
+    ],
+    samplingInterval: [
+        [[100], [0xF0, 0x7A, 0x64, 0x00, 0xF7]]
+    ],
+    servoConfig: [
+        [[9, 544, 2400], [0xF0, 0x70, 0x09, 0x20, 0x04, 0x60, 0x12, 0xF7]]
+    ],
+    stringData: [
+        [['Hi'], [0xF0, 0x71, 0x48, 0x00, 0x69, 0x00, 0x00, 0x00, 0xF7]]
+    ],
+    systemReset: [
+        [[], [0xFF]]
+    ],
+    pingRead: [
+        [[7, 1, 5, 25000], [
+            0xF0, 0x75, 0x07, 0x01,
+            0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x05, 0x00,
+            0x00, 0x00, 0x00, 0x00, 0x61, 0x00, 0x28, 0x01,
+            0xF7
+        ]]
+    ],
+
+    // I2C
+    i2cConfig: [
+        [[300], [0xF0, 0x78, 0x2C, 0x01, 0xF7]]
+    ],
+    i2cRead: [
+        [[0x68, 0x3B, 1, 2], [0xF0, 0x76, 0x68, 0x08, 0x3B, 0x00, 0x02, 0x00, 0xF7]],
+        [[0x68, 0x3B, 2, 6], [0xF0, 0x76, 0x68, 0x10, 0x3B, 0x00, 0x06, 0x00, 0xF7]]
+    ],
+    i2cWrite: [
+        [[0x68, [0x6B, 0x80]], [0xF0, 0x76, 0x68, 0x00, 0x6B, 0x00, 0x00, 0x01, 0xF7]]
+    ],
+    i2cWriteRegister: [
+        [[0x68, 0x6B, [0x00]], [0xF0, 0x76, 0x68, 0x00, 0x6B, 0x00, 0x00, 0x00, 0xF7]]
+    ],
+    i2cStopReading: [
+        [[0x68], [0xF0, 0x76, 0x68, 0x18, 0xF7]]
+    ],
+
+    // Stepper
+    stepperConfig: [
+        [[0, 1, 200, 2, 3], [0xF0, 0x72, 0x00, 0x00, 0x01, 0x48, 0x01, 0x02, 0x03, 0xF7]],
+        [[1, 4, 2048, 8, 9, 10, 11], [0xF0, 0x72, 0x00, 0x01, 0x04, 0x00, 0x10, 0x08, 0x09, 0x0A, 0x0B, 0xF7]]
+    ],
+    stepperStep: [
+        [[0, 1, 1000, 300, 0, 0], [0xF0, 0x72, 0x01, 0x00, 0x01, 0x68, 0x07, 0x00, 0x2C, 0x02, 0xF7]],
+        [[0, 1, 1000, 300, 100, 100], [
+            0xF0, 0x72, 0x01, 0x00, 0x01, 0x68, 0x07, 0x00, 0x2C, 0x02, 0x64, 0x00, 0x64, 0x00, 0xF7
+        ]]
+    ],
+
+    // AccelStepperFirmata
+    accelStepperConfig: [
+        [[{ deviceNum: 0, type: 1, stepPin: 2, directionPin: 3 }], [0xF0, 0x62, 0x00, 0x00, 0x12, 0x02, 0x03, 0xF7]],
+        [[{ deviceNum: 0, type: 1, stepPin: 2, directionPin: 3, enablePin: 4, invertPins: [3, 4] }], [
+            0xF0, 0x62, 0x00, 0x00, 0x13, 0x02, 0x03, 0x04, 0x12, 0xF7
+        ]],
+        [[{ deviceNum: 1, motorPin1: 8, motorPin2: 9, motorPin3: 10, motorPin4: 11 }], [
+            0xF0, 0x62, 0x00, 0x01, 0x42, 0x08, 0x09, 0x0A, 0x0B, 0xF7
+        ]]
+    ],
+    accelStepperZero: [
+        [[2], [0xF0, 0x62, 0x01, 0x02, 0xF7]]
+    ],
+    accelStepperStep: [
+        [[0, -1000], [0xF0, 0x62, 0x02, 0x00, 0x68, 0x07, 0x00, 0x00, 0x08, 0xF7]]
+    ],
+    accelStepperTo: [
+        [[0, 1000], [0xF0, 0x62, 0x03, 0x00, 0x68, 0x07, 0x00, 0x00, 0x00, 0xF7]]
+    ],
+    accelStepperEnable: [
+        [[0, true], [0xF0, 0x62, 0x04, 0x00, 0x01, 0xF7]],
+        [[0, false], [0xF0, 0x62, 0x04, 0x00, 0x00, 0xF7]]
+    ],
+    accelStepperStop: [
+        [[0], [0xF0, 0x62, 0x05, 0x00, 0xF7]]
+    ],
+    accelStepperReportPosition: [
+        [[0], [0xF0, 0x62, 0x06, 0x00, 0xF7]]
+    ],
+    accelStepperSpeed: [
+        [[0, 400], [0xF0, 0x62, 0x09, 0x00, 0x04, 0x00, 0x00, 0x34, 0xF7]]
+    ],
+    accelStepperAcceleration: [
+        [[0, 2.5], [0xF0, 0x62, 0x08, 0x00, 0x19, 0x00, 0x00, 0x28, 0xF7]]
+    ],
+    multiStepperConfig: [
+        [[0, [0, 1]], [0xF0, 0x62, 0x20, 0x00, 0x00, 0x01, 0xF7]]
+    ],
+    multiStepperTo: [
+        [[0, [100, -100]], [
+            0xF0, 0x62, 0x21, 0x00, 0x64, 0x00, 0x00, 0x00, 0x00, 0x64, 0x00, 0x00, 0x00, 0x08, 0xF7
+        ]]
+    ],
+    multiStepperStop: [
+        [[0], [0xF0, 0x62, 0x23, 0x00, 0xF7]]
+    ],
+
+    // Encoders
+    encoderAttach: [
+        [[0, 2, 3], [0xF0, 0x61, 0x00, 0x00, 0x02, 0x03, 0xF7]]
+    ],
+    encoderDetach: [
+        [[0], [0xF0, 0x61, 0x05, 0x00, 0xF7]]
+    ],
+    encoderReportPosition: [
+        [[1], [0xF0, 0x61, 0x01, 0x01, 0xF7]]
+    ],
+    encoderReportPositions: [
+        [[], [0xF0, 0x61, 0x02, 0xF7]]
+    ],
+    encoderReset: [
+        [[1], [0xF0, 0x61, 0x03, 0x01, 0xF7]]
+    ],
+    encoderReportAuto: [
+        [[true], [0xF0, 0x61, 0x04, 0x01, 0xF7]]
+    ],
+
+    // Serial
+    serialConfig: [
+        [[1, 57600], [0xF0, 0x60, 0x11, 0x00, 0x42, 0x03, 0xF7]],
+        [[8, 9600, 10, 11], [0xF0, 0x60, 0x18, 0x00, 0x4B, 0x00, 0x0A, 0x0B, 0xF7]]
+    ],
+    serialWrite: [
+        [[1, [0x41, 0xFF]], [0xF0, 0x60, 0x21, 0x41, 0x00, 0x7F, 0x01, 0xF7]]
+    ],
+    serialRead: [
+        [[1], [0xF0, 0x60, 0x31, 0x00, 0xF7]]
+    ],
+    serialStop: [
+        [[1], [0xF0, 0x60, 0x31, 0x01, 0xF7]]
+    ],
+    serialClose: [
+        [[1], [0xF0, 0x60, 0x51, 0xF7]]
+    ],
+    serialFlush: [
+        [[1], [0xF0, 0x60, 0x61, 0xF7]]
+    ],
+    serialListen: [
+        [[8], [0xF0, 0x60, 0x78, 0xF7]]
+    ],
+
+    // OneWire
+    oneWireConfig: [
+        [[4, true], [0xF0, 0x73, 0x41, 0x04, 0x01, 0xF7]]
+    ],
+    oneWireSearch: [
+        [[4], [0xF0, 0x73, 0x40, 0x04, 0xF7]]
+    ],
+    oneWireAlarmsSearch: [
+        [[4], [0xF0, 0x73, 0x44, 0x04, 0xF7]]
+    ],
+    oneWireRequest: [
+        [[4, { reset: true, skip: true, data: [0x44] }], [0xF0, 0x73, 0x25, 0x04, 0x44, 0x00, 0xF7]],
+        [[4, { numBytesToRead: 2, correlationId: 1 }], [0xF0, 0x73, 0x08, 0x04, 0x02, 0x00, 0x04, 0x00, 0x00, 0xF7]]
+    ],
+
+    // Scheduler
+    createTask: [
+        [[1, 300], [0xF0, 0x7B, 0x00, 0x01, 0x2C, 0x02, 0xF7]]
+    ],
+    addToTask: [
+        [[1, [0xF4, 0x0D, 0x01]], [0xF0, 0x7B, 0x02, 0x01, 0x74, 0x1B, 0x04, 0x00, 0xF7]]
+    ],
+    delayTask: [
+        [[1000], [0xF0, 0x7B, 0x03, 0x68, 0x07, 0x00, 0x00, 0x00, 0xF7]]
+    ],
+    scheduleTask: [
+        [[1, 1000], [0xF0, 0x7B, 0x04, 0x01, 0x68, 0x07, 0x00, 0x00, 0x00, 0xF7]]
+    ],
+    deleteTask: [
+        [[1], [0xF0, 0x7B, 0x01, 0x01, 0xF7]]
+    ],
+    resetTasks: [
+        [[], [0xF0, 0x7B, 0x07, 0xF7]]
+    ],
+    queryAllTasks: [
+        [[], [0xF0, 0x7B, 0x05, 0xF7]]
+    ],
+    queryTask: [
+        [[1], [0xF0, 0x7B, 0x06, 0x01, 0xF7]]
+    ],
+
+    // Microduino modules
+    sensorPrepare: [
+        [[0x0A, [3, 0x85]], [0xF0, 0x0A, 0x03, 0x05, 0xF7]]
+    ],
+    motorBrake: [
+        [[1], [0xF0, 0x05, 0x01, 0x01, 0xF7]]
+    ],
+    motor: [
+        [[2, 100], [0xF0, 0x05, 0x02, 0x01, 0x64, 0x00, 0xF7]],
+        [[1, -300], [0xF0, 0x05, 0x01, 0x00, 0x7F, 0x01, 0xF7]]
+    ],
+    colorLed: [
+        [[0x81, 255, 0, 128], [0xF0, 0x03, 0x01, 0x7F, 0x01, 0x00, 0x00, 0x00, 0x01, 0xF7]]
+    ],
+    buzzer: [
+        [[6, 440, 500], [0xF0, 0x04, 0x06, 0x38, 0x03, 0x74, 0x03, 0xF7]]
+    ],
+    buzzerOff: [
+        [[6], [0xF0, 0x04, 0x06, 0xF7]]
+    ],
+    oled: [
+        [[0, 1, 2, 'Hi'], [0xF0, 0x01, 0x00, 0x01, 0x02, 0x48, 0x69, 0xF7]],
+        [[1, 0, 0, [5, 6]], [0xF0, 0x01, 0x01, 0x00, 0x00, 0x05, 0x06, 0xF7]],
+        [[3, 4, 5, 42], [0xF0, 0x01, 0x03, 0x04, 0x05, 0x2A, 0xF7]],
+        [[9], [0xF0, 0x01, 0x09, 0xF7]]
+    ],
+    ideaBoxServo: [
+        [[180], [0xF0, 0x09, 0x34, 0x01, 0xF7]]
+    ],
+    nixieTube: [
+        [[1, 2, 0x88], [0xF0, 0x0B, 0x01, 0x02, 0x08, 0xF7]]
+    ],
+
+    // Buggy, MICRODUINO_IBB 0x0C and a sub-command
+    buggyLed: [
+        [[1, 255, 0, 128], [0xF0, 0x0C, 0x00, 0x01, 0x7F, 0x01, 0x00, 0x00, 0x00, 0x01, 0xF7]]
+    ],
+    buggyMotor: [
+        [[2, 1, 200], [0xF0, 0x0C, 0x01, 0x02, 0x01, 0x48, 0x01, 0xF7]]
+    ],
+    buggyMotors: [
+        [[1, 0, 200, 100], [0xF0, 0x0C, 0x01, 0x03, 0x01, 0x00, 0x48, 0x01, 0x64, 0x00, 0xF7]]
+    ],
+    buggyMusic: [
+        [[4, 1, 1, 150, 150], [0xF0, 0x0C, 0x06, 0x04, 0x01, 0x01, 0x16, 0x01, 0x16, 0x01, 0xF7]]
+    ],
+    buggyBuzzerPitch: [
+        [[440], [0xF0, 0x0C, 0x02, 0x00, 0x38, 0x03, 0xF7]]
+    ],
+    buggyBuzzerPlay: [
+        [[262, 500], [0xF0, 0x0C, 0x02, 0x01, 0x06, 0x02, 0x74, 0x03, 0xF7]]
+    ],
+    buggyGray: [
+        [[1, 60], [0xF0, 0x0C, 0x03, 0x01, 0x3C, 0xF7]]
+    ],
+    buggyColor: [
+        [[2], [0xF0, 0x0C, 0x04, 0x02, 0xF7]]
+    ],
+    buggyFindLine: [
+        [[1, 150], [0xF0, 0x0C, 0x05, 0x01, 0x01, 0x16, 0x01, 0xF7]]
+    ],
+    buggyFindStop: [
+        [[], [0xF0, 0x0C, 0x05, 0x00, 0x00, 0x00, 0x00, 0xF7]]
+    ]
+}
+
+test('every encoder function has a golden', () => {
+    assert.deepStrictEqual(Object.keys(GOLDENS).sort(), Object.keys(encode).sort())
+})
+
+Object.keys(GOLDENS).forEach(name => {
+    test(`${name} gives its golden bytes`, () => {
+        GOLDENS[name].forEach(([args, bytes]) => {
+            assert.deepStrictEqual(encode[name](...args), bytes, `${name}(${JSON.stringify(args)})`)
+        })
+    })
+})
+
+test('accelStepperConfig throws when the type is missing pins', () => {
+    assert.throws(() => encode.accelStepperConfig({ deviceNum: 1, type: 1, stepPin: 2 }), /stepper 1 is missing pins/)
+    assert.throws(() => encode.accelStepperConfig({ deviceNum: 2, type: 2, motorPin1: 8 }), /stepper 2 is missing pins/)
+})
+
+test('serialConfig throws for a software serial port without its pins', () => {
+    assert.throws(() => encode.serialConfig(8, 9600), /Both RX and TX pins must be defined/)
+    assert.throws(() => encode.serialConfig(8, 9600, 10), /Both RX and TX pins must be defined/)
+})
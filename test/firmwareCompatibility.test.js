@@ -0,0 +1,104 @@
+const test = require('node:test')
+const assert = require('node:assert')
+
+const Board = require('../src/communictor/firmata')
+const LoopbackTransport = require('../src/communictor/loopbackTransport')
+const { checkFirmware, SUPPORTED, DEPRECATED, UNSUPPORTED } = require('../src/communictor/firmwareCompatibility')
+
+const VERSION = { major: 2, minor: 5 }
+
+function check (name, version, policy) {
+    return checkFirmware({ name: name, version: version || VERSION }, policy)
+}
+
+// StandardFirmata carries no version in its name, so the QUERY_FIRMWARE one counts
+const STANDARD_POLICY = [
+    { name: /^StandardFirmata/, below: '2.3', status: UNSUPPORTED },
+    { name: /^StandardFirmata/, min: '2.3', below: '2.5', status: DEPRECATED },
+    { name: /^StandardFirmata/, min: '2.5', status: SUPPORTED }
+]
+
+test('an AppBuggy older than the policy is unsupported', () => {
+    assert.deepStrictEqual(check('AppBuggy_V1.2'), {
+        status: UNSUPPORTED,
+        name: 'AppBuggy_V1.2',
+        found: '1.2',
+        required: '>=1.3 <2.0'
+    })
+})
+
+test('the lowest supported version is supported', () => {
+    assert.strictEqual(check('AppBuggy_V1.3').status, SUPPORTED)
+    assert.strictEqual(check('AppBuggy_V1.3').found, '1.3')
+})
+
+test('newer versions compare by number, up to the upper bound', () => {
+    assert.strictEqual(check('AppBuggy_V1.10').status, SUPPORTED)
+    assert.strictEqual(check('AppBuggy_V1.10').found, '1.10')
+    assert.deepStrictEqual(check('AppBuggy_V2.0'), {
+        status: UNSUPPORTED,
+        name: 'AppBuggy_V2.0',
+        found: '2.0',
+        required: '>=1.3 <2.0'
+    })
+})
+
+test('a malformed or unknown name is unsupported with no version found', () => {
+    ;['AppBuggy_V1', 'AppBuggy_V1.x', 'appbuggy_v1.3', 'Other_V1.3', '', undefined].forEach(name => {
+        const compatibility = check(name)
+        assert.strictEqual(compatibility.status, UNSUPPORTED, String(name))
+        assert.strictEqual(compatibility.found, null, String(name))
+        assert.strictEqual(compatibility.required, '>=1.3 <2.0', String(name))
+    })
+})
+
+test('a name without a version uses the reported firmware version', () => {
+    assert.strictEqual(check('StandardFirmata.ino', { major: 2, minor: 2 }, STANDARD_POLICY).status, UNSUPPORTED)
+    assert.deepStrictEqual(check('StandardFirmata.ino', { major: 2, minor: 3 }, STANDARD_POLICY), {
+        status: DEPRECATED,
+        name: 'StandardFirmata.ino',
+        found: '2.3',
+        required: '>=2.5'
+    })
+    assert.strictEqual(check('StandardFirmata.ino', { major: 2, minor: 5 }, STANDARD_POLICY).status, SUPPORTED)
+})
+
+/**
+ * Runs the handshake against `firmware` and resolves with the board's
+ * compatibility events and whether it got ready, in order.
+ */
+
+function handshake (firmware, options) {
+    const transport = new LoopbackTransport().useFirmware(firmware)
+    const board = new Board(transport, options)
+    const events = []
+    return new Promise(resolve => {
+        board.on('firmwareDeprecated', compatibility => events.push(['firmwareDeprecated', compatibility.found]))
+        board.on('versionExpired', compatibility => {
+            events.push(['versionExpired', compatibility.found])
+            setTimeout(resolve, 50)
+        })
+        board.on('ready', () => {
+            events.push(['ready'])
+            resolve()
+        })
+        transport.open()
+    }).then(() => {
+        transport.unplug()
+        return events
+    })
+}
+
+test('Board refuses an old firmware with versionExpired and never gets ready', async () => {
+    assert.deepStrictEqual(await handshake({ name: 'AppBuggy_V1.2' }), [['versionExpired', '1.2']])
+})
+
+test('Board gets ready on a supported firmware without a compatibility event', async () => {
+    assert.deepStrictEqual(await handshake({ name: 'AppBuggy_V1.3' }), [['ready']])
+})
+
+test('Board warns with firmwareDeprecated, then gets ready', async () => {
+    const events = await handshake({ name: 'StandardFirmata.ino', version: { major: 2, minor: 3 } },
+        { firmwarePolicy: STANDARD_POLICY })
+    assert.deepStrictEqual(events, [['firmwareDeprecated', '2.3'], ['ready']])
+})
@@ -0,0 +1,89 @@
+/**
+ * TCP stand-in for a WiFi Firmata board, for tests. Each client that connects is served by a
+ * LoopbackTransport scripted with useFirmware(), so Board completes its handshake
+ * against it and the written messages can be inspected afterwards.
+ *
+ *   const standIn = new FirmataStandIn()
+ *   standIn.listen().then(port => new TcpTransport('127.0.0.1', port).open())
+ */
+
+const net = require('net')
+const LoopbackTransport = require('../../src/communictor/loopbackTransport')
+
+/**
+ * @param {Object} [options] firmware: passed to LoopbackTransport.useFirmware,
+ *                           setup: function (loopback) scripting extra replies per client.
+ */
+
+function FirmataStandIn (options) {
+    this.options = options || {}
+    this.server = null
+    this.sockets = new Set()
+    // one LoopbackTransport per client, in connection order
+    this.clients = []
+}
+
+/**
+ * @param {Number} [port] Defaults to a free port.
+ * @return {Promise} resolves to the port listened on
+ */
+
+FirmataStandIn.prototype.listen = function (port) {
+    this.server = net.createServer(socket => this.handleClient(socket))
+    return new Promise((resolve, reject) => {
+        this.server.once('error', reject)
+        this.server.listen(port || 0, '127.0.0.1', () => {
+            this.server.removeListener('error', reject)
+            resolve(this.server.address().port)
+        })
+    })
+}
+
+FirmataStandIn.prototype.handleClient = function (socket) {
+    const loopback = new LoopbackTransport().useFirmware(this.options.firmware)
+    if (this.options.setup) {
+        this.options.setup(loopback)
+    }
+    this.sockets.add(socket)
+    this.clients.push(loopback)
+    loopback.on('data', data => {
+        if (!socket.destroyed) {
+            socket.write(data)
+        }
+    })
+    socket.on('data', data => loopback.write(data))
+    socket.on('error', () => {})
+    socket.on('close', () => {
+        this.sockets.delete(socket)
+        loopback.close()
+    })
+    loopback.open()
+}
+
+/**
+ * The client served last, to inspect what Board wrote.
+ */
+
+FirmataStandIn.prototype.lastClient = function () {
+    return this.clients[this.clients.length - 1] || null
+}
+
+/**
+ * Cuts every client off, as a board losing WiFi would.
+ */
+
+FirmataStandIn.prototype.dropClients = function () {
+    this.sockets.forEach(socket => socket.destroy())
+}
+
+FirmataStandIn.prototype.close = function () {
+    this.dropClients()
+    if (!this.server) {
+        return Promise.resolve()
+    }
+    const server = this.server
+    this.server = null
+    return new Promise(resolve => server.close(() => resolve()))
+}
+
+module.exports = FirmataStandIn
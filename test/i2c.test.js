@@ -0,0 +1,104 @@
+const test = require('node:test')
+const assert = require('node:assert')
+
+const Board = require('../src/communictor/firmata')
+const LoopbackTransport = require('../src/communictor/loopbackTransport')
+
+const I2C_REQUEST = 0x76
+const I2C_REPLY = 0x77
+
+function readyBoard () {
+    const transport = new LoopbackTransport().useFirmware()
+    const board = new Board(transport)
+    return new Promise(resolve => {
+        board.on('ready', () => resolve({ board, transport }))
+        transport.open()
+    })
+}
+
+function i2cReply (address, register, bytes) {
+    const data = [].concat(...bytes.map(byte => [byte & 0x7F, byte >> 7]))
+    return [0xF0, I2C_REPLY, address, 0, register, 0].concat(data, [0xF7])
+}
+
+// the I2C_REQUEST reads written so far, as { address, mode, register, bytesToRead }
+function reads (transport) {
+    return transport.messages
+        .filter(message => message[1] === I2C_REQUEST)
+        .map(message => ({
+            address: message[2],
+            mode: (message[3] >> 3) & 0x03,
+            register: message[4],
+            bytesToRead: message[6]
+        }))
+}
+
+test('a one-shot read writes a request and resolves with the reply', async () => {
+    const { board, transport } = await readyBoard()
+    transport.respondToSysex(I2C_REQUEST, message => i2cReply(message[2], message[4], [0x12, 0x34]))
+    assert.deepStrictEqual(await board.i2cRequestRead(0x68, 0x3B, board.I2C_MODES.READ, 2), [0x12, 0x34])
+    assert.deepStrictEqual(reads(transport), [{ address: 0x68, mode: 1, register: 0x3B, bytesToRead: 2 }])
+    transport.unplug()
+})
+
+test('concurrent reads of one length share a request, other lengths get their own', async () => {
+    const { board, transport } = await readyBoard()
+    transport.respondToSysex(I2C_REQUEST, message => i2cReply(message[2], message[4], new Array(message[6]).fill(1)))
+    const mode = board.I2C_MODES.READ
+    await Promise.all([
+        board.i2cRequestRead(0x68, 0x3B, mode, 2),
+        board.i2cRequestRead(0x68, 0x3B, mode, 2),
+        board.i2cRequestRead(0x68, 0x3B, mode, 6)
+    ])
+    assert.deepStrictEqual(reads(transport).map(read => read.bytesToRead), [2, 6])
+    transport.unplug()
+})
+
+test('a continuous read of a register already read continuously writes nothing', async () => {
+    const { board, transport } = await readyBoard()
+    const subscription = board.i2cSubscribe(0x68, 0x3B, 2)
+    await new Promise(resolve => setTimeout(resolve, 20))
+    assert.strictEqual(reads(transport).length, 1)
+
+    const read = board.i2cRequestRead(0x68, 0x3B, board.I2C_MODES.CONTINUOUS_READ, 2)
+    await new Promise(resolve => setTimeout(resolve, 20))
+    assert.strictEqual(reads(transport).length, 1)
+    transport.reply(i2cReply(0x68, 0x3B, [0x01, 0x02]))
+    assert.deepStrictEqual(await read, [0x01, 0x02])
+
+    await subscription.unsubscribe()
+    transport.unplug()
+})
+
+test('a continuous read of another length gets its own request and reply', async () => {
+    const { board, transport } = await readyBoard()
+    const subscription = board.i2cSubscribe(0x68, 0x3B, 2)
+    await new Promise(resolve => setTimeout(resolve, 20))
+
+    const read = board.i2cRequestRead(0x68, 0x3B, board.I2C_MODES.CONTINUOUS_READ, 6)
+    await new Promise(resolve => setTimeout(resolve, 20))
+    assert.deepStrictEqual(reads(transport).map(read => read.bytesToRead), [2, 6])
+    // the subscription's reply does not answer a read of another length
+    transport.reply(i2cReply(0x68, 0x3B, [0x01, 0x02]))
+    transport.reply(i2cReply(0x68, 0x3B, [1, 2, 3, 4, 5, 6]))
+    assert.deepStrictEqual(await read, [1, 2, 3, 4, 5, 6])
+
+    await subscription.unsubscribe()
+    transport.unplug()
+})
+
+test('a continuous read whose write failed asks again next time', async () => {
+    const { board, transport } = await readyBoard()
+    const write = transport.write.bind(transport)
+    let failures = 1
+    transport.write = data => (data[1] === I2C_REQUEST && failures-- > 0
+        ? Promise.reject(new Error('write lost'))
+        : write(data))
+    const mode = board.I2C_MODES.CONTINUOUS_READ
+    await assert.rejects(board.i2cRequestRead(0x68, 0x3B, mode, 2), /write lost/)
+
+    transport.respondToSysex(I2C_REQUEST, message => i2cReply(message[2], message[4], [0x12, 0x34]))
+    assert.deepStrictEqual(await board.i2cRequestRead(0x68, 0x3B, mode, 2), [0x12, 0x34])
+    assert.strictEqual(reads(transport).length, 1)
+    transport.unplug()
+})
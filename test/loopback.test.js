@@ -0,0 +1,176 @@
+const test = require('node:test')
+const assert = require('node:assert')
+
+const Board = require('../src/communictor/firmata')
+const LoopbackTransport = require('../src/communictor/loopbackTransport')
+
+/**
+ * A Board on a scripted loopback, resolved once its handshake is done.
+ */
+
+function readyBoard (firmware) {
+    const transport = new LoopbackTransport().useFirmware(firmware)
+    const board = new Board(transport)
+    return new Promise((resolve, reject) => {
+        board.on('ready', () => resolve({ board, transport }))
+        board.on('versionExpired', compatibility => reject(new Error(`unsupported ${compatibility.name}`)))
+        transport.open()
+    })
+}
+
+// lets the writes queued behind the board's lock reach the transport
+function settle () {
+    return new Promise(resolve => setTimeout(resolve, 20))
+}
+
+test('handshake queries version, firmware, capabilities and analog mapping in order', async () => {
+    const { board, transport } = await readyBoard()
+    assert.deepStrictEqual(transport.messages.slice(0, 4), [
+        [0xF9],
+        [0xF0, 0x79, 0xF7],
+        [0xF0, 0x6B, 0xF7],
+        [0xF0, 0x69, 0xF7]
+    ])
+    assert.strictEqual(board.isReady, true)
+    assert.strictEqual(board.firmware.name, 'AppBuggy_V1.3')
+    assert.strictEqual(board.pins.length, LoopbackTransport.appBuggyPins().length)
+    transport.unplug()
+})
+
+test('handshake stops at an unsupported firmware', async () => {
+    const transport = new LoopbackTransport().useFirmware({ name: 'AppBuggy_V1.2' })
+    const board = new Board(transport)
+    const compatibility = await new Promise(resolve => {
+        board.on('versionExpired', resolve)
+        transport.open()
+    })
+    assert.strictEqual(compatibility.status, 'unsupported')
+    assert.strictEqual(compatibility.found, '1.2')
+    await settle()
+    assert.strictEqual(board.isReady, false)
+    assert.ok(!transport.messages.some(message => message[1] === 0x6B), 'no capability query')
+    transport.unplug()
+})
+
+test('handshake is repeated on a new link', async () => {
+    const { board, transport } = await readyBoard()
+    transport.unplug()
+    assert.strictEqual(board.isReady, false)
+    transport.clear()
+    await new Promise(resolve => {
+        board.once('ready', resolve)
+        transport.open()
+    })
+    assert.deepStrictEqual(transport.messages[0], [0xF9])
+    transport.unplug()
+})
+
+test('pinMode and digitalWrite', async () => {
+    const { board, transport } = await readyBoard()
+    transport.clear()
+    board.pinMode(13, board.MODES.OUTPUT)
+    await settle()
+    assert.deepStrictEqual(transport.messages, [[0xF4, 13, 0x01]])
+
+    transport.clear()
+    board.digitalWrite(13, 1)
+    await settle()
+    assert.deepStrictEqual(transport.lastMessage(), [0x91, 0x20, 0x00])
+    transport.unplug()
+})
+
+test('analogWrite sends the pin mode and a 14-bit value', async () => {
+    const { board, transport } = await readyBoard()
+    transport.clear()
+    board.analogWrite(3, 200)
+    await settle()
+    assert.deepStrictEqual(transport.messages, [[0xF4, 3, 0x03], [0xE3, 0x48, 0x01]])
+    transport.unplug()
+})
+
+test('servoWrite configures the servo range first', async () => {
+    const { board, transport } = await readyBoard()
+    transport.clear()
+    board.servoWrite(9, 90)
+    await settle()
+    assert.deepStrictEqual(transport.messages, [
+        [0xF0, 0x70, 9, 0x20, 0x04, 0x60, 0x12, 0xF7],
+        [0xF4, 9, 0x04],
+        [0xE9, 0x5A, 0x00]
+    ])
+    transport.unplug()
+})
+
+test('replies reach the board', async () => {
+    const { board, transport } = await readyBoard()
+    const value = board.digitalRead(2)
+    await settle()
+    transport.reply([0x90, 0x04, 0x00])
+    assert.strictEqual(await value, 1)
+    transport.unplug()
+})
+
+test('writes fail once the link is gone', async () => {
+    const { transport } = await readyBoard()
+    transport.unplug()
+    await assert.rejects(transport.write([0xF9]))
+})
+
+test('writes queue behind a paced link without being dropped', async () => {
+    const { board, transport } = await readyBoard()
+    // acknowledged after 100ms, like a paced BLE link: 25 writes outlast the 2s lock timeout
+    const write = transport.write.bind(transport)
+    transport.write = data => new Promise(resolve => setTimeout(resolve, 100)).then(() => write(data))
+    transport.pacesWrites = () => true
+    transport.clear()
+    const writes = []
+    for (let i = 0; i < 25; i++) {
+        writes.push(board.sendString(`line ${i}`))
+    }
+    await Promise.all(writes)
+    assert.strictEqual(transport.messages.length, 25)
+    transport.unplug()
+})
+
+test('writes behind a stuck link that does not pace them are bounded and time out', async () => {
+    const { board, transport } = await readyBoard()
+    await settle()
+    transport.write = () => new Promise(() => {})
+    const first = board.sendString('stuck')
+    const queued = []
+    for (let i = 0; i < 10; i++) {
+        queued.push(board.sendString(`line ${i}`))
+    }
+    await assert.rejects(board.sendString('one too many'), /Too many pending tasks/)
+    const results = await Promise.allSettled(queued)
+    assert.deepStrictEqual(results.map(result => result.status), new Array(10).fill('rejected'))
+    assert.match(results[0].reason.message, /timed out/)
+    first.catch(() => {})
+    transport.unplug()
+})
+
+test('a handshake that times out is reported to the transport first', async () => {
+    const transport = new LoopbackTransport()
+    const events = []
+    transport.handshakeFailed = reason => events.push(`handshakeFailed ${reason}`)
+    const board = new Board(transport, { reportVersionTimeout: 50 })
+    const timedOut = new Promise(resolve => board.on('timeout', () => {
+        events.push('timeout')
+        resolve()
+    }))
+    transport.open()
+    await timedOut
+    assert.deepStrictEqual(events, ['handshakeFailed timeout', 'timeout'])
+    transport.unplug()
+})
+
+test('snapshot keeps its default timeout when given none', async () => {
+    const { board, transport } = await readyBoard()
+    // PIN_STATE_QUERY -> PIN_STATE_RESPONSE: the pin is an input, low
+    transport.respondToSysex(0x6D, message => [0xF0, 0x6E, message[2], 0x00, 0x00, 0xF7])
+    for (const timeout of [null, undefined, 0, -1, '100']) {
+        const pins = await board.snapshot({ timeout })
+        assert.strictEqual(pins.length, board.pins.length)
+    }
+    transport.unplug()
+})
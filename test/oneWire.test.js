@@ -0,0 +1,101 @@
+const test = require('node:test')
+const assert = require('node:assert')
+
+const Board = require('../src/communictor/firmata')
+const LoopbackTransport = require('../src/communictor/loopbackTransport')
+
+const ONEWIRE_DATA = 0x73
+const ONEWIRE_SEARCH_REQUEST = 0x40
+const ONEWIRE_SEARCH_ALARMS_REQUEST = 0x44
+const ONEWIRE_READ_REQUEST_BIT = 0x08
+const PIN = 4
+
+// ROM codes on the bus: a DS18S20 (family 0x10) and a DS18B20 (family 0x28)
+const DS18S20_ROM = [0x10, 0x22, 0x33, 0x44, 0x55, 0x66, 0x00, 0xB9]
+const DS18B20_ROM = [0x28, 0xFF, 0x64, 0x1E, 0x0F, 0x00, 0x00, 0x34]
+
+// the replies as the firmware sends them, bytes packed 7 bits at a time
+const SEARCH_REPLY = [0xF0, ONEWIRE_DATA, 0x42, PIN,
+    0x10, 0x44, 0x4C, 0x21, 0x54, 0x4A, 0x19, 0x00, 0x39, 0x51,
+    0x7C, 0x27, 0x66, 0x63, 0x03, 0x00, 0x00, 0x68, 0x00, 0xF7]
+// the DS18B20 ROM code again, with its CRC byte 0x34 read as 0x35
+const CORRUPT_SEARCH_REPLY = [0xF0, ONEWIRE_DATA, 0x42, PIN,
+    0x28, 0x7E, 0x13, 0x73, 0x71, 0x01, 0x00, 0x00, 0x35, 0x00, 0xF7]
+const ALARMS_REPLY = [0xF0, ONEWIRE_DATA, 0x45, PIN, 0xF7]
+
+// scratchpads for correlation ids 1 and 2: +25.0625 and -10.125 degrees
+const READ_REPLY_25 = [0xF0, ONEWIRE_DATA, 0x43, PIN,
+    0x01, 0x00, 0x44, 0x0C, 0x30, 0x49, 0x51, 0x3F, 0x7F, 0x1F, 0x40, 0x28, 0x02, 0xF7]
+const READ_REPLY_MINUS_10 = [0xF0, ONEWIRE_DATA, 0x43, PIN,
+    0x02, 0x00, 0x78, 0x7A, 0x3F, 0x49, 0x51, 0x3F, 0x7F, 0x05, 0x40, 0x30, 0x0B, 0xF7]
+// the power-on scratchpad 50 05 4B 46 7F FF 0C 10 1C (85 degrees), as captured
+const POWER_ON_READ_REPLY = [0xF0, ONEWIRE_DATA, 0x43, PIN,
+    0x01, 0x00, 0x40, 0x2A, 0x30, 0x49, 0x51, 0x3F, 0x7F, 0x19, 0x40, 0x60, 0x01, 0xF7]
+// the same with its CRC byte read as 0x1D
+const CORRUPT_READ_REPLY = [0xF0, ONEWIRE_DATA, 0x43, PIN,
+    0x01, 0x00, 0x40, 0x2A, 0x30, 0x49, 0x51, 0x3F, 0x7F, 0x19, 0x40, 0x68, 0x01, 0xF7]
+
+function readyBoard () {
+    const transport = new LoopbackTransport().useFirmware()
+    const board = new Board(transport)
+    return new Promise(resolve => {
+        board.on('ready', () => resolve({ board, transport }))
+        transport.open()
+    })
+}
+
+// answers the OneWire reads in turn with `replies`
+function respondToReads (transport, replies) {
+    replies.forEach(reply => {
+        transport.respond(message => message[1] === ONEWIRE_DATA && (message[2] & ONEWIRE_READ_REQUEST_BIT) !== 0,
+            reply, { once: true })
+    })
+}
+
+function searches (transport) {
+    return transport.messages.filter(message => message[1] === ONEWIRE_DATA && message[2] === ONEWIRE_SEARCH_REQUEST)
+}
+
+test('a search reply unpacks into 8 byte ROM codes', async () => {
+    const { board, transport } = await readyBoard()
+    transport.respond([0xF0, ONEWIRE_DATA, ONEWIRE_SEARCH_REQUEST], SEARCH_REPLY)
+    transport.respond([0xF0, ONEWIRE_DATA, ONEWIRE_SEARCH_ALARMS_REQUEST], ALARMS_REPLY)
+    assert.deepStrictEqual(await board.sendOneWireSearch(PIN), [DS18S20_ROM, DS18B20_ROM])
+    assert.deepStrictEqual(await board.sendOneWireAlarmsSearch(PIN), [])
+})
+
+test('a read reply resolves the request with its correlation id, without the id', async () => {
+    const { board, transport } = await readyBoard()
+    respondToReads(transport, [POWER_ON_READ_REPLY])
+    const scratchpad = await board.sendOneWireWriteAndRead(PIN, DS18B20_ROM, [0xBE], 9)
+    assert.deepStrictEqual(scratchpad, [0x50, 0x05, 0x4B, 0x46, 0x7F, 0xFF, 0x0C, 0x10, 0x1C])
+})
+
+test('readDS18B20 finds the probe and converts signed sixteenths of a degree', async () => {
+    const { board, transport } = await readyBoard()
+    transport.respond([0xF0, ONEWIRE_DATA, ONEWIRE_SEARCH_REQUEST], SEARCH_REPLY)
+    respondToReads(transport, [READ_REPLY_25, READ_REPLY_MINUS_10])
+    assert.strictEqual(await board.readDS18B20(PIN), 25.0625)
+    assert.strictEqual(await board.readDS18B20(PIN), -10.125)
+    // the probe found by the first read is kept for the pin
+    assert.strictEqual(searches(transport).length, 1)
+    assert.deepStrictEqual(board.ds18b20Devices.get(PIN), DS18B20_ROM)
+})
+
+test('readDS18B20 checks the scratchpad CRC', async () => {
+    const { board, transport } = await readyBoard()
+    respondToReads(transport, [POWER_ON_READ_REPLY])
+    assert.strictEqual(await board.readDS18B20(PIN, DS18B20_ROM), 85)
+
+    const next = await readyBoard()
+    respondToReads(next.transport, [CORRUPT_READ_REPLY])
+    await assert.rejects(next.board.readDS18B20(PIN, DS18B20_ROM), { message: `DS18B20 on pin ${PIN}: scratchpad CRC mismatch` })
+})
+
+test('readDS18B20 skips a ROM code whose CRC does not match', async () => {
+    const { board, transport } = await readyBoard()
+    transport.respond([0xF0, ONEWIRE_DATA, ONEWIRE_SEARCH_REQUEST], CORRUPT_SEARCH_REPLY)
+    assert.deepStrictEqual(await board.sendOneWireSearch(PIN), [DS18B20_ROM.slice(0, 7).concat(0x35)])
+    await assert.rejects(board.readDS18B20(PIN), { message: `No DS18B20 found on pin ${PIN}` })
+    assert.strictEqual(board.ds18b20Devices.has(PIN), false)
+})
@@ -0,0 +1,99 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const net = require('net')
+const WebSocket = require('ws')
+
+const Relay = require('../src/node/relay')
+
+function freePort () {
+    const server = net.createServer()
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+        const port = server.address().port
+        server.close(() => resolve(port))
+    }))
+}
+
+// a TCP server standing in for a network board, counting who connects
+function tcpDevice () {
+    const device = { connections: 0 }
+    device.server = net.createServer(socket => {
+        device.connections++
+        socket.on('error', () => {})
+    })
+    return new Promise(resolve => device.server.listen(0, '127.0.0.1', () => {
+        device.port = device.server.address().port
+        resolve(device)
+    }))
+}
+
+async function startRelay (options) {
+    const relay = new Relay(Object.assign({ port: await freePort() }, options)).listen()
+    await new Promise(resolve => relay.server.once('listening', resolve))
+    return relay
+}
+
+function connect (relay) {
+    const socket = new WebSocket(`ws://127.0.0.1:${relay.port}`)
+    return new Promise((resolve, reject) => {
+        socket.once('open', () => resolve(socket))
+        socket.once('error', reject)
+    })
+}
+
+// the next control message the relay sends
+function reply (socket) {
+    return new Promise(resolve => socket.once('message', message => resolve(JSON.parse(message.toString()))))
+}
+
+async function open (socket, device) {
+    const replied = reply(socket)
+    socket.send(JSON.stringify({ type: 'open', device }))
+    return replied
+}
+
+test('listens on 127.0.0.1 unless given a host', async () => {
+    const relay = await startRelay()
+    assert.strictEqual(relay.server.address().address, '127.0.0.1')
+    relay.close()
+})
+
+test('refuses a TCP device it does not offer', async () => {
+    const device = await tcpDevice()
+    const relay = await startRelay()
+    const socket = await connect(relay)
+    assert.deepStrictEqual(await open(socket, { host: '127.0.0.1', port: device.port }), {
+        type: 'error',
+        message: `127.0.0.1:${device.port} is not offered by this relay`
+    })
+    assert.strictEqual(device.connections, 0)
+    assert.strictEqual(relay.inUse.size, 0)
+    socket.close()
+    relay.close()
+    await new Promise(resolve => device.server.close(resolve))
+})
+
+test('refuses a serial path it does not list', async () => {
+    const relay = await startRelay()
+    const socket = await connect(relay)
+    assert.deepStrictEqual(await open(socket, { path: '/dev/ttyS0' }), {
+        type: 'error',
+        message: '/dev/ttyS0 is not offered by this relay'
+    })
+    socket.close()
+    relay.close()
+})
+
+test('opens a configured TCP device', async () => {
+    const device = await tcpDevice()
+    const relay = await startRelay({ tcp: [{ host: '127.0.0.1', port: device.port }] })
+    const socket = await connect(relay)
+    assert.deepStrictEqual(await open(socket, { host: '127.0.0.1', port: device.port }), { type: 'opened' })
+    assert.strictEqual(device.connections, 1)
+
+    const closed = reply(socket)
+    socket.send(JSON.stringify({ type: 'close' }))
+    assert.deepStrictEqual(await closed, { type: 'closed' })
+    socket.close()
+    relay.close()
+    await new Promise(resolve => device.server.close(resolve))
+})
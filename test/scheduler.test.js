@@ -0,0 +1,51 @@
+const test = require('node:test')
+const assert = require('node:assert')
+
+const Board = require('../src/communictor/firmata')
+const LoopbackTransport = require('../src/communictor/loopbackTransport')
+const encode = require('../src/communictor/firmataEncoder')
+
+const SCHEDULER_DATA = 0x7B
+const QUERY_ALL_FIRMATA_TASKS = 0x05
+const QUERY_ALL_TASKS_REPLY = 0x09
+
+function readyBoard () {
+    const transport = new LoopbackTransport().useFirmware()
+    const board = new Board(transport)
+    return new Promise(resolve => {
+        board.on('ready', () => resolve({ board, transport }))
+        transport.open()
+    })
+}
+
+function settle () {
+    return new Promise(resolve => setTimeout(resolve, 20))
+}
+
+test('recordTask keeps the recorder\'s commands off the link', async () => {
+    const { board, transport } = await readyBoard()
+    await settle()
+    const written = transport.messages.length
+    const bytes = await board.recordTask(b => b.digitalWrite(13, 1).then(() => b.taskDelay(500)))
+    assert.deepStrictEqual(bytes, encode.pinMode(13, 1).concat(encode.digitalMessage(1, 0x20), encode.delayTask(500)))
+    await settle()
+    assert.strictEqual(transport.messages.length, written)
+    transport.unplug()
+})
+
+test('the board writes and gets replies while a task is being recorded', async () => {
+    const { board, transport } = await readyBoard()
+    transport.respond([0xF0, SCHEDULER_DATA, QUERY_ALL_FIRMATA_TASKS], [0xF0, SCHEDULER_DATA, QUERY_ALL_TASKS_REPLY, 1, 2, 0xF7])
+    let tasks = null
+    const bytes = await board.recordTask(async recorder => {
+        await recorder.taskDelay(100)
+        tasks = await board.queryAllTasks()
+        await board.analogWrite(5, 100)
+        await recorder.taskDelay(200)
+    })
+    assert.deepStrictEqual(tasks, [1, 2])
+    assert.deepStrictEqual(bytes, encode.delayTask(100).concat(encode.delayTask(200)))
+    await settle()
+    assert.deepStrictEqual(transport.lastMessage(), encode.analogMessage(5, 100))
+    transport.unplug()
+})
@@ -0,0 +1,125 @@
+const test = require('node:test')
+const assert = require('node:assert')
+
+const Board = require('../src/communictor/firmata')
+const LoopbackTransport = require('../src/communictor/loopbackTransport')
+
+const SERIAL_MESSAGE = 0x60
+const SERIAL_REPLY = 0x40
+const SW_SERIAL0 = 0x08
+const HW_SERIAL1 = 0x01
+
+function readyBoard () {
+    const transport = new LoopbackTransport().useFirmware()
+    const board = new Board(transport)
+    return new Promise(resolve => {
+        board.on('ready', () => resolve({ board, transport }))
+        transport.open()
+    })
+}
+
+// a SERIAL_REPLY as the firmware sends it, each byte as two 7-bit bytes
+function serialReply (portId, bytes) {
+    const data = [].concat(...bytes.map(byte => [byte & 0x7F, byte >> 7]))
+    return [0xF0, SERIAL_MESSAGE, SERIAL_REPLY | portId].concat(data, [0xF7])
+}
+
+// replies reach the board on a timer
+function settle () {
+    return new Promise(resolve => setTimeout(resolve, 10))
+}
+
+function ascii (text) {
+    return text.split('').map(char => char.charCodeAt(0))
+}
+
+function text (bytes) {
+    return String.fromCharCode(...bytes)
+}
+
+test('a SERIAL_REPLY is decoded and emitted for its port only', async () => {
+    const { board, transport } = await readyBoard()
+    const received = []
+    board.on(`serial-data-${SW_SERIAL0}`, bytes => received.push(['sw0', bytes]))
+    board.on(`serial-data-${HW_SERIAL1}`, bytes => received.push(['hw1', bytes]))
+
+    transport.reply([0xF0, SERIAL_MESSAGE, 0x48, 0x24, 0x00, 0x35, 0x01, 0x7F, 0x01, 0xF7])
+    transport.reply(serialReply(HW_SERIAL1, [0x00, 0xFF]))
+    // a SERIAL_MESSAGE other than a reply is not data
+    transport.reply([0xF0, SERIAL_MESSAGE, 0x28, 0x24, 0x00, 0xF7])
+    transport.reply(serialReply(SW_SERIAL0, []))
+    await settle()
+    assert.deepStrictEqual(received, [
+        ['sw0', [0x24, 0xB5, 0xFF]],
+        ['hw1', [0x00, 0xFF]],
+        ['sw0', []]
+    ])
+})
+
+test('a reader yields the replies in order, buffering up to maxBuffered', async () => {
+    const { board, transport } = await readyBoard()
+    const reader = board.serialReader(SW_SERIAL0, { maxBuffered: 2 })
+    ;[[1], [2, 3], [4]].forEach(bytes => transport.reply(serialReply(SW_SERIAL0, bytes)))
+    await settle()
+    assert.strictEqual(reader.dropped, 1)
+    assert.deepStrictEqual(await reader.next(), { value: [2, 3], done: false })
+    assert.deepStrictEqual(await reader.next(), { value: [4], done: false })
+
+    // a reader already waiting gets the next reply as soon as it arrives
+    const waiting = reader.next()
+    transport.reply(serialReply(SW_SERIAL0, [5]))
+    assert.deepStrictEqual(await waiting, { value: [5], done: false })
+    reader.close()
+    assert.deepStrictEqual(await reader.next(), { value: undefined, done: true })
+})
+
+test('a reader with a delimiter reassembles frames across replies', async () => {
+    const { board, transport } = await readyBoard()
+    const reader = board.serialReader(SW_SERIAL0, { delimiter: '\r\n' })
+    ;['$GPGGA,1', '23519,48', '07.038,N*47\r', '\n$GPRMC,1*6A\r\n\r\n$GPV', 'TG'].forEach(chunk => {
+        transport.reply(serialReply(SW_SERIAL0, ascii(chunk)))
+    })
+    await settle()
+    const frames = []
+    for await (const bytes of reader) {
+        frames.push(text(bytes))
+        if (frames.length === 2) {
+            // what never got its delimiter comes out on close
+            reader.close()
+        }
+    }
+    assert.deepStrictEqual(frames, ['$GPGGA,123519,4807.038,N*47', '$GPRMC,1*6A', '$GPVTG'])
+})
+
+test('a byte delimiter works the same, and an empty one is refused', async () => {
+    const { board, transport } = await readyBoard()
+    const reader = board.serialReader(SW_SERIAL0, { delimiter: [0x00] })
+    transport.reply(serialReply(SW_SERIAL0, [0x81, 0x00, 0x82]))
+    transport.reply(serialReply(SW_SERIAL0, [0x83, 0x00]))
+    assert.deepStrictEqual(await reader.next(), { value: [0x81], done: false })
+    assert.deepStrictEqual(await reader.next(), { value: [0x82, 0x83], done: false })
+    assert.deepStrictEqual(reader.partial, [])
+    assert.throws(() => board.serialReader(SW_SERIAL0, { delimiter: '' }), /delimiter must not be empty/)
+})
+
+test('the iteration ends when the board disconnects', async () => {
+    const { board, transport } = await readyBoard()
+    const reader = board.serialReader(SW_SERIAL0)
+    const waiting = reader.next()
+    transport.unplug()
+    assert.deepStrictEqual(await waiting, { value: undefined, done: true })
+    assert.strictEqual(board.listenerCount(`serial-data-${SW_SERIAL0}`), 0)
+})
+
+test('serialStream gives the replies as Buffers', async () => {
+    const { board, transport } = await readyBoard()
+    const stream = board.serialStream(SW_SERIAL0, { delimiter: '\n' })
+    transport.reply(serialReply(SW_SERIAL0, ascii('OK\nREADY\n')))
+    const chunks = []
+    for await (const chunk of stream) {
+        chunks.push(chunk.toString())
+        if (chunks.length === 2) break
+    }
+    assert.deepStrictEqual(chunks, ['OK', 'READY'])
+    assert.strictEqual(board.listenerCount(`serial-data-${SW_SERIAL0}`), 0)
+})
@@ -0,0 +1,127 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const net = require('net')
+
+const { createTcpBoard, TcpTransport } = require('../src/node')
+const FirmataStandIn = require('./helpers/firmataStandIn')
+
+function once (emitter, event) {
+    return new Promise(resolve => emitter.once(event, resolve))
+}
+
+// a port nothing listens on
+function closedPort () {
+    const server = net.createServer()
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+        const port = server.address().port
+        server.close(() => resolve(port))
+    }))
+}
+
+test('connects and completes the handshake against the stand-in', async () => {
+    const standIn = new FirmataStandIn()
+    const port = await standIn.listen()
+    const board = await createTcpBoard('127.0.0.1', port)
+    assert.strictEqual(board.firmware.name, 'AppBuggy_V1.3')
+
+    await board.digitalWrite(13, 1)
+    await new Promise(resolve => setTimeout(resolve, 20))
+    assert.deepStrictEqual(standIn.lastClient().lastMessage(), [0x91, 0x20, 0x00])
+
+    await board.transport.close()
+    await standIn.close()
+})
+
+test('rejects open when nothing listens', async () => {
+    const transport = new TcpTransport('127.0.0.1', await closedPort(), { reconnect: false })
+    await assert.rejects(transport.open(), { code: 'ECONNREFUSED' })
+    assert.strictEqual(transport.isOpen(), false)
+})
+
+test('enables TCP keepalive on the socket', async () => {
+    const standIn = new FirmataStandIn()
+    const port = await standIn.listen()
+    const calls = []
+    const setKeepAlive = net.Socket.prototype.setKeepAlive
+    net.Socket.prototype.setKeepAlive = function (enable, delay) {
+        calls.push([enable, delay])
+        return setKeepAlive.call(this, enable, delay)
+    }
+    try {
+        const transport = new TcpTransport('127.0.0.1', port, { keepAliveDelay: 1234 })
+        await transport.open()
+        await transport.close()
+    } finally {
+        net.Socket.prototype.setKeepAlive = setKeepAlive
+    }
+    assert.deepStrictEqual(calls, [[true, 1234]])
+    await standIn.close()
+})
+
+test('a keepalive timeout is a disconnect, not an error', async () => {
+    const standIn = new FirmataStandIn()
+    const port = await standIn.listen()
+    const transport = new TcpTransport('127.0.0.1', port, { reconnect: false })
+    const errors = []
+    transport.on('error', error => errors.push(error))
+    await transport.open()
+
+    const disconnected = once(transport, 'disconnect')
+    const timeout = Object.assign(new Error('read ETIMEDOUT'), { code: 'ETIMEDOUT' })
+    transport.socket.destroy(timeout)
+    await disconnected
+    assert.deepStrictEqual(errors, [])
+    assert.strictEqual(transport.isOpen(), false)
+    await standIn.close()
+})
+
+test('reconnects and redoes the handshake after the server drops it', async () => {
+    const standIn = new FirmataStandIn()
+    const port = await standIn.listen()
+    const board = await createTcpBoard('127.0.0.1', port, { tcp: { reconnectDelay: 20 } })
+    const transport = board.transport
+
+    const disconnected = once(board, 'disconnect')
+    const reconnecting = once(transport, 'reconnecting')
+    const ready = once(board, 'ready')
+    standIn.dropClients()
+    await disconnected
+    assert.deepStrictEqual(await reconnecting, { attempt: 1, delay: 20 })
+    await ready
+    assert.strictEqual(standIn.clients.length, 2)
+    assert.deepStrictEqual(standIn.lastClient().messages[0], [0xF9])
+
+    await transport.close()
+    await standIn.close()
+})
+
+test('gives up after maxReconnectAttempts when the server stays down', async () => {
+    const standIn = new FirmataStandIn()
+    const port = await standIn.listen()
+    const transport = new TcpTransport('127.0.0.1', port, { reconnectDelay: 10, maxReconnectAttempts: 2 })
+    await transport.open()
+
+    const attempts = []
+    transport.on('reconnecting', reconnect => attempts.push(reconnect.attempt))
+    const failed = once(transport, 'reconnect-failed')
+    await standIn.close()
+    assert.deepStrictEqual(await failed, { attempts: 2 })
+    assert.deepStrictEqual(attempts, [1, 2])
+    assert.strictEqual(transport.isOpen(), false)
+})
+
+test('close stops reconnecting', async () => {
+    const standIn = new FirmataStandIn()
+    const port = await standIn.listen()
+    const transport = new TcpTransport('127.0.0.1', port, { reconnectDelay: 50 })
+    await transport.open()
+
+    const reconnecting = once(transport, 'reconnecting')
+    standIn.dropClients()
+    await reconnecting
+    await transport.close()
+    await new Promise(resolve => setTimeout(resolve, 100))
+    assert.strictEqual(transport.isOpen(), false)
+    assert.strictEqual(standIn.clients.length, 1)
+    await standIn.close()
+})
@@ -0,0 +1,380 @@
+require('babel-register')
+const test = require('node:test')
+const assert = require('node:assert')
+const net = require('net')
+
+const conformance = require('../src/communictor/transportConformance')
+const Board = require('../src/communictor/firmata')
+const LoopbackTransport = require('../src/communictor/loopbackTransport')
+const FirmataStandIn = require('./helpers/firmataStandIn')
+
+// SerialTransport opens the mock binding's ports instead of real ones
+const serialport = require('serialport')
+const { MockBinding } = require('@serialport/binding-mock')
+require.cache[require.resolve('serialport')].exports = Object.assign({}, serialport, {
+    SerialPort: serialport.SerialPortMock
+})
+const SerialTransport = require('../src/node/serialTransport')
+const TcpTransport = require('../src/node/tcpTransport')
+const Relay = require('../src/node/relay')
+
+// browser and native host globals the comms look for
+global.window = global
+global.WebSocket = require('ws')
+Object.defineProperty(global, 'navigator', { value: {}, configurable: true, writable: true })
+// the iOS comm registers for notifications when it is imported
+const nativeBoard = fakeNativeBle()
+
+const { Communicator } = require('../src/communictor/communicator')
+
+const OPTIONS = { timeout: 400 }
+let harnesses = 0
+
+function assertConforms (results) {
+    const failed = results.filter(result => !result.passed)
+    assert.strictEqual(failed.length, 0, conformance.report(results))
+}
+
+function freePort () {
+    const server = net.createServer()
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+        const port = server.address().port
+        server.close(() => resolve(port))
+    }))
+}
+
+/**
+ * A TCP server standing in for a network board: records what it gets and
+ * talks through the client that connected last.
+ */
+
+function tcpBoard () {
+    const board = { socket: null, bytes: [] }
+    board.server = net.createServer(socket => {
+        board.socket = socket
+        socket.on('data', data => board.bytes.push(...data))
+        socket.on('error', () => {})
+    })
+    board.close = () => {
+        if (board.socket) board.socket.destroy()
+        return new Promise(resolve => board.server.close(() => resolve()))
+    }
+    return new Promise(resolve => board.server.listen(0, '127.0.0.1', () => {
+        board.port = board.server.address().port
+        resolve(board)
+    }))
+}
+
+// Communicator over one of its comms; there is no fault for a comm to report
+function commHarness (device, board) {
+    const communicator = new Communicator(`conformance-${++harnesses}`)
+    return {
+        transport: communicator,
+        open: () => communicator.connect(device),
+        inject: board.inject,
+        drop: board.drop,
+        received: () => board.bytes,
+        teardown: () => communicator.disconnect().then(board.teardown)
+    }
+}
+
+test('LoopbackTransport conforms', async () => {
+    assertConforms(await conformance.run(() => {
+        const transport = new LoopbackTransport()
+        return {
+            transport,
+            open: () => transport.open(),
+            inject: bytes => transport.reply(bytes),
+            drop: () => transport.unplug(),
+            received: () => [].concat(...transport.messages),
+            fault: error => transport.emit('error', error)
+        }
+    }, OPTIONS))
+})
+
+test('SerialTransport conforms on a mock serial port', async () => {
+    assertConforms(await conformance.run(() => {
+        const path = `/dev/ttyCONFORMANCE${++harnesses}`
+        MockBinding.createPort(path, { record: true })
+        const transport = new SerialTransport(path)
+        let binding = null
+        return {
+            transport,
+            open: () => transport.open().then(() => {
+                binding = transport.port.port
+            }),
+            inject: bytes => binding.emitData(Buffer.from(bytes)),
+            // what serialport does when a read fails on an unplugged port
+            drop: () => transport.port._disconnected(new Error('unplugged')),
+            received: () => Array.from(binding.recording),
+            fault: error => transport.port.emit('error', error)
+        }
+    }, OPTIONS))
+    MockBinding.reset()
+})
+
+test('TcpTransport conforms', async () => {
+    assertConforms(await conformance.run(() => tcpBoard().then(board => {
+        const transport = new TcpTransport('127.0.0.1', board.port, { reconnect: false })
+        return {
+            transport,
+            open: () => transport.open(),
+            inject: bytes => board.socket.write(Buffer.from(bytes)),
+            drop: () => board.socket.destroy(),
+            received: () => board.bytes,
+            fault: error => transport.socket.emit('error', error),
+            teardown: () => transport.close().then(board.close)
+        }
+    }), OPTIONS))
+})
+
+test('WebSocketComm conforms through the relay', async () => {
+    const relay = new Relay({ port: await freePort() }).listen()
+    const url = `ws://127.0.0.1:${relay.port}`
+    try {
+        assertConforms(await conformance.run(() => tcpBoard().then(board => {
+            // the relay opens only the devices it offers
+            relay.tcpDevices.push({ host: '127.0.0.1', port: board.port })
+            const device = { commType: 'websocket', url, host: '127.0.0.1', port: board.port }
+            return commHarness(device, {
+                bytes: board.bytes,
+                inject: bytes => board.socket.write(Buffer.from(bytes)),
+                drop: () => board.socket.destroy(),
+                teardown: board.close
+            })
+        }), Object.assign({ disconnectOnClose: true }, OPTIONS)))
+    } finally {
+        relay.close()
+    }
+})
+
+/**
+ * A Web Bluetooth device with the BLE UART characteristic.
+ */
+
+function fakeBleDevice () {
+    const bytes = []
+    const characteristic = new EventTarget()
+    characteristic.startNotifications = () => Promise.resolve(characteristic)
+    characteristic.stopNotifications = () => Promise.resolve(characteristic)
+    characteristic.writeValueWithoutResponse = chunk => {
+        bytes.push(...chunk)
+        return Promise.resolve()
+    }
+    const device = new EventTarget()
+    const service = { getCharacteristic: () => Promise.resolve(characteristic) }
+    const server = { getPrimaryService: () => Promise.resolve(service) }
+    device.id = `ble-${++harnesses}`
+    device.gatt = {
+        connected: false,
+        connect () {
+            this.connected = true
+            return Promise.resolve(server)
+        },
+        disconnect () {
+            if (!this.connected) return
+            this.connected = false
+            device.dispatchEvent(new Event('gattserverdisconnected'))
+        }
+    }
+    return {
+        device,
+        bytes,
+        inject (data) {
+            characteristic.value = new DataView(Uint8Array.from(data).buffer)
+            characteristic.dispatchEvent(new Event('characteristicvaluechanged'))
+        },
+        drop: () => device.gatt.disconnect(),
+        teardown () {}
+    }
+}
+
+test('WebBleComm conforms on a fake Web Bluetooth device', async () => {
+    navigator.bluetooth = {}
+    assertConforms(await conformance.run(() => {
+        const ble = fakeBleDevice()
+        return commHarness({ commType: 'web_ble', device: ble.device }, ble)
+    }, Object.assign({ disconnectOnClose: true }, OPTIONS)))
+    delete navigator.bluetooth
+})
+
+/**
+ * navigator.serial with one port whose stream the test feeds.
+ */
+
+function fakeWebSerialPort () {
+    const listeners = new Set()
+    navigator.serial = {
+        addEventListener: (type, listener) => listeners.add(listener),
+        removeEventListener: (type, listener) => listeners.delete(listener)
+    }
+    const bytes = []
+    let controller = null
+    const port = {
+        readable: null,
+        writable: null,
+        open () {
+            this.readable = new ReadableStream({ start: c => { controller = c } })
+            this.writable = new WritableStream({ write: chunk => { bytes.push(...chunk) } })
+            return Promise.resolve()
+        },
+        close () {
+            this.readable = null
+            this.writable = null
+            return Promise.resolve()
+        }
+    }
+    return {
+        port,
+        bytes,
+        inject: data => controller.enqueue(Uint8Array.from(data)),
+        drop: () => listeners.forEach(listener => listener({ target: port })),
+        teardown () {}
+    }
+}
+
+test('WebSerialComm conforms on a fake Web Serial port', async () => {
+    assertConforms(await conformance.run(() => {
+        const serial = fakeWebSerialPort()
+        return commHarness({ commType: 'web_serial', port: serial.port }, serial)
+    }, Object.assign({ disconnectOnClose: true }, OPTIONS)))
+    delete navigator.serial
+})
+
+/**
+ * The iOS shell's side of the bridge for one BLE board, answering with base64.
+ */
+
+function fakeNativeBle () {
+    const handlers = {}
+    const boards = {}
+    global.WKWebViewJavascriptBridge = {
+        registerHandler: (name, handler) => { handlers[name] = handler },
+        callHandler (name, data, callback) {
+            let response
+            if (name === 'bleConnect') {
+                response = { result: 'success', encoding: 'base64' }
+            } else if (name === 'sendMsgPromise') {
+                boards[data.deviceId].bytes.push(...Buffer.from(data.data, data.encoding))
+            }
+            if (callback) {
+                setTimeout(() => callback(response), 0)
+            }
+        }
+    }
+    return deviceId => {
+        boards[deviceId] = { bytes: [] }
+        return {
+            bytes: boards[deviceId].bytes,
+            inject: data => handlers.handleNotification({
+                deviceId,
+                data: Buffer.from(data).toString('base64'),
+                encoding: 'base64'
+            }),
+            teardown () {}
+        }
+    }
+}
+
+test('iOS BleComm conforms on a fake native bridge', async () => {
+    assertConforms(await conformance.run(() => {
+        const id = `ios-${++harnesses}`
+        const board = nativeBoard(id)
+        const harness = commHarness({ commType: 'ble_mobile', id }, board)
+        // native reports a lost link through deviceDisConnect, which FirmataBridge turns into this
+        harness.drop = () => harness.transport.connectionLost()
+        return harness
+    }, Object.assign({ disconnectOnClose: true }, OPTIONS)))
+})
+
+/**
+ * Runs a Board over `transport` through two handshakes: opens, closes on purpose
+ * and opens again. Resolves with the number of 'ready' events.
+ */
+
+async function readyTwice (transport, open) {
+    const board = new Board(transport)
+    let readies = 0
+    board.on('ready', () => readies++)
+    try {
+        for (let i = 0; i < 2; i++) {
+            const ready = new Promise((resolve, reject) => {
+                const timer = setTimeout(() => reject(new Error(`no 'ready' after open ${i + 1}`)), 2000)
+                board.once('ready', () => {
+                    clearTimeout(timer)
+                    resolve()
+                })
+            })
+            await open()
+            await ready
+            // let the writes of init() go out before closing
+            await new Promise(resolve => setTimeout(resolve, 50))
+            await transport.close()
+        }
+    } finally {
+        await transport.close()
+    }
+    assert.strictEqual(board.isReady, false)
+    return readies
+}
+
+test('Board gets ready again after LoopbackTransport is closed and reopened', async () => {
+    const transport = new LoopbackTransport().useFirmware()
+    assert.strictEqual(await readyTwice(transport, () => transport.open()), 2)
+})
+
+test('Board gets ready again after SerialTransport is closed and reopened', async () => {
+    const path = `/dev/ttyCONFORMANCE${++harnesses}`
+    MockBinding.createPort(path)
+    const transport = new SerialTransport(path)
+    // each opening of the mock port is answered by a scripted firmware
+    const open = () => transport.open().then(() => {
+        const binding = transport.port.port
+        const firmware = new LoopbackTransport().useFirmware()
+        const write = binding.write.bind(binding)
+        binding.write = buffer => {
+            firmware.write(buffer)
+            return write(buffer)
+        }
+        firmware.on('data', data => binding.emitData(Buffer.from(data)))
+        return firmware.open()
+    })
+    try {
+        assert.strictEqual(await readyTwice(transport, open), 2)
+    } finally {
+        MockBinding.reset()
+    }
+})
+
+test('Board gets ready again after TcpTransport is closed and reopened', async () => {
+    const standIn = new FirmataStandIn()
+    const port = await standIn.listen()
+    const transport = new TcpTransport('127.0.0.1', port, { reconnect: false })
+    try {
+        assert.strictEqual(await readyTwice(transport, () => transport.open()), 2)
+    } finally {
+        await standIn.close()
+    }
+})
+
+test('skipped checks still tear their harness down', async () => {
+    let teardowns = 0
+    const results = await conformance.run(() => {
+        const transport = new LoopbackTransport()
+        return {
+            transport,
+            open: () => transport.open(),
+            inject: bytes => transport.reply(bytes),
+            drop: () => transport.unplug(),
+            teardown () {
+                teardowns++
+                return transport.close()
+            }
+        }
+    }, OPTIONS)
+    assert.deepStrictEqual(results.filter(result => result.skipped).map(result => result.name), [
+        'writes reach the board in order',
+        'reports faults as error without closing'
+    ])
+    assert.strictEqual(teardowns, conformance.checks.length)
+})
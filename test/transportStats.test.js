@@ -0,0 +1,116 @@
+require('babel-register')
+const test = require('node:test')
+const assert = require('node:assert')
+
+// the native bridges look for their host on window
+global.window = global
+
+const TransportStats = require('../src/communictor/transportStats').default
+const { Communicator } = require('../src/communictor/communicator')
+const LoopbackTransport = require('../src/communictor/loopbackTransport')
+
+// a clock the test moves by hand
+function clock (t) {
+    const time = { now: 1000000 }
+    t.mock.method(Date, 'now', () => time.now)
+    return time
+}
+
+test('counts bytes and messages each way, failures and discarded bytes', t => {
+    clock(t)
+    const stats = new TransportStats()
+    stats.recordSent(3, 10)
+    stats.recordSent(5, 30)
+    stats.recordReceived(9)
+    stats.recordFailed()
+    stats.recordDiscarded(4)
+    stats.recordDiscarded(2)
+    const snapshot = stats.snapshot()
+    assert.strictEqual(snapshot.bytesSent, 8)
+    assert.strictEqual(snapshot.messagesSent, 2)
+    assert.strictEqual(snapshot.bytesReceived, 9)
+    assert.strictEqual(snapshot.messagesReceived, 1)
+    assert.strictEqual(snapshot.failedWrites, 1)
+    assert.strictEqual(snapshot.discardedBytes, 6)
+    assert.deepStrictEqual(snapshot.writeLatency, { last: 30, average: 20, max: 30 })
+})
+
+test('rates are messages per second over the current window', t => {
+    const time = clock(t)
+    const stats = new TransportStats()
+    for (let i = 0; i < 6; i++) {
+        stats.recordSent(1, 0)
+    }
+    stats.recordReceived(1)
+    time.now += 2000
+    let snapshot = stats.snapshot()
+    assert.strictEqual(snapshot.sentPerSecond, 3)
+    assert.strictEqual(snapshot.receivedPerSecond, 0.5)
+
+    // sample() closes the window, the totals carry on
+    assert.strictEqual(stats.sample().sentPerSecond, 3)
+    stats.recordSent(1, 0)
+    time.now += 500
+    snapshot = stats.snapshot()
+    assert.strictEqual(snapshot.sentPerSecond, 2)
+    assert.strictEqual(snapshot.receivedPerSecond, 0)
+    assert.strictEqual(snapshot.messagesSent, 7)
+
+    // a window of no time at all counts as 1 ms
+    stats.sample()
+    stats.recordReceived(1)
+    assert.strictEqual(stats.snapshot().receivedPerSecond, 1000)
+})
+
+test('before any write the latency is unknown', t => {
+    clock(t)
+    assert.deepStrictEqual(new TransportStats().snapshot().writeLatency, { last: null, average: null, max: null })
+})
+
+test('reset starts the counts and the window again', t => {
+    const time = clock(t)
+    const stats = new TransportStats()
+    stats.recordSent(4, 12)
+    stats.recordReceived(2)
+    stats.recordFailed()
+    stats.recordDiscarded(1)
+    time.now += 5000
+    stats.reset()
+    assert.deepStrictEqual(stats.snapshot(), {
+        since: time.now,
+        bytesSent: 0,
+        bytesReceived: 0,
+        messagesSent: 0,
+        messagesReceived: 0,
+        sentPerSecond: 0,
+        receivedPerSecond: 0,
+        writeLatency: { last: null, average: null, max: null },
+        failedWrites: 0,
+        discardedBytes: 0
+    })
+})
+
+test('a Communicator counts what goes over its link and resets on connect', async () => {
+    const communicator = new Communicator('stats')
+    const transport = new LoopbackTransport()
+    transport.respond([0xF9], [0xF9, 2, 5])
+    await communicator.connect(transport.getDevices()[0])
+    await communicator.write([0xF9])
+    await communicator.write([0xF0, 0x79, 0xF7])
+    await new Promise(resolve => setTimeout(resolve, 10))
+    let stats = communicator.getStats()
+    assert.strictEqual(stats.messagesSent, 2)
+    assert.strictEqual(stats.bytesSent, 4)
+    assert.strictEqual(stats.messagesReceived, 1)
+    assert.strictEqual(stats.bytesReceived, 3)
+
+    await communicator.disconnect()
+    await assert.rejects(communicator.write([0xF9]))
+    assert.strictEqual(communicator.getStats().failedWrites, 1)
+
+    await communicator.connect(transport.getDevices()[0])
+    stats = communicator.getStats()
+    assert.strictEqual(stats.messagesSent, 0)
+    assert.strictEqual(stats.failedWrites, 0)
+    await communicator.disconnect()
+})
@@ -0,0 +1,94 @@
+require('babel-register')
+const test = require('node:test')
+const assert = require('node:assert')
+
+// the native bridges look for their host on window
+global.window = global
+
+// the iOS shell's side of the bridge, answering bleConnect with hex
+const handlers = {}
+global.WKWebViewJavascriptBridge = {
+    registerHandler: (name, handler) => { handlers[name] = handler },
+    callHandler (name, data, callback) {
+        const response = name === 'bleConnect' ? { result: 'success', encoding: 'hex' } : undefined
+        if (callback) {
+            setTimeout(() => callback(response), 0)
+        }
+    }
+}
+
+const { WIRE_ENCODINGS, encode, decode } = require('../src/communictor/wireEncoding')
+const { Communicator } = require('../src/communictor/communicator')
+
+const ALL_BYTES = Array.from({ length: 256 }, (value, i) => i)
+
+test('every byte survives a round trip in each encoding', () => {
+    assert.deepStrictEqual(WIRE_ENCODINGS, ['base64', 'hex'])
+    WIRE_ENCODINGS.forEach(encoding => {
+        const payload = encode(ALL_BYTES, encoding)
+        assert.strictEqual(typeof payload, 'string')
+        assert.deepStrictEqual(Array.from(decode(payload, encoding)), ALL_BYTES, encoding)
+    })
+    assert.strictEqual(encode([0xF0, 0x79, 0xF7], 'hex'), 'f079f7')
+    assert.strictEqual(encode([0xF0, 0x79, 0xF7], 'base64'), '8Hn3')
+    assert.deepStrictEqual(Array.from(decode('F079F7', 'hex')), [0xF0, 0x79, 0xF7])
+    assert.deepStrictEqual(Array.from(decode('', 'base64')), [])
+})
+
+test('an unknown encoding is refused both ways', () => {
+    assert.throws(() => encode([1], 'utf8'), { name: 'TypeError', message: 'Unknown wire encoding utf8' })
+    assert.throws(() => decode('01', 'latin1'), { name: 'TypeError', message: 'Unknown wire encoding latin1' })
+})
+
+test('a negotiated payload that is not a string is a TypeError', () => {
+    assert.throws(() => decode([1, 2], 'base64'), { name: 'TypeError', message: 'Expected a base64 string, got object' })
+    assert.throws(() => decode(12, 'hex'), { name: 'TypeError', message: 'Expected a hex string, got number' })
+})
+
+test('corrupt base64 and hex are rejected instead of decoded loosely', () => {
+    ;['8Hn', '8Hn3=', '8H=3', '8Hn$', ' 8Hn3'].forEach(payload => {
+        assert.throws(() => decode(payload, 'base64'), /^Error: Corrupt base64 payload/, payload)
+    })
+    ;['f07', 'f0 79', 'zz', '0x10'].forEach(payload => {
+        assert.throws(() => decode(payload, 'hex'), /^Error: Corrupt hex payload/, payload)
+    })
+})
+
+test('payloads from shells without an encoding decode from their JSON forms', () => {
+    const bytes = [0xF9, 0x02, 0x05]
+    assert.deepStrictEqual(Array.from(decode(bytes)), bytes)
+    assert.deepStrictEqual(Array.from(decode({ type: 'Buffer', data: bytes })), bytes)
+    assert.deepStrictEqual(Array.from(decode({ 0: 0xF9, 1: 0x02, 2: 0x05 })), bytes)
+    const typed = Uint8Array.from(bytes)
+    assert.strictEqual(decode(typed), typed)
+})
+
+test('payloads from shells without an encoding must hold bytes', () => {
+    assert.throws(() => decode([1, 256]), { name: 'TypeError', message: 'Payload byte 1 is not a byte: 256' })
+    assert.throws(() => decode([-1]), /Payload byte 0 is not a byte/)
+    assert.throws(() => decode([1.5]), /Payload byte 0 is not a byte/)
+    assert.throws(() => decode({ type: 'Buffer', data: ['a'] }), /Payload byte 0 is not a byte: "a"/)
+    assert.throws(() => decode(null), { name: 'TypeError', message: 'Unsupported payload type null' })
+    assert.throws(() => decode('f079f7'), { name: 'TypeError', message: 'Unsupported payload type string' })
+    assert.throws(() => decode({ a: 1 }), /Unsupported payload type object/)
+})
+
+test('a notification that does not decode is a wire-error and the link stays up', async () => {
+    const communicator = new Communicator('wire')
+    await communicator.connect({ commType: 'ble_mobile', id: 'wire-1' })
+    const received = []
+    const errors = []
+    communicator.on('data', data => received.push(Array.from(data)))
+    communicator.on('wire-error', error => errors.push(error.message))
+
+    handlers.handleNotification({ deviceId: 'wire-1', data: 'f07', encoding: 'hex' })
+    handlers.handleNotification({ deviceId: 'wire-1', data: [0xF9] })
+    handlers.handleNotification({ deviceId: 'wire-1', data: 'f90205' })
+    assert.deepStrictEqual(errors, [
+        'Corrupt hex payload: f07',
+        'Expected a hex string, got object'
+    ])
+    assert.deepStrictEqual(received, [[0xF9, 0x02, 0x05]])
+    assert.strictEqual(communicator.isOpen(), true)
+    await communicator.disconnect()
+})